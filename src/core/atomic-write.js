@@ -0,0 +1,157 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// ===== Atomic File Writes =====
+// Data is written to a temporary file next to the target, flushed to disk
+// and renamed over the original, so a crash leaves either the old or the
+// new content but never a truncated file.
+
+// data is a Buffer/string, or an async function that writes to the open
+// file handle itself (used to stream large files).
+// backup: "none" | "simple" | "numbered"
+// mode: permissions to give the file even if it exists (e.g. 0o600 for
+// private state); by default an existing file keeps its own
+async function writeFileAtomic(filepath, data, options = {}) {
+  const target = await resolveTarget(filepath);
+  const existing = await statIfExists(target);
+  const directory = path.dirname(target);
+  const suffix = crypto.randomBytes(4).toString("hex");
+  const temp = path.join(
+    directory,
+    `.${path.basename(target)}.${process.pid}.${suffix}.tmp`
+  );
+  const mode = options.mode ?? (existing ? existing.mode & 0o7777 : 0o666);
+
+  let handle = null;
+  try {
+    handle = await fs.open(temp, "wx", mode);
+    if (typeof data === "function") {
+      await data(handle);
+    } else {
+      await handle.writeFile(data);
+    }
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    if (existing && options.mode === undefined) {
+      await preserveAttributes(temp, existing);
+    }
+    if (existing && options.backup && options.backup !== "none") {
+      await writeBackup(target, options.backup);
+    }
+
+    await fs.rename(temp, target);
+    await syncDirectory(directory);
+    return target;
+  } catch (err) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(temp).catch(() => {});
+    throw err;
+  }
+}
+
+// Blocking variant for the editor's own small state files, written from
+// signal handlers where async work may never finish. Makes no backups and
+// keeps no attributes; options.mode is as for writeFileAtomic.
+function writeFileAtomicSync(filepath, data, options = {}) {
+  const temp = `${filepath}.${process.pid}.tmp`;
+  let fd = null;
+  try {
+    fd = fsSync.openSync(temp, "w", options.mode ?? 0o666);
+    // A temp file left by an earlier crash keeps its old mode
+    if (options.mode !== undefined) fsSync.fchmodSync(fd, options.mode);
+    fsSync.writeFileSync(fd, data);
+    fsSync.fsyncSync(fd);
+    fsSync.closeSync(fd);
+    fd = null;
+    fsSync.renameSync(temp, filepath);
+  } catch (err) {
+    if (fd !== null) fsSync.closeSync(fd);
+    try {
+      fsSync.unlinkSync(temp);
+    } catch (unlinkErr) {
+      // Never created
+    }
+    throw err;
+  }
+}
+
+// Saving through a symlink should update the file it points to rather than
+// replace the link with a regular file
+async function resolveTarget(filepath) {
+  try {
+    return await fs.realpath(filepath);
+  } catch (err) {
+    if (err.code === "ENOENT") return path.resolve(filepath);
+    throw err;
+  }
+}
+
+async function statIfExists(filepath) {
+  try {
+    return await fs.stat(filepath);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function preserveAttributes(temp, stats) {
+  // The umask may have stripped bits from the mode passed to open()
+  await fs.chmod(temp, stats.mode & 0o7777);
+  if (typeof process.getuid !== "function") return;
+  try {
+    await fs.chown(temp, stats.uid, stats.gid);
+  } catch (err) {
+    // Only root can give files away; keep our own ownership otherwise
+  }
+}
+
+async function writeBackup(target, style) {
+  const backupPath =
+    style === "numbered" ? await nextNumberedBackup(target) : `${target}~`;
+  await fs.copyFile(target, backupPath);
+}
+
+// Emacs-style numbered backups: file.~1~, file.~2~, ...
+async function nextNumberedBackup(target) {
+  const base = path.basename(target);
+  const pattern = new RegExp(`^${escapeRegExp(base)}\\.~(\\d+)~$`);
+
+  let highest = 0;
+  const entries = await fs.readdir(path.dirname(target));
+  for (const entry of entries) {
+    const match = pattern.exec(entry);
+    if (match) {
+      highest = Math.max(highest, Number(match[1]));
+    }
+  }
+  return `${target}.~${highest + 1}~`;
+}
+
+// Makes the rename itself durable; not supported on every platform
+async function syncDirectory(directory) {
+  if (process.platform === "win32") return;
+  let handle = null;
+  try {
+    handle = await fs.open(directory, "r");
+    await handle.sync();
+  } catch (err) {
+    // Best effort only
+  } finally {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = { writeFileAtomic, writeFileAtomicSync };
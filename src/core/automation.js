@@ -0,0 +1,238 @@
+const path = require("path");
+const { JsonRpcConnection, invalidParams } = require("./json-rpc");
+
+const EVENTS = ["bufferChanged", "bufferSaved", "cursorMoved"];
+
+// ===== Automation API =====
+// JSON-RPC methods for scripting a running editor from tests and tools.
+// They are served on the editor socket and, with --rpc-stdio, on
+// stdin/stdout. Documents are referred to by id (see listDocuments) and
+// default to the focused one; rows and columns are 0-based. Connections
+// that call subscribe get notifications as the editor state changes.
+class Automation {
+  constructor(editor) {
+    this.editor = editor;
+    this.methods = new Map();
+    this.subscribers = new Set();
+    this.revisions = new WeakMap(); // Document -> revision last reported
+    this.lastCursor = null;
+
+    this.registerMethods();
+    editor.events.on("saved", (document) =>
+      this.broadcast("bufferSaved", {
+        document: document.id,
+        path: document.buffer.filename,
+      })
+    );
+    editor.ui.setRenderListener(() => this.checkState());
+  }
+
+  registerMethods() {
+    const { editor } = this;
+    const methods = {
+      open: (params) => editor.openForClient(params),
+      subscribe: (params, connection) => this.subscribe(params, connection),
+      listDocuments: () => editor.documents.map((doc) => this.describe(doc)),
+      activate: (params) => this.activate(params),
+      getText: (params) => this.getText(params),
+      getCursor: () => this.getCursor(),
+      setCursor: (params) => this.setCursor(params),
+      insertText: (params) => this.insertText(params),
+      save: (params) => this.save(params),
+      listCommands: () => Object.keys(editor.commands.keyMap),
+      runCommand: (params) => this.runCommand(params),
+    };
+    for (const [name, handler] of Object.entries(methods)) {
+      this.methods.set(name, handler);
+    }
+  }
+
+  attachStdio() {
+    const connection = new JsonRpcConnection(
+      process.stdin,
+      process.stdout,
+      this.methods
+    );
+    connection.start();
+    return connection;
+  }
+
+  // ===== Methods =====
+  subscribe(params, connection) {
+    const events = params.events || EVENTS;
+    const unknown = events.filter((event) => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw invalidParams(`Unknown events: ${unknown.join(", ")}`);
+    }
+
+    connection.subscriptions = new Set(events);
+    if (!this.subscribers.has(connection)) {
+      this.subscribers.add(connection);
+      connection.onClose(() => this.subscribers.delete(connection));
+    }
+    this.recordState();
+    return events;
+  }
+
+  activate(params) {
+    const document = this.findDocument(params);
+    this.editor.activateDocument(document);
+    this.editor.ui.render();
+    return this.describe(document);
+  }
+
+  getText(params) {
+    const { buffer } = this.findDocument(params);
+    if (buffer.binary) throw invalidParams("Binary buffers have no text");
+    return { text: buffer.getText(), revision: buffer.revision };
+  }
+
+  getCursor() {
+    const { cursor, selection } = this.editor;
+    return {
+      document: this.editor.document.id,
+      row: cursor.row,
+      col: cursor.col,
+      selections: selection.active ? selection.captureState().ranges : [],
+    };
+  }
+
+  setCursor(params) {
+    const { row, col = 0 } = params;
+    if (!Number.isInteger(row) || !Number.isInteger(col)) {
+      throw invalidParams("row and col must be integers");
+    }
+    this.requireText();
+    const { cursor, selection } = this.editor;
+    selection.clear();
+    cursor.row = row;
+    cursor.col = col;
+    cursor.clamp();
+    cursor.updatePreferredCol();
+    this.editor.ui.render();
+    return this.getCursor();
+  }
+
+  insertText(params) {
+    if (typeof params.text !== "string") {
+      throw invalidParams("text must be a string");
+    }
+    this.requireText();
+    if (this.editor.buffer.isReadOnly()) {
+      throw new Error("Buffer is read-only");
+    }
+    this.editor.insertText(params.text);
+    return this.getCursor();
+  }
+
+  async save(params) {
+    const document = this.findDocument(params);
+    if (document !== this.editor.document) {
+      this.editor.activateDocument(document);
+    }
+    if (document.buffer.isReadOnly()) {
+      throw new Error("Buffer is read-only");
+    }
+    if (!params.path && !document.buffer.filename) {
+      throw invalidParams("Untitled buffers need a path");
+    }
+    // Saving under a new path asks before replacing a file and renames
+    // the buffer only once the write succeeds
+    const saveAs = params.path ? path.resolve(params.path) : null;
+    return { saved: await this.editor.save(saveAs) };
+  }
+
+  async runCommand(params) {
+    if (!(await this.editor.commands.runKey(params.key))) {
+      throw invalidParams(`Unknown command ${params.key}`);
+    }
+    return true;
+  }
+
+  // ===== Helpers =====
+  findDocument(params) {
+    if (params.document === undefined || params.document === null) {
+      return this.editor.document;
+    }
+    const document = this.editor.documents.find(
+      (doc) => doc.id === params.document
+    );
+    if (!document) throw invalidParams(`No document ${params.document}`);
+    return document;
+  }
+
+  describe(document) {
+    const { buffer } = document;
+    return {
+      id: document.id,
+      name: document.name,
+      path: buffer.filename,
+      modified: buffer.modified,
+      revision: buffer.revision,
+      binary: Boolean(buffer.binary),
+      active: document === this.editor.document,
+    };
+  }
+
+  requireText() {
+    if (this.editor.isHexMode()) {
+      throw new Error("Not available in hex mode");
+    }
+  }
+
+  // ===== Notifications =====
+  // Runs after every render; reports what changed since the last one
+  checkState() {
+    if (this.subscribers.size === 0) return;
+
+    for (const document of this.editor.documents) {
+      const { revision, modified } = document.buffer;
+      const seen = this.revisions.get(document);
+      if (seen !== undefined && seen !== revision) {
+        this.broadcast("bufferChanged", {
+          document: document.id,
+          revision,
+          modified,
+        });
+      }
+      this.revisions.set(document, revision);
+    }
+
+    const { document, cursor } = this.editor;
+    const position = {
+      document: document.id,
+      row: cursor.row,
+      col: cursor.col,
+    };
+    const last = this.lastCursor;
+    if (
+      !last ||
+      last.document !== position.document ||
+      last.row !== position.row ||
+      last.col !== position.col
+    ) {
+      this.broadcast("cursorMoved", position);
+    }
+    this.lastCursor = position;
+  }
+
+  recordState() {
+    for (const document of this.editor.documents) {
+      this.revisions.set(document, document.buffer.revision);
+    }
+    const { document, cursor } = this.editor;
+    this.lastCursor = {
+      document: document.id,
+      row: cursor.row,
+      col: cursor.col,
+    };
+  }
+
+  broadcast(event, params) {
+    for (const connection of this.subscribers) {
+      connection.notify(event, params);
+    }
+  }
+}
+
+module.exports = { Automation };
@@ -0,0 +1,70 @@
+// ===== Binary Document =====
+// Raw bytes of a file opened in hex mode. Edits overwrite bytes in place,
+// so the length never changes and saving writes back exactly these bytes.
+// Each overwrite is kept for undo/redo.
+class BinaryDocument {
+  constructor(bytes) {
+    this.bytes = Buffer.from(bytes);
+    this.edits = [];
+    this.applied = 0; // Number of edits currently applied
+    this.savedAt = 0; // Value of applied when the file was last saved
+  }
+
+  get length() {
+    return this.bytes.length;
+  }
+
+  getByte(offset) {
+    return this.bytes[offset];
+  }
+
+  overwrite(offset, value) {
+    if (offset < 0 || offset >= this.bytes.length) return false;
+    const before = this.bytes[offset];
+    if (before === value) return false;
+
+    // A new edit discards the redo tail, including a saved state in it
+    this.edits.length = this.applied;
+    if (this.savedAt > this.applied) this.savedAt = -1;
+
+    this.edits.push({ offset, before, after: value });
+    this.bytes[offset] = value;
+    this.applied++;
+    return true;
+  }
+
+  // Both return the edited offset, or -1 when there is nothing to do
+  undo() {
+    if (this.applied === 0) return -1;
+    const edit = this.edits[--this.applied];
+    this.bytes[edit.offset] = edit.before;
+    return edit.offset;
+  }
+
+  redo() {
+    if (this.applied === this.edits.length) return -1;
+    const edit = this.edits[this.applied++];
+    this.bytes[edit.offset] = edit.after;
+    return edit.offset;
+  }
+
+  markSaved() {
+    this.savedAt = this.applied;
+  }
+
+  isModified() {
+    return this.applied !== this.savedAt;
+  }
+
+  // Next occurrence of a byte pattern after from, wrapping around
+  find(pattern, from = -1) {
+    if (!pattern || pattern.length === 0) return -1;
+    const start = Math.max(0, from + 1);
+    const next = this.bytes.indexOf(pattern, start);
+    if (next !== -1) return next;
+    const wrapped = this.bytes.indexOf(pattern, 0);
+    return wrapped !== -1 && wrapped < start ? wrapped : -1;
+  }
+}
+
+module.exports = { BinaryDocument };
@@ -1,147 +1,859 @@
 const fs = require("fs").promises;
+const { PieceTable } = require("./piece-table");
+const { BinaryDocument } = require("./binary-document");
+const { FileSource, readSample } = require("./file-source");
+const { History } = require("./history");
+const { HistoryStore } = require("./history-store");
+const {
+  BOM,
+  defaultFormat,
+  detectLineEnding,
+  parseContent,
+  resolveLineEndings,
+  serializeContent,
+} = require("./file-format");
+const {
+  detectEncoding,
+  isBinaryContent,
+  decode,
+  encode,
+  trimPartialUtf8,
+} = require("./encoding");
+const {
+  detectCompression,
+  detectUnsupportedCompression,
+  compress,
+  decompress,
+} = require("./compression");
+const { DEFAULT_TAB_WIDTH, previousClusterStart } = require("./text-width");
+const { writeFileAtomic } = require("./atomic-write");
+const { debugLog } = require("./debug-logger");
+
+const LARGE_FILE_THRESHOLD = 64 * 1024 * 1024;
+const LARGE_FILE_SAMPLE_SIZE = 64 * 1024;
 
 // ===== Buffer Management =====
 class Buffer {
-  constructor() {
-    this.lines = [""];
+  constructor(options = {}) {
+    this.content = new PieceTable();
     this.filename = null;
     this.modified = false;
-    this.history = [];
-    this.historyIndex = -1;
+    this.revision = 0; // Bumped on every change to the text
+    this.history = new History();
+    this.historyStore = options.historyStore || null;
+    this.backup = options.backup || "none"; // Backup style used when saving
+    this.tabWidth = options.tabWidth || DEFAULT_TAB_WIDTH; // Display only
+    this.diskHash = null; // Hash of the file content as last loaded/saved
+    this.diskStat = null; // { mtimeMs, size } of the file at that point
+    this.format = defaultFormat(); // Line endings and BOM to write back
+    // Text and per-line endings as last read or written, for files that mix
+    // line ending styles (see resolveLineEndings)
+    this.lineEndings = null;
+    this.captureState = null;
+
+    // Files at or above the threshold are read from disk on demand
+    this.largeFileThreshold =
+      options.largeFileThreshold || LARGE_FILE_THRESHOLD;
+    this.source = null; // FileSource behind the text in large-file mode
+    this.indexing = null; // Promise for the background line index
+    this.progressListener = null;
+    this.binary = null; // BinaryDocument while a binary file is open
+    this.readOnly = false; // Opened with --readonly
+    this.forceEdits = false; // Set while a reload or recovery replaces the text
+    this.loadError = null; // Why the last loadFile failed, when we know
   }
 
-  // Core text operations
-  insertChar(row, col, char) {
-    if (row >= this.lines.length) {
-      while (this.lines.length <= row) {
-        this.lines.push("");
-      }
-    }
+  get largeFile() {
+    return this.source !== null;
+  }
 
-    const line = this.lines[row];
-    this.lines[row] = line.slice(0, col) + char + line.slice(col);
-    this.modified = true;
-    this.saveToHistory();
+  // A large file cannot be edited until its line index is complete
+  isReadOnly() {
+    return this.readOnly || (this.largeFile && !this.source.complete);
   }
 
-  deleteChar(row, col) {
-    if (row >= this.lines.length) return false;
+  // Called as a large file's line index grows
+  setProgressListener(listener) {
+    this.progressListener = listener;
+  }
 
-    const line = this.lines[row];
-    if (col > 0) {
-      this.lines[row] = line.slice(0, col - 1) + line.slice(col);
-      this.modified = true;
-      this.saveToHistory();
-      return true;
-    } else if (row > 0) {
-      // Join with previous line
-      const prevLine = this.lines[row - 1];
-      this.lines[row - 1] = prevLine + line;
-      this.lines.splice(row, 1);
+  // Supplies the cursor/selection state stored alongside each undo step
+  setStateProvider(provider) {
+    this.captureState = provider;
+  }
+
+  // Core text operations (offset based)
+  insert(offset, text) {
+    if (!text || (this.isReadOnly() && !this.forceEdits)) return;
+    const value = String(text);
+    this.withTransaction("edit", () => {
+      const start = Math.max(0, Math.min(offset, this.content.length));
+      this.content.insert(start, value);
+      this.recordEdit(start, "", value);
+    });
+    this.modified = true;
+    this.revision++;
+  }
+
+  delete(range) {
+    if (!range) return "";
+    const start = Math.min(range.start, range.end);
+    const end = Math.max(range.start, range.end);
+    if (end <= start || (this.isReadOnly() && !this.forceEdits)) return "";
+    let removed = "";
+    this.withTransaction("edit", () => {
+      removed = this.content.delete(start, end - start);
+      this.recordEdit(start, removed, "");
+    });
+    if (removed) {
       this.modified = true;
-      this.saveToHistory();
-      return true;
+      this.revision++;
     }
-    return false;
+    return removed;
   }
 
-  insertLine(row, col = 0) {
-    const currentLine = this.lines[row] || "";
+  recordEdit(offset, removed, inserted) {
+    this.history.record(offset, removed, inserted);
+  }
 
-    const beforeCursor = currentLine.slice(0, col);
-    const afterCursor = currentLine.slice(col);
+  // Transactions group several edits into one undo step. They nest; only
+  // the outermost commit creates the step.
+  beginTransaction(kind = "edit") {
+    this.history.begin(kind, this.snapshotState());
+  }
 
-    this.lines[row] = beforeCursor;
-    this.lines.splice(row + 1, 0, afterCursor);
-    this.modified = true;
-    this.saveToHistory();
+  commitTransaction() {
+    return this.history.commit(this.snapshotState());
+  }
+
+  transact(kind, fn) {
+    this.beginTransaction(kind);
+    try {
+      return fn();
+    } finally {
+      this.commitTransaction();
+    }
+  }
+
+  withTransaction(kind, fn) {
+    if (this.history.isInTransaction()) {
+      fn();
+      return;
+    }
+    this.transact(kind, fn);
+  }
+
+  snapshotState() {
+    if (typeof this.captureState !== "function") return null;
+    try {
+      return this.captureState();
+    } catch (err) {
+      return null;
+    }
+  }
+
+  offsetAt(row, col) {
+    const limit = this.largeFile ? this.getLine(row).length : col;
+    return this.content.offsetAt(row, Math.min(col, limit));
+  }
+
+  positionAt(offset) {
+    const position = this.content.positionAt(offset);
+    if (!this.largeFile) return position;
+    const length = this.getLine(position.row).length;
+    return { row: position.row, col: Math.min(position.col, length) };
+  }
+
+  // For caches over the text: its version, and the lowest offset changed
+  // since an earlier version (see PieceTable.changedSince)
+  get textVersion() {
+    return this.content.version;
+  }
+
+  changedSince(version) {
+    return this.content.changedSince(version);
+  }
+
+  // Row/column helpers built on the offset API
+  insertText(row, col, text) {
+    this.ensureRow(row);
+    const offset = this.offsetAt(row, col);
+    this.insert(offset, text);
+    return this.positionAt(offset + String(text || "").length);
+  }
+
+  deleteRange(bounds) {
+    const start = this.offsetAt(bounds.startRow, bounds.startCol);
+    const end = this.offsetAt(bounds.endRow, bounds.endCol);
+    return this.delete({ start, end });
+  }
+
+  getTextRange(bounds) {
+    const start = this.offsetAt(bounds.startRow, bounds.startCol);
+    const end = this.offsetAt(bounds.endRow, bounds.endCol);
+    const text = this.content.getTextRange(start, end);
+    return this.largeFile ? text.replace(/\r\n/g, "\n") : text;
+  }
+
+  replaceLine(row, text) {
+    const start = this.offsetAt(row, 0);
+    this.delete({ start, end: start + this.getLine(row).length });
+    this.insert(start, text);
+  }
+
+  deleteLine(row) {
+    const lineCount = this.getLineCount();
+    if (row < 0 || row >= lineCount) return;
+
+    if (lineCount === 1) {
+      this.replaceLine(0, "");
+    } else if (row < lineCount - 1) {
+      this.delete({
+        start: this.offsetAt(row, 0),
+        end: this.offsetAt(row + 1, 0),
+      });
+    } else {
+      // Last line has no trailing newline; remove the one before it
+      const previousRow = row - 1;
+      this.delete({
+        start: this.offsetAt(previousRow, this.getLine(previousRow).length),
+        end: this.content.length,
+      });
+    }
+  }
+
+  ensureRow(row) {
+    const missing = row - (this.getLineCount() - 1);
+    if (missing > 0) {
+      this.insert(this.content.length, "\n".repeat(missing));
+    }
+  }
+
+  insertChar(row, col, char) {
+    this.insertText(row, col, char);
+  }
+
+  // Deletes the grapheme cluster (or line break) before the position and
+  // returns where it started, or null at the start of the buffer
+  deleteChar(row, col) {
+    if (row >= this.getLineCount()) return null;
+
+    if (col > 0 || row > 0) {
+      const start =
+        col > 0
+          ? { row, col: previousClusterStart(this.getLine(row), col) }
+          : { row: row - 1, col: this.getLine(row - 1).length };
+      this.delete({
+        start: this.offsetAt(start.row, start.col),
+        end: this.offsetAt(row, col),
+      });
+      return start;
+    }
+    return null;
+  }
+
+  insertLine(row, col = 0) {
+    this.insertText(row, col, "\n");
   }
 
   // File operations
-  async loadFile(filepath) {
+  // options.encoding forces an encoding instead of detecting one
+  async loadFile(filepath, options = {}) {
+    this.loadError = null;
     try {
-      const content = await fs.readFile(filepath, "utf8");
-      this.lines = content.split("\n");
-      if (this.lines.length === 0) this.lines = [""];
+      const stat = await fs.stat(filepath);
+      const sample = await readSample(filepath, LARGE_FILE_SAMPLE_SIZE);
+      const unsupported = detectUnsupportedCompression(sample);
+      if (unsupported) {
+        throw new Error(`${unsupported} files are not supported`);
+      }
+      // Compressed files are always decompressed into memory
+      if (!detectCompression(filepath, sample)) {
+        // An explicit encoding always opens the file as text
+        if (!options.encoding && isBinaryContent(sample)) {
+          return await this.loadBinaryFile(filepath);
+        }
+        if (stat.size >= this.largeFileThreshold) {
+          return await this.loadLargeFile(filepath, options);
+        }
+      }
+
+      const file = await readFileBytes(filepath);
+      if (!options.encoding && isBinaryContent(file.data)) {
+        return await this.loadBinaryFile(filepath, file);
+      }
+      const { text, format, lineEndings } = decodeContent(
+        file,
+        options.encoding
+      );
+      this.closeSource();
+      this.binary = null;
+      this.content.reset(text);
+      this.revision++;
+      this.format = format;
+      this.lineEndings = lineEndings;
       this.filename = filepath;
       this.modified = false;
-      this.history = [];
-      this.historyIndex = -1;
+      this.diskHash = HistoryStore.hashContent(file.bytes);
+      this.diskStat = await statFile(filepath);
+      this.history.clear();
+      await this.restoreHistory();
       return true;
     } catch (err) {
+      // Our own errors explain themselves; system ones get a plain
+      // "failed to open"
+      this.loadError = err.code ? null : err.message;
       return false;
     }
   }
 
+  // Large-file mode: only the first chunk is read before returning; the
+  // rest of the file is indexed in the background. History is not
+  // persisted because that would mean hashing the whole file.
+  async loadLargeFile(filepath, options = {}) {
+    const sample = await readSample(filepath, LARGE_FILE_SAMPLE_SIZE);
+    const encoding =
+      options.encoding ||
+      detectEncoding(
+        sample.length === LARGE_FILE_SAMPLE_SIZE
+          ? trimPartialUtf8(sample)
+          : sample
+      );
+    if (encoding !== "utf8" && encoding !== "latin1") {
+      // Character offsets cannot be derived from UTF-16 bytes chunk by chunk
+      throw new Error(`Large ${encoding} files are not supported`);
+    }
+    const bom =
+      encoding === "utf8" && decode(sample.subarray(0, 3), "utf8") === BOM;
+    const { eol } = detectLineEnding(decode(sample, encoding));
+
+    const source = new FileSource(filepath, {
+      encoding,
+      skipBytes: bom ? 3 : 0,
+    });
+    this.closeSource();
+    this.binary = null;
+    this.source = source;
+    source.indexNext();
+    this.content.reset(source);
+    this.revision++;
+    this.format = { ...defaultFormat(), eol, bom, encoding };
+    this.lineEndings = null;
+    this.filename = filepath;
+    this.modified = false;
+    this.diskHash = null;
+    this.diskStat = await statFile(filepath);
+    this.history.clear();
+    this.indexing = this.indexLargeFile(source);
+    return true;
+  }
+
+  // Names a file that doesn't exist yet; the first save creates it.
+  // Returns false when the path does exist.
+  async createFile(filepath, options = {}) {
+    if (await statFile(filepath)) return false;
+    this.closeSource();
+    this.binary = null;
+    this.content.reset("");
+    this.revision++;
+    this.format = defaultFormat();
+    if (options.encoding) this.format.encoding = options.encoding;
+    this.lineEndings = null;
+    this.filename = filepath;
+    this.modified = false;
+    this.diskHash = null;
+    this.diskStat = null;
+    this.history.clear();
+    return true;
+  }
+
+  // Unnamed buffer with text that didn't come from a file, such as piped
+  // stdin. Saving asks for a name like any untitled buffer.
+  loadBytes(bytes, options = {}) {
+    const { text, format, lineEndings } = decodeContent(
+      { data: bytes, compression: null },
+      options.encoding
+    );
+    this.closeSource();
+    this.binary = null;
+    this.content.reset(text);
+    this.revision++;
+    this.format = format;
+    this.lineEndings = lineEndings;
+    this.filename = null;
+    this.modified = false;
+    this.diskHash = null;
+    this.diskStat = null;
+    this.history.clear();
+  }
+
+  // Binary files are edited byte by byte in hex mode; the text content
+  // stays empty
+  async loadBinaryFile(filepath, file = null) {
+    const { bytes, data, compression } =
+      file || (await readFileBytes(filepath));
+    this.closeSource();
+    this.binary = new BinaryDocument(data);
+    this.content.reset("");
+    this.revision++;
+    this.format = { ...defaultFormat(), compression };
+    this.lineEndings = null;
+    this.filename = filepath;
+    this.modified = false;
+    this.diskHash = HistoryStore.hashContent(bytes);
+    this.diskStat = await statFile(filepath);
+    this.history.clear();
+    return true;
+  }
+
+  // Called after the hex view changes the binary document
+  markBinaryChanged() {
+    this.modified = this.binary.isModified();
+    this.revision++;
+  }
+
+  async indexLargeFile(source) {
+    try {
+      let more = !source.complete;
+      while (more) {
+        await new Promise((resolve) => setImmediate(resolve));
+        if (this.source !== source) return;
+        more = source.indexNext();
+        this.content.syncOriginal();
+        this.notifyProgress();
+      }
+    } catch (err) {
+      debugLog.log("Failed to index large file:", err.message);
+    }
+  }
+
+  notifyProgress() {
+    if (typeof this.progressListener === "function") {
+      this.progressListener();
+    }
+  }
+
+  closeSource() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+      this.indexing = null;
+    }
+  }
+
   async saveFile(filepath = this.filename) {
     if (!filepath) return false;
+    if (this.largeFile) return this.saveLargeFile(filepath);
+    if (this.binary) return this.saveBinaryFile(filepath);
 
     try {
-      const content = this.lines.join("\n");
-      await fs.writeFile(filepath, content, "utf8");
+      const text = this.getText();
+      const endings = resolveLineEndings(text, this.format, this.lineEndings);
+      const content = serializeContent(text, this.format, endings);
+      const bytes = await compress(
+        encode(content, this.format.encoding),
+        this.format.compression
+      );
+      await writeFileAtomic(filepath, bytes, { backup: this.backup });
       this.filename = filepath;
       this.modified = false;
+      this.lineEndings = endings && { text, endings };
+      this.diskHash = HistoryStore.hashContent(bytes);
+      this.diskStat = await statFile(filepath);
+      this.history.markSaved();
+      await this.persistHistory();
       return true;
     } catch (err) {
       return false;
     }
   }
 
-  // History management for undo/redo
-  saveToHistory() {
-    // Limit history size
-    const maxHistory = 100;
+  async saveBinaryFile(filepath) {
+    try {
+      const bytes = await compress(this.binary.bytes, this.format.compression);
+      await writeFileAtomic(filepath, bytes, { backup: this.backup });
+      this.filename = filepath;
+      this.modified = false;
+      this.diskHash = HistoryStore.hashContent(bytes);
+      this.diskStat = await statFile(filepath);
+      this.binary.markSaved();
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Streams the unchanged parts straight from the original file; the
+  // source keeps reading the old copy even after the rename replaces it
+  async saveLargeFile(filepath) {
+    if (this.isReadOnly()) return false;
+
+    try {
+      await writeFileAtomic(
+        filepath,
+        (handle) => this.writeLargeContent(handle),
+        { backup: this.backup }
+      );
+      this.filename = filepath;
+      this.modified = false;
+      this.diskStat = await statFile(filepath);
+      this.history.markSaved();
+      return true;
+    } catch (err) {
+      debugLog.log("Failed to save large file:", err.message);
+      return false;
+    }
+  }
 
-    // Remove any redo history when new change is made
-    if (this.historyIndex < this.history.length - 1) {
-      this.history = this.history.slice(0, this.historyIndex + 1);
+  async writeLargeContent(handle) {
+    const { encoding } = this.format;
+    if (this.format.bom) {
+      await handle.write(encode(BOM, encoding));
     }
+    // Inserted text uses "\n"; write new line breaks in the file's style
+    const insertedFormat = { eol: this.format.eol, bom: false };
+    for (const piece of this.content.pieces) {
+      const source = this.content.buffers[piece.bufferIndex];
+      const end = piece.start + piece.length;
+      if (source === this.source) {
+        await source.copyRange(handle, piece.start, end);
+      } else {
+        const text = serializeContent(
+          source.slice(piece.start, end),
+          insertedFormat
+        );
+        await handle.write(encode(text, encoding));
+      }
+    }
+  }
 
-    this.history.push({
-      lines: [...this.lines],
-      timestamp: Date.now(),
-    });
+  // Compares the file on disk with the version last loaded or saved.
+  // Returns { status: "unchanged" | "changed" | "missing", hash }.
+  async checkDisk() {
+    if (!this.filename || (!this.diskHash && !this.largeFile)) {
+      return { status: "unchanged" };
+    }
 
-    if (this.history.length > maxHistory) {
-      this.history.shift();
+    const stat = await statFile(this.filename);
+    if (!stat) return { status: "missing" };
+    if (
+      this.diskStat &&
+      stat.mtimeMs === this.diskStat.mtimeMs &&
+      stat.size === this.diskStat.size
+    ) {
+      return { status: "unchanged", hash: this.diskHash };
     }
+    // Large files are compared by metadata only
+    if (this.largeFile) return { status: "changed", hash: null };
 
-    this.historyIndex = this.history.length - 1;
+    let bytes;
+    try {
+      bytes = await fs.readFile(this.filename);
+    } catch (err) {
+      return { status: "missing" };
+    }
+    const hash = HistoryStore.hashContent(bytes);
+    if (hash === this.diskHash) {
+      // Touched but not modified
+      this.diskStat = stat;
+      return { status: "unchanged", hash };
+    }
+    return { status: "changed", hash };
   }
 
-  undo() {
-    if (this.historyIndex > 0) {
-      this.historyIndex--;
-      const state = this.history[this.historyIndex];
-      this.lines = [...state.lines];
-      this.modified = true;
+  // Replaces the text with the file on disk as a single undoable step, so
+  // a reload over unsaved changes can still be undone
+  async reloadFromDisk() {
+    if (!this.filename) return false;
+    if (this.largeFile || this.binary) return this.loadFile(this.filename);
+
+    try {
+      const { bytes, text, format, lineEndings } = await readFileContent(
+        this.filename
+      );
+      const stat = await statFile(this.filename);
+
+      this.forceReplaceText(text, "reload");
+      this.format = format;
+      this.lineEndings = lineEndings;
+      this.diskHash = HistoryStore.hashContent(bytes);
+      this.diskStat = stat;
+      this.modified = false;
+      this.history.markSaved();
       return true;
+    } catch (err) {
+      return false;
     }
-    return false;
   }
 
-  redo() {
-    if (this.historyIndex < this.history.length - 1) {
-      this.historyIndex++;
-      const state = this.history[this.historyIndex];
-      this.lines = [...state.lines];
+  // Replaces the whole text as one undo step, touching only the span that
+  // actually differs. Returns false when the text is already the same.
+  replaceText(text, kind = "replace") {
+    const current = this.getText();
+    if (text === current) return false;
+
+    const { start, oldEnd, newEnd } = changedRange(current, text);
+    this.transact(kind, () => {
+      this.delete({ start, end: oldEnd });
+      this.insert(start, text.slice(start, newEnd));
+    });
+    return true;
+  }
+
+  // Reloading and recovering follow the file even in read-only buffers
+  forceReplaceText(text, kind) {
+    this.forceEdits = true;
+    try {
+      return this.replaceText(text, kind);
+    } finally {
+      this.forceEdits = false;
+    }
+  }
+
+  // Applies the text and format kept in a swap file as one undo step, so
+  // undo returns to the file as it is on disk
+  recover(entry) {
+    this.forceReplaceText(entry.text, "recover");
+    const format = { ...this.format, ...entry.format };
+    if (JSON.stringify(format) !== JSON.stringify(this.format)) {
+      this.format = format;
       this.modified = true;
-      return true;
+      this.revision++;
+      this.history.invalidateSavePoint();
+    }
+  }
+
+  // Current text of the file on disk, or null when it cannot be read
+  async readDiskText() {
+    if (!this.filename || this.largeFile || this.binary) return null;
+    try {
+      const { text } = await readFileContent(this.filename);
+      return text;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Keeps the buffer contents after the file changed on disk. The buffer
+  // no longer matches any saved state, so it counts as modified.
+  async keepChangesOverDisk(hash) {
+    this.diskHash = hash || this.diskHash;
+    this.diskStat = await statFile(this.filename);
+    this.modified = true;
+    this.history.invalidateSavePoint();
+  }
+
+  // Changes the line ending style used on the next save
+  setLineEnding(eol) {
+    if (this.format.eol === eol && !this.format.mixedEol) return false;
+    this.format = { ...this.format, eol, mixedEol: false };
+    this.lineEndings = null;
+    this.modified = true;
+    this.revision++;
+    this.history.invalidateSavePoint();
+    return true;
+  }
+
+  // Changes the encoding used on the next save
+  setEncoding(encoding) {
+    if (this.format.encoding === encoding) return false;
+    this.format = { ...this.format, encoding };
+    this.modified = true;
+    this.revision++;
+    this.history.invalidateSavePoint();
+    return true;
+  }
+
+  // Undo history survives restarts as long as the file is unchanged on disk
+  async persistHistory() {
+    if (!this.historyStore || !this.filename || !this.diskHash) return;
+    if (this.binary) return;
+    // Without a node matching the file on disk the tree cannot be reloaded
+    if (this.history.savedId === null) return;
+    await this.historyStore.save(this.filename, this.diskHash, this.history);
+  }
+
+  async restoreHistory() {
+    if (!this.historyStore || !this.filename || !this.diskHash) return;
+    const data = await this.historyStore.load(this.filename, this.diskHash);
+    if (data && !this.history.restore(data)) {
+      this.history.clear();
+      await this.historyStore.remove(this.filename);
+    }
+  }
+
+  // History management for undo/redo. Both return the transaction that
+  // was applied so callers can restore its cursor/selection state.
+  undo() {
+    const transaction = this.history.takeUndo();
+    if (!transaction) return null;
+
+    revertEdits(this.content, transaction.edits);
+    this.revision++;
+    this.modified = !this.history.isAtSavePoint();
+    return transaction;
+  }
+
+  redo() {
+    const transaction = this.history.takeRedo();
+    if (!transaction) return null;
+
+    applyEdits(this.content, transaction.edits);
+    this.revision++;
+    this.modified = !this.history.isAtSavePoint();
+    return transaction;
+  }
+
+  // Moves to any node of the undo tree. Returns the cursor/selection state
+  // recorded for that point, or null when the node does not exist.
+  jumpToHistory(nodeId) {
+    const path = this.history.moveTo(nodeId);
+    if (!path) return null;
+
+    path.undo.forEach((node) => revertEdits(this.content, node.edits));
+    path.redo.forEach((node) => applyEdits(this.content, node.edits));
+    this.revision++;
+    this.modified = !this.history.isAtSavePoint();
+
+    if (path.redo.length > 0) {
+      return path.redo[path.redo.length - 1].after;
     }
-    return false;
+    if (path.undo.length > 0) {
+      return path.undo[path.undo.length - 1].before;
+    }
+    return this.snapshotState();
+  }
+
+  // Text of the document at a history node, without moving to it
+  getTextAtHistory(nodeId) {
+    // Previews copy the whole document
+    if (this.largeFile) return null;
+    const path = this.history.getPath(this.history.currentId, nodeId);
+    if (!path) return null;
+
+    const preview = new PieceTable(this.getText());
+    path.undo.forEach((node) => revertEdits(preview, node.edits));
+    path.redo.forEach((node) => applyEdits(preview, node.edits));
+    return preview.getText();
   }
 
   // Utility methods
+  // The CR of a CRLF line break in a large file is left out, which keeps
+  // the cursor and edits in front of it
   getLine(row) {
-    return this.lines[row] || "";
+    const line = this.content.getLine(row);
+    if (
+      this.largeFile &&
+      line.endsWith("\r") &&
+      row < this.getLineCount() - 1
+    ) {
+      return line.slice(0, -1);
+    }
+    return line;
+  }
+
+  // Lines startRow up to (not including) endRow, read in one go: much
+  // cheaper than a getLine per line when the text comes from a large file
+  getLines(startRow, endRow) {
+    const lineCount = this.getLineCount();
+    const last = Math.min(endRow, lineCount);
+    if (startRow >= last) return [];
+    const lines = this.content
+      .getTextRange(
+        this.content.getLineStartOffset(startRow),
+        this.content.getLineStartOffset(last)
+      )
+      .split("\n");
+    if (last < lineCount) lines.pop(); // After the last line's line feed
+    if (!this.largeFile) return lines;
+    return lines.map((line, i) =>
+      line.endsWith("\r") && startRow + i < lineCount - 1
+        ? line.slice(0, -1)
+        : line
+    );
   }
 
   getLineCount() {
-    return this.lines.length;
+    return this.content.getLineCount();
+  }
+
+  get lineCount() {
+    return this.getLineCount();
   }
 
   getText() {
-    return this.lines.join("\n");
+    return this.content.getText();
+  }
+}
+
+// Raw file bytes plus the decompressed data behind them
+async function readFileBytes(filepath) {
+  const bytes = await fs.readFile(filepath);
+  const compression = detectCompression(filepath, bytes);
+  const data = await decompress(bytes, compression);
+  return { bytes, data, compression };
+}
+
+// Decodes file data; encoding is detected unless one is given
+function decodeContent({ data, compression }, encoding = null) {
+  const chosen = encoding || detectEncoding(data);
+  const { text, format, lineEndings } = parseContent(decode(data, chosen));
+  return {
+    text,
+    format: { ...format, encoding: chosen, compression },
+    lineEndings,
+  };
+}
+
+async function readFileContent(filepath, encoding = null) {
+  const file = await readFileBytes(filepath);
+  return { bytes: file.bytes, ...decodeContent(file, encoding) };
+}
+
+async function statFile(filepath) {
+  try {
+    const stat = await fs.stat(filepath);
+    return { mtimeMs: stat.mtimeMs, size: stat.size };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Smallest span that differs between two strings, found by trimming the
+// common prefix and suffix
+function changedRange(oldText, newText) {
+  const limit = Math.min(oldText.length, newText.length);
+  let start = 0;
+  while (start < limit && oldText[start] === newText[start]) {
+    start++;
+  }
+
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldText[oldEnd - 1] === newText[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+  return { start, oldEnd, newEnd };
+}
+
+// Edits are replayed directly on the piece table so nothing is recorded
+function applyEdits(table, edits) {
+  for (const { offset, removed, inserted } of edits) {
+    table.delete(offset, removed.length);
+    table.insert(offset, inserted);
+  }
+}
+
+function revertEdits(table, edits) {
+  for (let i = edits.length - 1; i >= 0; i--) {
+    const { offset, removed, inserted } = edits[i];
+    table.delete(offset, inserted.length);
+    table.insert(offset, removed);
   }
 }
 
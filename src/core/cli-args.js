@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const { parseEncodingName } = require("./encoding");
+
+const USAGE = `Usage: silent-edit [options] [+line] [file[:line[:col]]]... [-]
+
+Options:
+  -                    Edit text read from stdin in an unnamed buffer
+  --wait               Exit once the given files are closed; the exit code
+                       is 1 if their changes were discarded
+  --readonly           Open the given files read-only
+  --workspace <dir>    Workspace root for file search and sessions
+  --encoding <name>    Open the given files with this encoding
+  --no-session         Start empty instead of restoring the last session
+  -c, --client         Open the files in the editor already running, if any
+  --no-server          Don't accept files from --client
+  --rpc-stdio          Serve the JSON-RPC automation API on stdin/stdout
+  -h, --help           Show this help and exit
+  -v, --version        Show the version and exit
+  --                   Treat every following argument as a file
+
+Files that don't exist open as new buffers and are created on first save.
+Piped stdin is read even without - when no files are given.`;
+
+// ===== Command Line =====
+// Turns argv (without node and the script) into editor options. Problems
+// are reported through the error field rather than thrown, so the caller
+// can print them before the screen is set up.
+function parseArgs(argv, options = {}) {
+  const exists = options.exists || fs.existsSync;
+  const result = {
+    files: [], // { path, line, col }, line and col 1-based or null
+    readonly: false,
+    workspace: null,
+    encoding: null,
+    stdin: false,
+    wait: false,
+    session: true,
+    client: false,
+    server: true,
+    rpcStdio: false,
+    help: false,
+    version: false,
+    error: null,
+  };
+
+  let pendingLine = null;
+  let filesOnly = false;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (filesOnly || !arg.startsWith("-")) {
+      const line = !filesOnly && arg.match(/^\+(\d+)$/);
+      if (line) {
+        pendingLine = Number(line[1]);
+        continue;
+      }
+      const file = parseFileArg(arg, exists);
+      if (pendingLine !== null) {
+        file.line = pendingLine;
+        file.col = null;
+        pendingLine = null;
+      }
+      result.files.push(file);
+      continue;
+    }
+
+    const [flag, inlineValue] = splitFlag(arg);
+    const takeValue = () => {
+      if (inlineValue !== null) return inlineValue;
+      if (i + 1 >= argv.length) return null;
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case "--":
+        filesOnly = true;
+        break;
+      case "-":
+        result.stdin = true;
+        break;
+      case "--wait":
+        result.wait = true;
+        break;
+      case "-h":
+      case "--help":
+        result.help = true;
+        break;
+      case "-v":
+      case "--version":
+        result.version = true;
+        break;
+      case "--readonly":
+        result.readonly = true;
+        break;
+      case "--no-session":
+        result.session = false;
+        break;
+      case "-c":
+      case "--client":
+        result.client = true;
+        break;
+      case "--no-server":
+        result.server = false;
+        break;
+      case "--rpc-stdio":
+        result.rpcStdio = true;
+        break;
+      case "--workspace": {
+        const value = takeValue();
+        if (!value) return fail(result, "--workspace needs a directory");
+        const workspace = path.resolve(value);
+        if (!isDirectory(workspace)) {
+          return fail(result, `Not a directory: ${value}`);
+        }
+        result.workspace = workspace;
+        break;
+      }
+      case "--encoding": {
+        const value = takeValue();
+        if (!value) return fail(result, "--encoding needs an encoding name");
+        const encoding = parseEncodingName(value);
+        if (!encoding) return fail(result, `Unknown encoding: ${value}`);
+        result.encoding = encoding;
+        break;
+      }
+      default:
+        return fail(result, `Unknown option: ${arg}`);
+    }
+  }
+
+  if (pendingLine !== null) {
+    return fail(result, `+${pendingLine} must be followed by a file`);
+  }
+  if (result.client && (result.stdin || result.files.length === 0)) {
+    return fail(result, "--client needs files to open");
+  }
+  if (result.rpcStdio && (result.stdin || result.client)) {
+    return fail(result, "--rpc-stdio can't be combined with - or --client");
+  }
+  return result;
+}
+
+// "--flag=value" carries its value inline
+function splitFlag(arg) {
+  const index = arg.indexOf("=");
+  if (!arg.startsWith("--") || index === -1) return [arg, null];
+  return [arg.slice(0, index), arg.slice(index + 1)];
+}
+
+// A trailing :line or :line:col is only split off when the whole argument
+// isn't itself an existing path
+function parseFileArg(arg, exists) {
+  const match = arg.match(/^(.+?):(\d+)(?::(\d+))?$/);
+  if (!match || exists(arg)) {
+    return { path: arg, line: null, col: null };
+  }
+  return {
+    path: match[1],
+    line: Number(match[2]),
+    col: match[3] !== undefined ? Number(match[3]) : null,
+  };
+}
+
+function isDirectory(target) {
+  try {
+    return fs.statSync(target).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+function fail(result, message) {
+  result.error = message;
+  return result;
+}
+
+module.exports = { USAGE, parseArgs };
@@ -0,0 +1,71 @@
+const blessed = require("blessed");
+const unicode = require("blessed/lib/unicode");
+const { getDisplayText } = require("./text-width");
+
+// Private-use characters that hold a cluster's cells in element content
+const CLUSTER = "\uE000";
+const FILLER = "\uE001";
+
+// ===== Cluster Cells =====
+// blessed measures content one code point at a time, so it splits emoji
+// sequences, flags and skin tones over several cells and draws most emoji
+// one cell wide. Clusters it would get wrong go into the content as
+// placeholders instead, one per cell, and are put into the cells once the
+// element has drawn.
+class ClusterCells {
+  constructor(element) {
+    this.element = element;
+    this.rows = []; // Content row -> clusters in placeholder order
+    element.on("render", (coords) => this.patch(coords));
+  }
+
+  // Call before building new content
+  reset() {
+    this.rows = [];
+  }
+
+  // Tagged content that draws a cluster `width` cells wide on a content
+  // row
+  format(row, cluster, width) {
+    const text = getDisplayText(cluster, width);
+    if (/^[\x20-\x7e]+$/.test(text)) return blessed.escape(text);
+    if (
+      text.length === 1 &&
+      text !== CLUSTER &&
+      text !== FILLER &&
+      unicode.charWidth(text, 0) === width
+    ) {
+      return text;
+    }
+    if (!this.rows[row]) this.rows[row] = [];
+    this.rows[row].push(text);
+    return CLUSTER + FILLER.repeat(width - 1);
+  }
+
+  patch(coords) {
+    const { lines, olines } = this.element.screen;
+    for (let row = 0; row < this.rows.length; row++) {
+      const clusters = this.rows[row];
+      const y = coords.yi + row;
+      if (!clusters || !lines[y] || y >= coords.yl) continue;
+      let next = 0;
+      for (let x = coords.xi; x < coords.xl; x++) {
+        const cell = lines[y][x];
+        if (cell[1] === CLUSTER) {
+          cell[1] = clusters[next++] || " ";
+        } else if (cell[1] === FILLER) {
+          // The cluster before already moved the terminal cursor on
+          cell[1] = "";
+        } else {
+          continue;
+        }
+        // Redraw these cells every time, as blessed does for its own wide
+        // characters, so it never skips the cursor past half a cluster
+        if (olines[y] && olines[y][x]) olines[y][x][1] = "\0";
+        lines[y].dirty = true;
+      }
+    }
+  }
+}
+
+module.exports = { ClusterCells };
@@ -0,0 +1,71 @@
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+// ===== Compression =====
+// Compressed files are decompressed on load and compressed again in the
+// same format on save, so the buffer only ever sees the plain content.
+// Formats are recognised by their magic bytes; the extension only decides
+// for empty files. Only codecs that ship with Node's zlib are available;
+// other formats are recognised only to refuse them.
+const COMPRESSIONS = {
+  gzip: {
+    name: "gzip",
+    label: "gzip",
+    extensions: [".gz", ".tgz"],
+    magic: [0x1f, 0x8b],
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+  },
+};
+
+// Known formats there is no codec for
+const UNSUPPORTED = [{ label: "bzip2", magic: [0x42, 0x5a, 0x68] }]; // "BZh"
+
+function detectCompression(filepath, bytes) {
+  const entries = Object.values(COMPRESSIONS);
+  if (bytes.length === 0) {
+    const extension = path.extname(filepath || "").toLowerCase();
+    const entry = entries.find((item) => item.extensions.includes(extension));
+    return entry ? entry.name : null;
+  }
+
+  const entry = entries.find((item) =>
+    item.magic.every((value, index) => bytes[index] === value)
+  );
+  return entry ? entry.name : null;
+}
+
+// Label of a compression format that cannot be opened, or null
+function detectUnsupportedCompression(bytes) {
+  const entry = UNSUPPORTED.find((item) =>
+    item.magic.every((value, index) => bytes[index] === value)
+  );
+  return entry ? entry.label : null;
+}
+
+function getCompressionLabel(compression) {
+  const entry = COMPRESSIONS[compression];
+  return entry ? entry.label : "";
+}
+
+// Both pass bytes through unchanged when compression is null. An empty
+// file decompresses to nothing.
+async function compress(bytes, compression) {
+  if (!compression) return bytes;
+  return COMPRESSIONS[compression].compress(bytes);
+}
+
+async function decompress(bytes, compression) {
+  if (!compression || bytes.length === 0) return bytes;
+  return COMPRESSIONS[compression].decompress(bytes);
+}
+
+module.exports = {
+  COMPRESSIONS,
+  detectCompression,
+  detectUnsupportedCompression,
+  getCompressionLabel,
+  compress,
+  decompress,
+};
@@ -1,4 +1,15 @@
+const {
+  getClusters,
+  displayWidth,
+  columnAtWidth,
+  clusterStart,
+  nextClusterEnd,
+  previousClusterStart,
+} = require("./text-width");
+
 // ===== Cursor Management =====
+// Columns are UTF-16 offsets into the line and always fall between
+// grapheme clusters; preferredCol is a display column
 class Cursor {
   constructor(buffer) {
     this.buffer = buffer;
@@ -7,23 +18,33 @@ class Cursor {
     this.preferredCol = 0; // Remember column when moving up/down
   }
 
+  // Call after moving along a line, so moving up and down later keeps to
+  // the same place on screen
+  updatePreferredCol() {
+    this.preferredCol = displayWidth(
+      this.buffer.getLine(this.row),
+      this.col,
+      this.buffer.tabWidth
+    );
+  }
+
   // Movement methods
   moveLeft() {
     if (this.col > 0) {
-      this.col--;
-      this.preferredCol = this.col;
+      this.col = previousClusterStart(this.buffer.getLine(this.row), this.col);
+      this.updatePreferredCol();
     } else if (this.row > 0) {
       this.row--;
       this.col = this.buffer.getLine(this.row).length;
-      this.preferredCol = this.col;
+      this.updatePreferredCol();
     }
   }
 
   moveRight() {
-    const lineLength = this.buffer.getLine(this.row).length;
-    if (this.col < lineLength) {
-      this.col++;
-      this.preferredCol = this.col;
+    const line = this.buffer.getLine(this.row);
+    if (this.col < line.length) {
+      this.col = nextClusterEnd(line, this.col);
+      this.updatePreferredCol();
     } else if (this.row < this.buffer.getLineCount() - 1) {
       this.row++;
       this.col = 0;
@@ -34,16 +55,22 @@ class Cursor {
   moveUp() {
     if (this.row > 0) {
       this.row--;
-      const lineLength = this.buffer.getLine(this.row).length;
-      this.col = Math.min(this.preferredCol, lineLength);
+      this.col = columnAtWidth(
+        this.buffer.getLine(this.row),
+        this.preferredCol,
+        this.buffer.tabWidth
+      );
     }
   }
 
   moveDown() {
     if (this.row < this.buffer.getLineCount() - 1) {
       this.row++;
-      const lineLength = this.buffer.getLine(this.row).length;
-      this.col = Math.min(this.preferredCol, lineLength);
+      this.col = columnAtWidth(
+        this.buffer.getLine(this.row),
+        this.preferredCol,
+        this.buffer.tabWidth
+      );
     }
   }
 
@@ -54,7 +81,7 @@ class Cursor {
 
   moveToLineEnd() {
     this.col = this.buffer.getLine(this.row).length;
-    this.preferredCol = this.col;
+    this.updatePreferredCol();
   }
 
   moveToStart() {
@@ -66,13 +93,13 @@ class Cursor {
   moveToEnd() {
     this.row = Math.max(0, this.buffer.getLineCount() - 1);
     this.col = this.buffer.getLine(this.row).length;
-    this.preferredCol = this.col;
+    this.updatePreferredCol();
   }
 
-  // Token type detection
+  // Token type detection, by the first character of a cluster
   getTokenType(char) {
     if (/\s/.test(char)) return "whitespace";
-    if (/\w/.test(char)) return "word";
+    if (/[\p{L}\p{N}_]/u.test(char)) return "word";
     if (/[(){}[\]]/.test(char)) return "bracket";
     if (/[.,;:]/.test(char)) return "punctuation";
     if (/[+\-*/%=<>!&|^~]/.test(char)) return "operator";
@@ -83,9 +110,8 @@ class Cursor {
   // Smart token-based movement
   moveTokenForward() {
     const line = this.buffer.getLine(this.row);
-    let newCol = this.col;
 
-    if (newCol >= line.length) {
+    if (this.col >= line.length) {
       // Move to next line
       if (this.row < this.buffer.getLineCount() - 1) {
         this.row++;
@@ -95,52 +121,59 @@ class Cursor {
       return;
     }
 
-    const currentType = this.getTokenType(line[newCol]);
+    const clusters = getClusters(line);
+    let index = clusters.findIndex((cluster) => cluster.col >= this.col);
+    if (index === -1) index = clusters.length - 1;
+    const currentType = this.getTokenType(clusters[index].text);
 
     // Skip current token type
     while (
-      newCol < line.length &&
-      this.getTokenType(line[newCol]) === currentType
+      index < clusters.length &&
+      this.getTokenType(clusters[index].text) === currentType
     ) {
-      newCol++;
+      index++;
     }
 
-    this.col = newCol;
-    this.preferredCol = this.col;
+    this.col = index < clusters.length ? clusters[index].col : line.length;
+    this.updatePreferredCol();
   }
 
   moveTokenBackward() {
     const line = this.buffer.getLine(this.row);
-    let newCol = this.col;
 
-    if (newCol <= 0) {
+    if (this.col <= 0) {
       // Move to previous line
       if (this.row > 0) {
         this.row--;
         this.col = this.buffer.getLine(this.row).length;
-        this.preferredCol = this.col;
+        this.updatePreferredCol();
       }
       return;
     }
 
-    // Move back one position to check the character we're moving into
-    newCol--;
-    const targetType = this.getTokenType(line[newCol]);
+    // Move back one cluster to check the character we're moving into
+    const clusters = getClusters(line);
+    let index = clusters.findIndex((cluster) => cluster.col >= this.col);
+    index = (index === -1 ? clusters.length : index) - 1;
+    const targetType = this.getTokenType(clusters[index].text);
 
     // Skip backwards through the same token type
-    while (newCol > 0 && this.getTokenType(line[newCol - 1]) === targetType) {
-      newCol--;
+    while (
+      index > 0 &&
+      this.getTokenType(clusters[index - 1].text) === targetType
+    ) {
+      index--;
     }
 
-    this.col = newCol;
-    this.preferredCol = this.col;
+    this.col = clusters[index].col;
+    this.updatePreferredCol();
   }
 
   // Ensure cursor is within valid bounds
   clamp() {
     this.row = Math.max(0, Math.min(this.row, this.buffer.getLineCount() - 1));
-    const lineLength = this.buffer.getLine(this.row).length;
-    this.col = Math.max(0, Math.min(this.col, lineLength));
+    const line = this.buffer.getLine(this.row);
+    this.col = clusterStart(line, Math.max(0, Math.min(this.col, line.length)));
   }
 }
 
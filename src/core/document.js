@@ -0,0 +1,58 @@
+const path = require("path");
+const { Buffer } = require("./buffer");
+const { FileWatcher } = require("./file-watcher");
+const { BracketMatcher } = require("../features/bracket-matcher");
+
+let nextDocumentId = 1;
+
+// ===== Document =====
+// One open buffer together with the state that belongs to the file rather
+// than to a pane showing it: file watcher, swap file bookkeeping and
+// bracket matching. The editor keeps a list of these in tab order; panes
+// show them through views (see pane.js).
+class Document {
+  constructor(bufferOptions = {}, options = {}) {
+    this.id = nextDocumentId++;
+    this.buffer = new Buffer(bufferOptions);
+    this.brackets = new BracketMatcher(this.buffer);
+
+    this.swapRevision = null; // Buffer revision last written to the swap file
+    this.diskCheckPending = false; // Changed on disk while in the background
+    this.lastActive = 0;
+    this.label = null; // Shown instead of "Untitled" when there is no file
+    this.fileWatcher = new FileWatcher({
+      onChange: () =>
+        options.onExternalChange && options.onExternalChange(this),
+    });
+  }
+
+  get name() {
+    return this.buffer.filename
+      ? path.basename(this.buffer.filename)
+      : this.label || "Untitled";
+  }
+
+  isFile(filepath) {
+    return (
+      Boolean(this.buffer.filename) &&
+      path.resolve(this.buffer.filename) === path.resolve(filepath)
+    );
+  }
+
+  // An untitled buffer nobody has typed into yet; opening a file reuses it
+  isPristine() {
+    return (
+      !this.buffer.filename &&
+      !this.buffer.modified &&
+      this.buffer.getLineCount() === 1 &&
+      this.buffer.getLine(0) === ""
+    );
+  }
+
+  close() {
+    this.fileWatcher.unwatch();
+    this.buffer.closeSource();
+  }
+}
+
+module.exports = { Document };
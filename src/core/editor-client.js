@@ -0,0 +1,53 @@
+const net = require("net");
+const { getSocketPath, checkSocket } = require("./editor-server");
+
+// ===== Editor Client =====
+// Sends one JSON-RPC request to a running editor and resolves with its
+// result. Connection failures reject with the socket error, whose code
+// (ENOENT, ECONNREFUSED) tells the caller that no editor is listening.
+async function sendRequest(method, params, options = {}) {
+  const socketPath = options.socketPath || getSocketPath();
+  await checkSocket(socketPath);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(socketPath);
+    let pending = "";
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      fn(value);
+    };
+
+    socket.setEncoding("utf8");
+    socket.once("connect", () => {
+      const request = { jsonrpc: "2.0", id: 1, method, params };
+      socket.write(`${JSON.stringify(request)}\n`);
+      if (options.onConnect) options.onConnect();
+    });
+    socket.on("data", (chunk) => {
+      pending += chunk;
+      const newline = pending.indexOf("\n");
+      if (newline === -1) return;
+
+      let response;
+      try {
+        response = JSON.parse(pending.slice(0, newline));
+      } catch (err) {
+        settle(reject, new Error("Invalid response from editor"));
+        return;
+      }
+      if (response.error) {
+        settle(reject, new Error(response.error.message));
+      } else {
+        settle(resolve, response.result);
+      }
+    });
+    socket.once("error", (err) => settle(reject, err));
+    socket.once("close", () =>
+      settle(reject, new Error("Editor closed the connection"))
+    );
+  });
+}
+
+module.exports = { sendRequest };
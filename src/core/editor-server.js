@@ -0,0 +1,174 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { debugLog } = require("./debug-logger");
+const { JsonRpcConnection } = require("./json-rpc");
+
+// ===== Editor Server =====
+// A running editor listens on a per-user Unix domain socket so that
+// `silent-edit --client` can hand it files instead of starting a second
+// editor. Each connection speaks JSON-RPC (see json-rpc.js) with the
+// methods of the automation API; handlers may answer later (e.g. once
+// waited-for buffers are closed).
+class EditorServer {
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || getSocketPath();
+    // name -> async (params, connection) => result
+    this.methods = options.methods || new Map();
+    this.server = null;
+    this.connections = new Set();
+    this.removeOnExit = () => removeSocketSync(this.socketPath);
+  }
+
+  register(method, handler) {
+    this.methods.set(method, handler);
+  }
+
+  // Returns false when another editor already serves the socket or it
+  // can't be created
+  async start() {
+    try {
+      await prepareSocketDir(this.socketPath);
+      try {
+        await this.listen();
+      } catch (err) {
+        if (err.code !== "EADDRINUSE") throw err;
+        if (await isServing(this.socketPath)) return false;
+        // Left behind by an editor that crashed
+        await fs.unlink(this.socketPath);
+        await this.listen();
+      }
+      // Others may share a directory given by SILENT_EDIT_SOCKET
+      if (process.platform !== "win32") {
+        await fs.chmod(this.socketPath, 0o600);
+      }
+    } catch (err) {
+      debugLog.log("Failed to start editor server:", err.message);
+      if (this.server) this.server.close();
+      this.server = null;
+      return false;
+    }
+    process.on("exit", this.removeOnExit);
+    return true;
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this.accept(socket));
+      server.once("error", reject);
+      server.listen(this.socketPath, () => {
+        server.removeListener("error", reject);
+        server.unref();
+        this.server = server;
+        resolve();
+      });
+    });
+  }
+
+  accept(socket) {
+    const connection = new JsonRpcConnection(socket, socket, this.methods);
+    this.connections.add(connection);
+    connection.onClose(() => this.connections.delete(connection));
+    connection.start();
+  }
+
+  // Ends every connection after its pending replies are flushed
+  async stop() {
+    if (!this.server) return;
+    await Promise.all(
+      [...this.connections].map((connection) => connection.end())
+    );
+    this.server.close();
+    this.server = null;
+    process.removeListener("exit", this.removeOnExit);
+    removeSocketSync(this.socketPath);
+  }
+}
+
+// One socket per user; SILENT_EDIT_SOCKET overrides it
+function getSocketPath() {
+  if (process.env.SILENT_EDIT_SOCKET) {
+    return path.resolve(process.env.SILENT_EDIT_SOCKET);
+  }
+  return getDefaultSocketPath();
+}
+
+// Socket paths are limited to ~100 bytes, so they live in
+// $XDG_RUNTIME_DIR or the temp directory rather than the user data
+// directory
+function getDefaultSocketPath() {
+  const user = process.getuid ? process.getuid() : os.userInfo().username;
+  if (process.platform === "win32") {
+    return `\\\\.\\pipe\\silent-edit-${user}`;
+  }
+  if (process.env.XDG_RUNTIME_DIR) {
+    return path.join(process.env.XDG_RUNTIME_DIR, "silent-edit", "server.sock");
+  }
+  return path.join(os.tmpdir(), `silent-edit-${user}`, "server.sock");
+}
+
+async function prepareSocketDir(socketPath) {
+  if (process.platform === "win32") return;
+  await fs.mkdir(path.dirname(socketPath), { recursive: true, mode: 0o700 });
+  if (socketPath === getDefaultSocketPath()) {
+    await checkPrivateDir(path.dirname(socketPath));
+  }
+}
+
+// Run by clients before connecting. Anyone who can write to the socket's
+// directory could put their own socket there and receive the files and
+// edits meant for us. The per-user directory must be ours alone (someone
+// else may have created it first in /tmp); a socket placed elsewhere on
+// purpose, e.g. in /tmp itself, must at least belong to us.
+async function checkSocket(socketPath) {
+  if (process.platform === "win32") return;
+  if (socketPath === getDefaultSocketPath()) {
+    await checkPrivateDir(path.dirname(socketPath));
+    return;
+  }
+  const stats = await fs.lstat(socketPath);
+  if (!stats.isSocket()) {
+    throw new Error(`Not a socket: ${socketPath}`);
+  }
+  if (stats.uid !== process.getuid()) {
+    throw new Error(`Socket is owned by someone else: ${socketPath}`);
+  }
+}
+
+async function checkPrivateDir(dir) {
+  const stats = await fs.lstat(dir);
+  if (!stats.isDirectory()) {
+    throw new Error(`Socket directory is not a directory: ${dir}`);
+  }
+  if (stats.uid !== process.getuid()) {
+    throw new Error(`Socket directory is owned by someone else: ${dir}`);
+  }
+  if ((stats.mode & 0o777) !== 0o700) {
+    throw new Error(`Socket directory must have mode 0700: ${dir}`);
+  }
+}
+
+// Whether something answers on the socket
+function isServing(socketPath) {
+  return new Promise((resolve) => {
+    const socket = net.connect(socketPath);
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once("error", () => resolve(false));
+  });
+}
+
+function removeSocketSync(socketPath) {
+  if (process.platform === "win32") return;
+  try {
+    fsSync.unlinkSync(socketPath);
+  } catch (err) {
+    // Already gone
+  }
+}
+
+module.exports = { EditorServer, getSocketPath, checkSocket };
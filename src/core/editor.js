@@ -1,57 +1,473 @@
+const fs = require("fs").promises;
+const os = require("os");
 const path = require("path");
+const { EventEmitter } = require("events");
 const blessed = require("blessed");
-const { Buffer } = require("./buffer");
-const { Cursor } = require("./cursor");
+const { Document } = require("./document");
+const { Pane } = require("./pane");
+const { PaneLayout } = require("./pane-layout");
+const { HistoryStore } = require("./history-store");
+const { loadSettings } = require("./settings");
+const { SwapStore, isProcessRunning } = require("./swap-store");
+const { SessionStore } = require("./session-store");
+const { parseArgs } = require("./cli-args");
+const { EditorServer } = require("./editor-server");
+const { Automation } = require("./automation");
+const { LINE_ENDINGS, parseLineEndingName } = require("./file-format");
+const {
+  parseEncodingName,
+  getEncodingLabel,
+  countUnencodable,
+} = require("./encoding");
 const { UI } = require("./ui");
+const { displayWidth, nextClusterEnd } = require("./text-width");
+const { SelectionRange } = require("../selection");
 const { OverlayHost } = require("./overlay-host");
-const { Selection } = require("../selection");
 const { Clipboard } = require("../features/clipboard");
 const { CommandHandler } = require("../features/command-handler");
+const { parseBytePattern } = require("../features/hex-view");
+const {
+  parseGoToTarget,
+  findSymbols,
+  matchSymbols,
+} = require("../features/go-to");
 const {
   FileSearchOverlay,
 } = require("../features/file-search/file-search-overlay");
 const {
   ConfirmationOverlay,
 } = require("../features/overlays/confirmation-overlay");
+const { HistoryOverlay } = require("../features/overlays/history-overlay");
+const { DiffOverlay } = require("../features/overlays/diff-overlay");
+const { GoToOverlay } = require("../features/overlays/go-to-overlay");
+const {
+  BufferSwitcherOverlay,
+} = require("../features/overlays/buffer-switcher-overlay");
+
+const SWAP_INTERVAL_MS = 2000;
+const PROGRESS_RENDER_MS = 250;
+const PANE_RESIZE_STEP = 0.05;
+// Lines searched in a large file between chances to handle input
+const SEARCH_BATCH_LINES = 20000;
 
 // ===== Main Editor Class =====
 class TextEditor {
-  constructor() {
-    this.screen = blessed.screen({
-      smartCSR: true,
-      fullUnicode: true,
-      title: "Terminal Code Editor",
-      keys: true,
-      input: process.stdin,
-      output: process.stdout,
-    });
+  // options.input/output replace stdin/stdout for the screen (see
+  // terminal.js); options.screen replaces the screen itself, e.g. with a
+  // VirtualTerminal's
+  constructor(options = {}) {
+    this.screen =
+      options.screen ||
+      blessed.screen({
+        smartCSR: true,
+        fullUnicode: true,
+        title: "Terminal Code Editor",
+        keys: true,
+        input: options.input || process.stdin,
+        output: options.output || process.stdout,
+      });
 
     this.workspaceRoot = process.cwd();
-    this.buffer = new Buffer();
-    this.cursor = new Cursor(this.buffer);
+    this.settings = loadSettings();
+    this.bufferOptions = {
+      historyStore: new HistoryStore(),
+      backup: this.settings.backup,
+      largeFileThreshold: this.settings.largeFileMB * 1024 * 1024,
+      tabWidth: this.settings.tabWidth,
+    };
 
-    // Add selection and clipboard
-    this.selection = new Selection(this.buffer, this.cursor);
+    // Open documents in tab order. Panes show them; this.pane has focus.
+    this.documents = [];
+    this.layout = null;
+    this.pane = null;
+    this.activations = 0;
+    this.lastProgressRender = 0;
     this.clipboard = new Clipboard();
+    this.checkingDisk = false;
+    this.loadError = null; // Why the last loadDocument failed, when known
+    // Groups of documents someone (--wait, a client) waits to see closed
+    this.waiters = [];
+    this.oneShot = false; // Started with --wait; exits when they are closed
+    this.quitting = false;
+    this.exitCode = 0;
+    this.server = null;
+    this.events = new EventEmitter(); // "saved" (document)
+
+    this.swapStore = new SwapStore();
+    this.sessionStore = new SessionStore();
+    // Started by run(); an editor built for a script or test leaves the
+    // process's signals alone
+    this.swapTimer = null;
+    this.signalHandlers = new Map(); // Signal name -> listener
 
     this.overlayHost = new OverlayHost(this.screen);
     this.fileSearchOverlay = new FileSearchOverlay(this.screen, {
       root: this.workspaceRoot,
       onCancel: () => this.hideOverlay(),
       onOpen: (meta) => this.openFromSearch(meta),
-      onOpenSplit: (meta) => this.openFromSearch(meta),
+      onOpenSplit: (meta) => this.openFromSearch(meta, { split: true }),
     });
 
-    this.ui = new UI(
-      this.screen,
-      this.buffer,
-      this.cursor,
-      this.selection,
-      this.overlayHost
-    );
+    this.ui = new UI(this.screen, this.overlayHost);
+    this.ui.setDocuments(this.documents);
+    this.ui.setWrap({
+      enabled: this.settings.softWrap,
+      atWords: this.settings.wrapAtWords,
+      indent: this.settings.wrapIndent,
+    });
+    const document = this.createDocument();
+    this.documents.push(document);
+    this.pane = new Pane(document);
+    this.layout = new PaneLayout(this.pane);
+    this.ui.setLayout(this.layout);
+    this.focusPane(this.pane);
     this.commands = new CommandHandler(this);
+    this.automation = new Automation(this);
+
+    this.ui.render();
+  }
+
+  // The focused pane's state, used throughout the editor and commands
+  get document() {
+    return this.pane.document;
+  }
+
+  get buffer() {
+    return this.document.buffer;
+  }
+
+  get cursor() {
+    return this.pane.view.cursor;
+  }
+
+  get selection() {
+    return this.pane.view.selection;
+  }
+
+  get hexView() {
+    return this.pane.view.hexView;
+  }
+
+  // ===== Documents =====
+  createDocument() {
+    const document = new Document(this.bufferOptions, {
+      onExternalChange: (changed) => this.handleExternalChange(changed),
+    });
+    // Undo records the selection of whichever pane is editing
+    document.buffer.setStateProvider(() => this.selection.captureState());
+    document.buffer.setProgressListener(() => {
+      if (this.isVisible(document)) this.renderProgress();
+    });
+    return document;
+  }
+
+  // Adds a document after the active one and shows it
+  addDocument(document) {
+    const index = this.documents.indexOf(this.document);
+    this.documents.splice(index + 1, 0, document);
+    this.activateDocument(document);
+  }
+
+  // Shows the document in the focused pane
+  activateDocument(document) {
+    this.pane.show(document);
+    this.documentShown(document);
+  }
+
+  documentShown(document) {
+    document.lastActive = ++this.activations;
+    if (document.diskCheckPending) {
+      document.diskCheckPending = false;
+      setImmediate(() => this.handleExternalChange(document));
+    }
+  }
+
+  isVisible(document) {
+    return this.layout.getPanes().some((pane) => pane.document === document);
+  }
+
+  switchDocument(offset) {
+    if (this.documents.length < 2) {
+      this.ui.showMessage("No other open buffers", "info");
+      return;
+    }
+    const index = this.documents.indexOf(this.document);
+    const count = this.documents.length;
+    this.activateDocument(this.documents[(index + offset + count) % count]);
+    this.ui.render();
+  }
+
+  async showBufferSwitcher() {
+    if (this.overlayHost.isActive()) return;
+
+    // Most recently used first, so Enter goes back to the previous buffer
+    const documents = [...this.documents].sort(
+      (a, b) => b.lastActive - a.lastActive
+    );
+    const switcher = new BufferSwitcherOverlay(this.screen, {
+      entries: documents.map((document) => ({
+        id: document.id,
+        name: document.name,
+        path: document.buffer.filename
+          ? path.relative(this.workspaceRoot, document.buffer.filename)
+          : "",
+        modified: document.buffer.modified,
+      })),
+    });
+
+    let id = null;
+    try {
+      id = await this.overlayHost.show(switcher);
+    } catch (err) {
+      // Closed without choosing
+    }
+
+    const chosen = this.documents.find((document) => document.id === id);
+    if (chosen) {
+      this.activateDocument(chosen);
+    }
+    this.ui.render();
+  }
+
+  async closeDocument(document = this.document) {
+    let discarded = false;
+    if (document.buffer.modified) {
+      this.activateDocument(document);
+      this.ui.render();
+      const action = await this.confirmDiscard(document.buffer.filename);
+      if (action === "cancel") {
+        return false;
+      } else if (action === "save") {
+        await this.save();
+        if (document.buffer.modified) return false;
+      } else {
+        discarded = true;
+      }
+    }
+
+    await document.buffer.persistHistory();
+    await this.discardSwap(document);
+    document.close();
+
+    const index = this.documents.indexOf(document);
+    this.documents.splice(index, 1);
+    if (this.documents.length === 0) {
+      this.documents.push(this.createDocument());
+    }
+    // Panes that showed it move on to the next buffer
+    const next = this.documents[Math.min(index, this.documents.length - 1)];
+    for (const pane of this.layout.getPanes()) {
+      pane.forget(document, next);
+    }
+    this.documentShown(this.document);
+    this.ui.render();
+
+    await this.releaseWaiters(document, discarded);
+    return true;
+  }
+
+  // ===== Waiting =====
+  // onDone(aborted) runs once all the documents are closed; aborted is
+  // true if changes to any of them were discarded
+  waitFor(documents, onDone) {
+    this.waiters.push({
+      documents: new Set(documents),
+      aborted: false,
+      onDone,
+    });
+  }
+
+  async releaseWaiters(document, discarded) {
+    for (const waiter of [...this.waiters]) {
+      if (!waiter.documents.delete(document)) continue;
+      if (discarded) waiter.aborted = true;
+      if (waiter.documents.size === 0) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        await waiter.onDone(waiter.aborted);
+      }
+    }
+  }
+
+  // ===== Panes =====
+  focusPane(pane) {
+    if (this.pane && this.pane !== pane) {
+      this.pane.view.markLeft();
+    }
+    this.pane = pane;
+    pane.view.sync();
+    this.ui.setActivePane(pane);
+    this.documentShown(pane.document);
+  }
+
+  // "vertical" puts the new pane beside the focused one, "horizontal"
+  // below it. The new pane starts on the same buffer and position.
+  splitPane(direction) {
+    const pane = new Pane(this.document);
+    pane.view.copyPosition(this.pane.view);
+    this.layout.split(this.pane, direction, pane);
+    this.focusPane(pane);
+    this.ui.render();
+  }
+
+  focusNextPane() {
+    const panes = this.layout.getPanes();
+    if (panes.length < 2) {
+      this.ui.showMessage("No other panes", "info");
+      return;
+    }
+    const index = panes.indexOf(this.pane);
+    this.focusPane(panes[(index + 1) % panes.length]);
+    this.ui.render();
+  }
+
+  resizePane(direction, grow) {
+    const delta = grow ? PANE_RESIZE_STEP : -PANE_RESIZE_STEP;
+    if (!this.layout.resize(this.pane, direction, delta)) {
+      this.ui.showMessage("No split to resize in that direction", "info");
+      return;
+    }
+    this.ui.render();
+  }
+
+  // Closing a pane leaves its buffer open
+  closePane() {
+    const panes = this.layout.getPanes();
+    if (panes.length < 2) {
+      this.ui.showMessage("Cannot close the last pane", "info");
+      return;
+    }
+    const index = panes.indexOf(this.pane);
+    this.layout.remove(this.pane);
+    const remaining = this.layout.getPanes();
+    this.pane = null;
+    this.focusPane(remaining[Math.min(index, remaining.length - 1)]);
+    this.ui.render();
+  }
+
+  findDocument(filepath) {
+    return this.documents.find((document) => document.isFile(filepath));
+  }
+
+  // Shows the file in its own buffer, switching to it if already open
+  async openDocument(filepath, label) {
+    const existing = this.findDocument(filepath);
+    if (existing) {
+      this.activateDocument(existing);
+      this.ui.showMessage(`Switched to ${label}`, "info");
+      this.ui.render();
+      return;
+    }
 
+    if (!(await this.loadDocument(filepath))) {
+      this.showLoadError(filepath);
+      this.ui.render();
+      return;
+    }
+    this.ui.showMessage(`Opened ${label}`, "success");
     this.ui.render();
+    await this.recoverSwap();
+  }
+
+  // Loads the file into a new buffer (or the pristine untitled one) and
+  // shows it. Returns the document, or null when the file can't be read.
+  // With create, a missing file becomes an empty buffer under its name.
+  async loadDocument(filepath, options = {}) {
+    this.loadError = null;
+    const document = await this.fillDocument(async (buffer) => {
+      const loaded =
+        (await buffer.loadFile(filepath, { encoding: options.encoding })) ||
+        (options.create && (await buffer.createFile(filepath, options)));
+      if (!loaded) this.loadError = buffer.loadError;
+      return loaded;
+    });
+    if (document) {
+      document.fileWatcher.watch(document.buffer.filename);
+    }
+    return document;
+  }
+
+  showLoadError(filepath) {
+    const reason = this.loadError ? `: ${this.loadError}` : "";
+    this.ui.showMessage(`Failed to open ${filepath}${reason}`, "error");
+  }
+
+  // Runs load on a new buffer (or the pristine untitled one) and shows
+  // the document if load reports success
+  async fillDocument(load) {
+    const reuse = this.document.isPristine();
+    const document = reuse ? this.document : this.createDocument();
+    if (!(await load(document.buffer))) {
+      if (!reuse) document.close();
+      return null;
+    }
+
+    if (reuse) {
+      this.activateDocument(document);
+    } else {
+      this.addDocument(document);
+    }
+    return document;
+  }
+
+  // Large files report indexing progress often; redraw a few times a second
+  renderProgress() {
+    const now = Date.now();
+    if (
+      this.buffer.isReadOnly() &&
+      now - this.lastProgressRender < PROGRESS_RENDER_MS
+    ) {
+      return;
+    }
+    this.lastProgressRender = now;
+    if (!this.isOverlayActive()) {
+      this.ui.render();
+    }
+  }
+
+  // Guards commands that change the text
+  canEdit() {
+    if (this.buffer.readOnly) {
+      this.ui.showMessage("Buffer is read-only", "warning");
+      return false;
+    }
+    if (this.buffer.isReadOnly()) {
+      this.ui.showMessage(
+        "File is still being indexed; try again shortly",
+        "warning"
+      );
+      return false;
+    }
+    return true;
+  }
+
+  // Guards commands that need the whole document in memory
+  requireFullBuffer(feature) {
+    if (this.buffer.largeFile) {
+      this.ui.showMessage(
+        `${feature} is not available for large files`,
+        "warning"
+      );
+      return false;
+    }
+    return true;
+  }
+
+  isHexMode() {
+    return Boolean(this.buffer.binary);
+  }
+
+  // Guards commands that only make sense for text
+  canUseTextCommands() {
+    if (this.isHexMode()) {
+      this.ui.showMessage("Not available in hex mode", "warning");
+      return false;
+    }
+    return true;
+  }
+
+  // Swap files hold the whole text, which large and binary files lack
+  canSwap(document = this.document) {
+    return !document.buffer.largeFile && !document.buffer.binary;
   }
 
   isOverlayActive() {
@@ -88,7 +504,7 @@ class TextEditor {
     return path.join(this.workspaceRoot, ...normalised.split("/"));
   }
 
-  async openFromSearch(meta) {
+  async openFromSearch(meta, options = {}) {
     if (!meta) return;
 
     const candidate =
@@ -100,47 +516,37 @@ class TextEditor {
       return;
     }
 
-    // Check for unsaved changes before opening new file
-    if (this.buffer.modified) {
-      const action = await this.confirmDiscard(this.buffer.filename);
-      if (action === "cancel") {
-        return; // User cancelled, stay in current file
-      } else if (action === "save") {
-        await this.save();
-      }
-      // If action === "discard", continue without saving
-    }
-
-    // Dismiss file search overlay once we're committed to switching files
+    // Dismiss file search overlay once we're committed to opening the file
     if (this.overlayHost.isActive()) {
       this.hideOverlay();
     }
-
-    const success = await this.buffer.loadFile(candidate);
-    if (success) {
-      this.cursor.moveToStart();
-      this.ui.showMessage(
-        `Opened ${meta.relativePathPosix || path.basename(candidate)}`,
-        "success"
-      );
-    } else {
-      this.ui.showMessage(`Failed to open ${candidate}`, "error");
+    if (options.split) {
+      this.splitPane("vertical");
     }
 
-    this.ui.render();
+    await this.openDocument(
+      candidate,
+      meta.relativePathPosix || path.basename(candidate)
+    );
   }
 
   // Cursor movement
   moveCursor(direction, extending = false) {
+    if (this.isHexMode()) {
+      this.hexView.move(direction, this.ui.textArea.height);
+      this.ui.render();
+      return;
+    }
+
     const prevRow = this.cursor.row;
     const prevCol = this.cursor.col;
 
     switch (direction) {
       case "up":
-        this.cursor.moveUp();
+        this.moveCursorVertically(-1);
         break;
       case "down":
-        this.cursor.moveDown();
+        this.moveCursorVertically(1);
         break;
       case "left":
         this.cursor.moveLeft();
@@ -149,19 +555,27 @@ class TextEditor {
         this.cursor.moveRight();
         break;
       case "home":
-        this.cursor.moveToLineStart();
+        if (this.ui.wrap.enabled) {
+          this.ui.moveCursorInScreenRow("start");
+        } else {
+          this.cursor.moveToLineStart();
+        }
         break;
       case "end":
-        this.cursor.moveToLineEnd();
+        if (this.ui.wrap.enabled) {
+          this.ui.moveCursorInScreenRow("end");
+        } else {
+          this.cursor.moveToLineEnd();
+        }
         break;
       case "pageup":
         for (let i = 0; i < this.ui.textArea.height; i++) {
-          this.cursor.moveUp();
+          this.moveCursorVertically(-1);
         }
         break;
       case "pagedown":
         for (let i = 0; i < this.ui.textArea.height; i++) {
-          this.cursor.moveDown();
+          this.moveCursorVertically(1);
         }
         break;
       case "token-left":
@@ -183,117 +597,215 @@ class TextEditor {
     this.ui.render();
   }
 
+  // By screen rows when long lines wrap
+  moveCursorVertically(delta) {
+    if (this.ui.wrap.enabled) {
+      this.ui.moveCursorByScreenRow(delta);
+    } else if (delta < 0) {
+      this.cursor.moveUp();
+    } else {
+      this.cursor.moveDown();
+    }
+  }
+
+  toggleSoftWrap() {
+    this.ui.setWrap({ enabled: !this.ui.wrap.enabled });
+    this.ui.showMessage(
+      this.ui.wrap.enabled ? "Soft wrap on" : "Soft wrap off",
+      "info"
+    );
+    this.ui.render();
+  }
+
   swapLines(direction) {
-    if (direction === "up" && this.cursor.row > 0) {
-      const temp = this.buffer.lines[this.cursor.row];
-      this.buffer.lines[this.cursor.row] =
-        this.buffer.lines[this.cursor.row - 1];
-      this.buffer.lines[this.cursor.row - 1] = temp;
-      this.cursor.row--;
-    } else if (
-      direction === "down" &&
-      this.cursor.row < this.buffer.lines.length - 1
-    ) {
-      const temp = this.buffer.lines[this.cursor.row];
-      this.buffer.lines[this.cursor.row] =
-        this.buffer.lines[this.cursor.row + 1];
-      this.buffer.lines[this.cursor.row + 1] = temp;
-      this.cursor.row++;
+    const row = this.cursor.row;
+    let upperRow;
+    if (direction === "up" && row > 0) {
+      upperRow = row - 1;
+    } else if (direction === "down" && row < this.buffer.getLineCount() - 1) {
+      upperRow = row;
+    } else {
+      return;
     }
-    this.buffer.modified = true;
-    this.buffer.saveToHistory();
+
+    const upper = this.buffer.getLine(upperRow);
+    const lower = this.buffer.getLine(upperRow + 1);
+    const start = this.buffer.offsetAt(upperRow, 0);
+
+    this.buffer.transact("swap-lines", () => {
+      this.buffer.delete({
+        start,
+        end: start + upper.length + 1 + lower.length,
+      });
+      this.buffer.insert(start, `${lower}\n${upper}`);
+      this.cursor.row = direction === "up" ? row - 1 : row + 1;
+    });
     this.ui.render();
   }
 
   // Text editing
   insertChar(char) {
-    if (this.selection.active) {
-      const replaced = this.selection.replaceRanges(() => char);
-      if (replaced) {
-        this.cursor.preferredCol = this.cursor.col;
-        this.ui.render();
-        return;
+    if (this.isHexMode()) {
+      if (!this.hexView.input(char)) {
+        const expected =
+          this.hexView.pane === "hex" ? "hex digits" : "printable ASCII";
+        this.ui.showMessage(`Type ${expected} to overwrite`, "warning");
+      }
+      this.ui.render();
+      return;
+    }
+
+    this.buffer.transact("typing", () => {
+      if (this.selection.active) {
+        const replaced = this.selection.replaceRanges(() => char);
+        if (replaced) {
+          this.cursor.updatePreferredCol();
+          this.ui.render();
+          return;
+        }
       }
+
+      this.buffer.insertChar(this.cursor.row, this.cursor.col, char);
+      this.cursor.col += char.length;
+      this.cursor.updatePreferredCol();
+      this.ui.render();
+    });
+  }
+
+  // Tab inserts a tab character or spaces up to the next tab stop,
+  // depending on the indentWithTabs setting. It switches between the hex
+  // and ASCII panes in hex mode.
+  insertTab() {
+    if (this.isHexMode()) {
+      this.hexView.togglePane();
+      this.ui.render();
+      return;
     }
 
-    this.buffer.insertChar(this.cursor.row, this.cursor.col, char);
-    this.cursor.col += char.length;
+    this.buffer.transact("typing", () => {
+      if (this.selection.active) {
+        const replaced = this.selection.replaceRanges((range, bounds) =>
+          this.getIndent(bounds.startRow, bounds.startCol)
+        );
+        if (replaced) {
+          this.cursor.updatePreferredCol();
+          this.ui.render();
+          return;
+        }
+      }
+
+      const indent = this.getIndent(this.cursor.row, this.cursor.col);
+      this.buffer.insertChar(this.cursor.row, this.cursor.col, indent);
+      this.cursor.col += indent.length;
+      this.cursor.updatePreferredCol();
+      this.ui.render();
+    });
+  }
+
+  getIndent(row, col) {
+    if (this.settings.indentWithTabs) return "\t";
+    const { tabWidth } = this.buffer;
+    const width = displayWidth(this.buffer.getLine(row), col, tabWidth);
+    return " ".repeat(tabWidth - (width % tabWidth));
+  }
+
+  // Inserts text that may span lines at the cursor, replacing any
+  // selections (automation API)
+  insertText(text) {
+    this.buffer.transact("insert", () => {
+      if (this.selection.active && this.selection.replaceRanges(() => text)) {
+        this.cursor.updatePreferredCol();
+        return;
+      }
+      const end = this.buffer.insertText(
+        this.cursor.row,
+        this.cursor.col,
+        text
+      );
+      this.cursor.row = end.row;
+      this.cursor.col = end.col;
+      this.cursor.updatePreferredCol();
+    });
     this.ui.render();
   }
 
   insertNewline() {
-    if (this.selection.active) {
-      const replaced = this.selection.replaceRanges(() => "\n");
-      if (replaced) {
-        this.cursor.preferredCol = this.cursor.col;
-        this.ui.render();
-        return;
+    this.buffer.transact("newline", () => {
+      if (this.selection.active) {
+        const replaced = this.selection.replaceRanges(() => "\n");
+        if (replaced) {
+          this.cursor.updatePreferredCol();
+          this.ui.render();
+          return;
+        }
       }
-    }
 
-    this.buffer.insertLine(this.cursor.row, this.cursor.col);
-    this.cursor.row++;
-    this.cursor.col = 0;
-    this.cursor.preferredCol = 0;
-    this.ui.render();
+      this.buffer.insertLine(this.cursor.row, this.cursor.col);
+      this.cursor.row++;
+      this.cursor.col = 0;
+      this.cursor.preferredCol = 0;
+      this.ui.render();
+    });
   }
 
   deleteChar() {
-    if (this.selection.active) {
-      const handled = this.selection.hasContentSelection()
-        ? this.selection.replaceRanges(() => "")
-        : this.selection.deleteBackward();
-      if (handled) {
-        this.cursor.preferredCol = this.cursor.col;
-        this.ui.render();
-        return;
-      }
+    // Bytes are only ever overwritten, so backspace just moves back
+    if (this.isHexMode()) {
+      this.moveCursor("left");
+      return;
     }
-    const aboveRowLength =
-      this.cursor.row > 0 ? this.buffer.getLine(this.cursor.row - 1).length : 0;
-    const moved = this.buffer.deleteChar(this.cursor.row, this.cursor.col);
-    if (moved) {
-      if (this.cursor.col > 0) {
-        this.cursor.col--;
-      } else if (this.cursor.row > 0) {
-        this.cursor.row--;
-        this.cursor.col = aboveRowLength;
+
+    this.buffer.transact("delete-backward", () => {
+      if (this.selection.active) {
+        const handled = this.selection.hasContentSelection()
+          ? this.selection.replaceRanges(() => "")
+          : this.selection.deleteBackward();
+        if (handled) {
+          this.cursor.updatePreferredCol();
+          this.ui.render();
+          return;
+        }
       }
-    }
-    this.ui.render();
+      const moved = this.buffer.deleteChar(this.cursor.row, this.cursor.col);
+      if (moved) {
+        this.cursor.row = moved.row;
+        this.cursor.col = moved.col;
+        this.cursor.updatePreferredCol();
+      }
+      this.ui.render();
+    });
   }
 
   deleteForward() {
-    if (this.selection.active) {
-      const handled = this.selection.hasContentSelection()
-        ? this.selection.replaceRanges(() => "")
-        : this.selection.deleteForward();
-      if (handled) {
-        this.cursor.preferredCol = this.cursor.col;
+    this.buffer.transact("delete-forward", () => {
+      if (this.selection.active) {
+        const handled = this.selection.hasContentSelection()
+          ? this.selection.replaceRanges(() => "")
+          : this.selection.deleteForward();
+        if (handled) {
+          this.cursor.updatePreferredCol();
+          this.ui.render();
+          return;
+        }
+      }
+      const line = this.buffer.getLine(this.cursor.row);
+      if (this.cursor.col < line.length) {
+        this.cursor.col = nextClusterEnd(line, this.cursor.col);
+        this.deleteChar();
+      } else if (this.cursor.row < this.buffer.getLineCount() - 1) {
+        // Join next line by removing the line break at the end of this one
+        const offset = this.buffer.offsetAt(this.cursor.row, line.length);
+        this.buffer.delete({ start: offset, end: offset + 1 });
         this.ui.render();
-        return;
       }
-    }
-    const line = this.buffer.getLine(this.cursor.row);
-    if (this.cursor.col < line.length) {
-      this.cursor.col++;
-      this.deleteChar();
-    } else if (this.cursor.row < this.buffer.getLineCount() - 1) {
-      // Join next line
-      const nextLine = this.buffer.getLine(this.cursor.row + 1);
-      this.buffer.lines[this.cursor.row] += nextLine;
-      this.buffer.lines.splice(this.cursor.row + 1, 1);
-      this.buffer.modified = true;
-      this.buffer.saveToHistory();
-      this.ui.render();
-    }
+    });
   }
 
   // Confirmation dialog for unsaved changes
   async confirmDiscard(filename) {
     const displayName = filename ? path.basename(filename) : "Untitled";
 
-    const confirmationOverlay = new ConfirmationOverlay(this.screen, {
+    return this.confirmChoice({
       message: "You have unsaved changes.",
       details: displayName,
       choices: [
@@ -301,94 +813,839 @@ class TextEditor {
         { key: "n", label: "Discard Changes", action: "discard" },
         { key: "c", label: "Cancel", action: "cancel" },
       ],
+      // If overlay was cancelled or errored, default to cancel
+      fallback: "cancel",
     });
+  }
 
-    try {
-      const result = await this.overlayHost.show(confirmationOverlay);
-      return result;
-    } catch (err) {
-      // If overlay was cancelled or errored, default to cancel
-      return "cancel";
+  // External changes: clean buffers follow the file on disk, dirty ones
+  // ask before anything is thrown away. Background documents are checked
+  // when they are next shown.
+  async handleExternalChange(document = this.document) {
+    if (!this.documents.includes(document)) return;
+    if (document !== this.document) {
+      document.diskCheckPending = true;
+      return;
+    }
+    if (this.checkingDisk) return;
+    if (this.overlayHost.isActive()) {
+      // Try again once the current dialog is closed
+      setTimeout(() => this.handleExternalChange(document), 1000);
+      return;
     }
-  }
 
-  // File operations
-  async save() {
-    if (!this.buffer.filename) {
-      const filename = await this.ui.promptInput("Save as: ");
-      if (!filename) {
-        this.ui.showMessage("Save cancelled", "warning");
-        return;
+    this.checkingDisk = true;
+    try {
+      const disk = await this.buffer.checkDisk();
+      const name = path.basename(this.buffer.filename || "");
+      if (disk.status === "missing") {
+        this.ui.showMessage(`${name} was removed from disk`, "warning");
+      } else if (disk.status === "changed") {
+        await this.resolveExternalChange(disk, name);
       }
-      this.buffer.filename = this.resolveWorkspacePath(filename) || filename;
+    } finally {
+      this.checkingDisk = false;
     }
+  }
 
-    const success = await this.buffer.saveFile();
+  async resolveExternalChange(disk, name) {
+    if (!this.buffer.modified) {
+      await this.reloadFromDisk(`Reloaded ${name} (changed on disk)`);
+      return;
+    }
+
+    let action = "compare";
+    while (action === "compare") {
+      action = await this.confirmChoice({
+        message: "File changed on disk.",
+        details: `${name} has unsaved changes`,
+        choices: [
+          { key: "r", label: "Reload", action: "reload" },
+          { key: "k", label: "Keep Mine", action: "keep" },
+          { key: "c", label: "Compare", action: "compare" },
+        ].filter((choice) => this.canCompare(choice)),
+        fallback: "keep",
+      });
+      if (action === "compare") {
+        await this.compareWithDisk();
+      }
+    }
+
+    if (action === "reload") {
+      const undoable = !this.buffer.largeFile && !this.buffer.binary;
+      await this.reloadFromDisk(
+        undoable
+          ? `Reloaded ${name}; undo restores your changes`
+          : `Reloaded ${name}`
+      );
+    } else {
+      await this.buffer.keepChangesOverDisk(disk.hash);
+      this.ui.showMessage("Keeping your changes", "info");
+      this.ui.render();
+    }
+  }
+
+  async reloadFromDisk(message) {
+    const success = await this.buffer.reloadFromDisk();
     if (success) {
-      this.ui.showMessage(`Saved to ${this.buffer.filename}`, "success");
+      this.selection.clear();
+      this.cursor.clamp();
+      this.ui.showMessage(message, "info");
     } else {
-      this.ui.showMessage("Failed to save file", "error");
+      this.ui.showMessage("Failed to reload file", "error");
     }
     this.ui.render();
   }
 
-  async open() {
-    // Check for unsaved changes before opening new file
-    if (this.buffer.modified) {
-      const action = await this.confirmDiscard(this.buffer.filename);
-      if (action === "cancel") {
-        return; // User cancelled, stay in current file
-      } else if (action === "save") {
-        await this.save();
+  // Comparing is line based and needs both versions in memory
+  canCompare(choice) {
+    return (
+      choice.action !== "compare" ||
+      (!this.buffer.largeFile && !this.buffer.binary)
+    );
+  }
+
+  async compareWithDisk() {
+    const diskText = await this.buffer.readDiskText();
+    if (diskText === null) {
+      this.ui.showMessage("Unable to read file from disk", "error");
+      return;
+    }
+
+    const name = path.basename(this.buffer.filename);
+    await this.showDiff({
+      title: `${name}: buffer ↔ disk`,
+      oldText: this.buffer.getText(),
+      newText: diskText,
+      oldLabel: "buffer",
+      newLabel: "disk",
+    });
+  }
+
+  async showDiff(options) {
+    const diffOverlay = new DiffOverlay(this.screen, options);
+    try {
+      await this.overlayHost.show(diffOverlay);
+    } catch (err) {
+      // Closed
+    }
+  }
+
+  // Swap files: unsaved changes are written out periodically and removed
+  // once the buffer is saved or deliberately discarded
+  async writeSwap() {
+    for (const document of this.documents) {
+      await this.writeDocumentSwap(document);
+    }
+  }
+
+  async writeDocumentSwap(document) {
+    const { buffer } = document;
+    if (!this.canSwap(document)) return;
+    if (!buffer.modified) {
+      if (document.swapRevision !== null) {
+        await this.discardSwap(document);
       }
-      // If action === "discard", continue without saving
+      return;
     }
+    if (buffer.revision === document.swapRevision) return;
 
-    const filename = await this.ui.promptInput("Open file: ");
-    if (!filename) {
-      this.ui.showMessage("Open cancelled", "warning");
+    const revision = buffer.revision;
+    if (await this.swapStore.save(buffer.filename, buffer, document.id)) {
+      document.swapRevision = revision;
+    }
+  }
+
+  async discardSwap(document = this.document) {
+    document.swapRevision = null;
+    await this.swapStore.remove(document.buffer.filename, document.id);
+    if (document.buffer.filename) {
+      // Left over if the buffer was untitled before its first save
+      await this.swapStore.remove(null, document.id);
+    }
+  }
+
+  startSwapTimer() {
+    if (this.swapTimer) return;
+    this.swapTimer = setInterval(() => this.writeSwap(), SWAP_INTERVAL_MS);
+    this.swapTimer.unref();
+  }
+
+  registerSignalHandlers() {
+    for (const signal of ["SIGHUP", "SIGTERM"]) {
+      if (this.signalHandlers.has(signal)) continue;
+      const handler = () => {
+        for (const document of this.documents) {
+          const { buffer } = document;
+          if (buffer.modified && this.canSwap(document)) {
+            this.swapStore.saveSync(buffer.filename, buffer, document.id);
+          }
+        }
+        this.sessionStore.saveSync(this.workspaceRoot, this.captureSession());
+        process.exit(128 + os.constants.signals[signal]);
+      };
+      this.signalHandlers.set(signal, handler);
+      process.on(signal, handler);
+    }
+  }
+
+  // ===== Sessions =====
+  // Untitled buffers are left out; their text is kept by swap files
+  captureSession() {
+    const documents = this.documents.filter((doc) => doc.buffer.filename);
+    return {
+      documents: documents.map((document) => {
+        const view = this.findView(document);
+        // Only shown in panes that have since been closed
+        if (!view) return { path: path.resolve(document.buffer.filename) };
+        return {
+          path: path.resolve(document.buffer.filename),
+          cursor: { row: view.cursor.row, col: view.cursor.col },
+          selection: view.selection.active
+            ? view.selection.captureState()
+            : null,
+          viewport: { ...view.viewport },
+        };
+      }),
+      active: documents.indexOf(this.document),
+      searchTerm: this.ui.searchTerm,
+      recentFiles: this.fileSearchOverlay.recentFiles,
+    };
+  }
+
+  // The focused pane's view of the document, else any pane's
+  findView(document) {
+    const panes = [this.pane, ...this.layout.getPanes()];
+    const pane = panes.find((candidate) => candidate.views.has(document));
+    return pane ? pane.views.get(document) : null;
+  }
+
+  async saveSession() {
+    await this.sessionStore.save(this.workspaceRoot, this.captureSession());
+  }
+
+  async restoreSession() {
+    const session = await this.sessionStore.load(this.workspaceRoot);
+    if (!session) return false;
+
+    this.ui.searchTerm = session.searchTerm || "";
+    this.fileSearchOverlay.setRecentFiles(session.recentFiles || []);
+
+    // Files that have gone missing since are skipped
+    const restored = [];
+    for (const entry of session.documents) {
+      if (this.findDocument(entry.path)) continue;
+      const document = await this.loadDocument(entry.path);
+      if (!document) continue;
+      this.restoreView(entry);
+      restored.push({ entry, document });
+      this.ui.render();
+      await this.recoverSwap();
+    }
+    if (restored.length === 0) return false;
+
+    const active = session.documents[session.active];
+    const match = restored.find((item) => item.entry === active);
+    this.activateDocument((match || restored[0]).document);
+    this.ui.showMessage(
+      `Restored session (${restored.length} of ${session.documents.length} files)`,
+      "info"
+    );
+    this.ui.render();
+    return true;
+  }
+
+  // Positions are clamped because the file may have changed since
+  restoreView(entry) {
+    if (this.isHexMode()) return;
+    const view = this.pane.view;
+    if (entry.viewport) {
+      view.viewport.top = Math.max(0, entry.viewport.top || 0);
+      view.viewport.topSegment = Math.max(0, entry.viewport.topSegment || 0);
+      view.viewport.left = Math.max(0, entry.viewport.left || 0);
+    }
+    if (entry.selection && this.isValidSelectionState(entry.selection)) {
+      view.selection.restoreState(entry.selection);
       return;
     }
+    if (entry.cursor) {
+      view.cursor.row = entry.cursor.row;
+      view.cursor.col = entry.cursor.col;
+      view.cursor.clamp();
+      view.cursor.updatePreferredCol();
+    }
+  }
 
-    const target = this.resolveWorkspacePath(filename) || filename;
-    const success = await this.buffer.loadFile(target);
+  isValidSelectionState(state) {
+    const lineCount = this.buffer.getLineCount();
+    const fits = (position) =>
+      position &&
+      position.row >= 0 &&
+      position.row < lineCount &&
+      position.col >= 0 &&
+      position.col <= this.buffer.getLine(position.row).length;
+    return (state.ranges || []).every(
+      (range) => fits(range.anchor) && fits(range.head)
+    );
+  }
+
+  // Offers the swap file left for the current file by an earlier session
+  async recoverSwap() {
+    if (!this.canSwap()) return;
+    const entry = await this.swapStore.load(this.buffer.filename);
+    if (!entry || entry.pid === process.pid) return;
+
+    const name = path.basename(this.buffer.filename);
+    if (isProcessRunning(entry.pid)) {
+      this.ui.showMessage(
+        `${name} is open in another editor (pid ${entry.pid})`,
+        "warning"
+      );
+      return;
+    }
+    await this.offerRecovery(entry, () =>
+      this.swapStore.remove(this.buffer.filename)
+    );
+  }
+
+  async recoverUntitledSwap() {
+    const [entry] = await this.swapStore.findOrphanedUntitled();
+    if (entry) {
+      await this.offerRecovery(entry, () =>
+        this.swapStore.removeFile(entry.file)
+      );
+    }
+  }
+
+  async offerRecovery(entry, removeEntry) {
+    if (entry.text === this.buffer.getText()) {
+      await removeEntry();
+      return;
+    }
+
+    const name = entry.path ? path.basename(entry.path) : "Untitled";
+    const written = new Date(entry.writtenAt).toLocaleString();
+    const stale =
+      entry.path && entry.baseHash !== this.buffer.diskHash
+        ? ", file changed since"
+        : "";
+
+    let action = "diff";
+    while (action === "diff") {
+      action = await this.confirmChoice({
+        message: "Found unsaved changes from an earlier session.",
+        details: `${name}, ${written}${stale}`,
+        choices: [
+          { key: "r", label: "Recover", action: "recover" },
+          { key: "d", label: "Diff", action: "diff" },
+          { key: "x", label: "Delete", action: "delete" },
+        ],
+        fallback: "cancel",
+      });
+      if (action === "diff") {
+        await this.showDiff({
+          title: `${name}: file ↔ swap`,
+          oldText: this.buffer.getText(),
+          newText: entry.text,
+          oldLabel: entry.path ? "file" : "empty",
+          newLabel: "swap",
+        });
+      }
+    }
+
+    if (action === "recover") {
+      this.buffer.recover(entry);
+      await removeEntry();
+      this.document.swapRevision = null;
+      this.selection.clear();
+      this.cursor.clamp();
+      this.ui.showMessage("Recovered unsaved changes", "success");
+    } else if (action === "delete") {
+      await removeEntry();
+      this.ui.showMessage("Swap file deleted", "info");
+    }
+    this.ui.render();
+  }
+
+  // Stale-write check: the file changed on disk since it was loaded
+  async confirmOverwrite() {
+    let action = "compare";
+    while (action === "compare") {
+      action = await this.confirmChoice({
+        message: "File changed on disk since it was loaded.",
+        details: path.basename(this.buffer.filename),
+        choices: [
+          { key: "o", label: "Overwrite", action: "overwrite" },
+          { key: "c", label: "Compare", action: "compare" },
+          { key: "n", label: "Cancel", action: "cancel" },
+        ].filter((choice) => this.canCompare(choice)),
+        fallback: "cancel",
+      });
+      if (action === "compare") {
+        await this.compareWithDisk();
+      }
+    }
+    return action === "overwrite";
+  }
+
+  // Save-as onto a file that already exists
+  async confirmReplace(filepath) {
+    const action = await this.confirmChoice({
+      message: "File already exists.",
+      details: path.basename(filepath),
+      choices: [
+        { key: "o", label: "Overwrite", action: "overwrite" },
+        { key: "n", label: "Cancel", action: "cancel" },
+      ],
+      fallback: "cancel",
+    });
+    return action === "overwrite";
+  }
+
+  async confirmChoice({ message, details, choices, fallback }) {
+    const confirmationOverlay = new ConfirmationOverlay(this.screen, {
+      message,
+      details,
+      choices,
+    });
+
+    try {
+      const result = await this.overlayHost.show(confirmationOverlay);
+      return result || fallback;
+    } catch (err) {
+      return fallback;
+    }
+  }
+
+  // File operations. Resolves with whether the buffer was written; with
+  // a path the buffer is saved as that file, asking before replacing one.
+  async save(saveAs = null) {
+    let filepath = saveAs || this.buffer.filename;
+    if (!filepath) {
+      const filename = await this.ui.promptInput("Save as: ");
+      if (!filename) {
+        this.ui.showMessage("Save cancelled", "warning");
+        return false;
+      }
+      filepath = this.resolveWorkspacePath(filename) || filename;
+    }
+
+    // The buffer only takes the new name once the write succeeds
+    let proceed = true;
+    if (filepath !== this.buffer.filename) {
+      proceed =
+        !(await pathExists(filepath)) || (await this.confirmReplace(filepath));
+    } else if ((await this.buffer.checkDisk()).status === "changed") {
+      proceed = await this.confirmOverwrite();
+    }
+    if (!proceed) {
+      this.ui.showMessage("Save cancelled", "warning");
+      this.ui.render();
+      return false;
+    }
+
+    const { document } = this;
+    const success = await this.buffer.saveFile(filepath);
     if (success) {
-      this.cursor.moveToStart();
-      this.ui.showMessage(`Opened ${target}`, "success");
+      document.fileWatcher.watch(this.buffer.filename);
+      await this.discardSwap();
+      this.ui.showMessage(`Saved to ${this.buffer.filename}`, "success");
+      this.events.emit("saved", document);
     } else {
-      this.ui.showMessage(`Failed to open ${target}`, "error");
+      this.ui.showMessage("Failed to save file", "error");
     }
     this.ui.render();
+    return success;
+  }
+
+  async open() {
+    const filename = await this.ui.promptInput("Open file: ");
+    if (!filename) {
+      this.ui.showMessage("Open cancelled", "warning");
+      return;
+    }
+
+    const target = this.resolveWorkspacePath(filename) || filename;
+    await this.openDocument(target, target);
   }
 
-  // Undo/Redo
+  // Undo/Redo restore the cursor and selection from around the change
   undo() {
-    if (this.buffer.undo()) {
-      this.cursor.clamp();
+    if (this.isHexMode()) {
+      if (this.hexView.undo()) {
+        this.ui.showMessage("Undo", "info");
+        this.ui.render();
+      }
+      return;
+    }
+
+    const transaction = this.buffer.undo();
+    if (transaction) {
+      this.restoreSelectionState(transaction.before);
       this.ui.showMessage("Undo", "info");
       this.ui.render();
     }
   }
 
   redo() {
-    if (this.buffer.redo()) {
-      this.cursor.clamp();
+    if (this.isHexMode()) {
+      if (this.hexView.redo()) {
+        this.ui.showMessage("Redo", "info");
+        this.ui.render();
+      }
+      return;
+    }
+
+    const transaction = this.buffer.redo();
+    if (transaction) {
+      this.restoreSelectionState(transaction.after);
       this.ui.showMessage("Redo", "info");
       this.ui.render();
     }
   }
 
+  // Browse the undo tree and jump to any recorded state
+  async showUndoHistory() {
+    if (this.overlayHost.isActive()) return;
+
+    const historyOverlay = new HistoryOverlay(this.screen, {
+      getEntries: () => this.buffer.history.getEntries(),
+      getPreview: (node) => this.buffer.getTextAtHistory(node.id),
+    });
+
+    let nodeId = null;
+    try {
+      nodeId = await this.overlayHost.show(historyOverlay);
+    } catch (err) {
+      // Overlay was closed without choosing a node
+      nodeId = null;
+    }
+
+    if (nodeId === null || nodeId === undefined) {
+      this.ui.render();
+      return;
+    }
+
+    if (nodeId !== this.buffer.history.currentId) {
+      const state = this.buffer.jumpToHistory(nodeId);
+      this.restoreSelectionState(state);
+      this.ui.showMessage("Jumped to history state", "info");
+    }
+    this.ui.render();
+  }
+
+  restoreSelectionState(state) {
+    if (state) {
+      this.selection.restoreState(state);
+    } else {
+      this.selection.clear();
+      this.cursor.clamp();
+    }
+  }
+
+  // Line endings are applied on the next save
+  async convertLineEndings() {
+    if (!this.requireFullBuffer("Line ending conversion")) return;
+    const current = LINE_ENDINGS[this.buffer.format.eol].label;
+    const answer = await this.ui.promptInput(
+      `Line endings [${current}] (LF/CRLF/CR): `
+    );
+    if (!answer) {
+      this.ui.showMessage("Conversion cancelled", "warning");
+      return;
+    }
+
+    const eol = parseLineEndingName(answer);
+    if (!eol) {
+      this.ui.showMessage(`Unknown line ending: ${answer}`, "error");
+      return;
+    }
+
+    if (this.buffer.setLineEnding(eol)) {
+      this.ui.showMessage(
+        `Line endings set to ${LINE_ENDINGS[eol].label}`,
+        "success"
+      );
+    } else {
+      this.ui.showMessage(`Already using ${LINE_ENDINGS[eol].label}`, "info");
+    }
+    this.ui.render();
+  }
+
+  async promptEncoding(prompt) {
+    const answer = await this.ui.promptInput(prompt);
+    if (!answer) return null;
+    const encoding = parseEncodingName(answer);
+    if (!encoding) {
+      this.ui.showMessage(`Unknown encoding: ${answer}`, "error");
+    }
+    return encoding;
+  }
+
+  // Reload the current file from disk, decoding it with a chosen encoding
+  async reopenWithEncoding() {
+    if (!this.buffer.filename) {
+      this.ui.showMessage("No file to reopen", "warning");
+      return;
+    }
+
+    const current = getEncodingLabel(this.buffer.format.encoding);
+    const encoding = await this.promptEncoding(
+      `Reopen with encoding [${current}]: `
+    );
+    if (!encoding) return;
+
+    if (this.buffer.modified) {
+      const action = await this.confirmDiscard(this.buffer.filename);
+      if (action === "cancel") {
+        return;
+      } else if (action === "save" && !(await this.save())) {
+        return; // Save failed or was cancelled
+      }
+    }
+
+    await this.buffer.persistHistory();
+    await this.discardSwap();
+    const success = await this.buffer.loadFile(this.buffer.filename, {
+      encoding,
+    });
+    if (success) {
+      this.document.fileWatcher.watch(this.buffer.filename);
+      this.selection.clear();
+      this.cursor.clamp();
+      this.ui.showMessage(
+        `Reopened as ${getEncodingLabel(encoding)}`,
+        "success"
+      );
+    } else {
+      this.ui.showMessage("Failed to reopen file", "error");
+    }
+    this.ui.render();
+  }
+
+  // Convert the file to another encoding and save it
+  async saveWithEncoding() {
+    if (!this.requireFullBuffer("Encoding conversion")) return;
+    const current = getEncodingLabel(this.buffer.format.encoding);
+    const encoding = await this.promptEncoding(
+      `Save with encoding [${current}]: `
+    );
+    if (!encoding) return;
+
+    const unencodable = countUnencodable(this.buffer.getText(), encoding);
+    if (unencodable > 0) {
+      this.ui.showMessage(
+        `${unencodable} character(s) cannot be saved as ${getEncodingLabel(
+          encoding
+        )}`,
+        "error"
+      );
+      return;
+    }
+
+    this.buffer.setEncoding(encoding);
+    await this.save();
+  }
+
   // Search
   async search() {
+    if (this.isHexMode()) {
+      await this.findBytes();
+      return;
+    }
+
     const searchTerm = await this.ui.promptInput("Search: ");
     if (searchTerm) {
       this.ui.searchTerm = searchTerm;
-      // TODO: Implement find next/previous functionality
+      await this.findNext(1, true);
+    }
+  }
+
+  // Selects the next (1) or previous (-1) match of the search term,
+  // ignoring case like the highlighting does and wrapping around.
+  // With inclusive, a match starting at the cursor counts. Large files are
+  // searched once indexed, a batch of lines at a time; an edit or a
+  // document switch meanwhile abandons the search.
+  async findNext(direction = 1, inclusive = false) {
+    if (!this.ui.searchTerm || this.isHexMode()) return;
+
+    const { buffer } = this;
+    if (buffer.largeFile) {
+      this.ui.showMessage(`Searching for "${this.ui.searchTerm}"...`, "info");
       this.ui.render();
+      await buffer.indexing;
+      if (this.buffer !== buffer) return;
+    }
+    const version = buffer.textVersion;
+    const lineCount = buffer.getLineCount();
+    // Searching from the start of a selected match moves past it
+    const bounds = this.selection.getBounds();
+    const row = bounds ? bounds.startRow : this.cursor.row;
+    const col = bounds ? bounds.startCol : this.cursor.col;
+    // Lines are read a batch at a time in the direction of the search
+    let batch = { start: 0, lines: [] };
+    const getLine = (current) => {
+      if (
+        current < batch.start ||
+        current >= batch.start + batch.lines.length
+      ) {
+        const start =
+          direction > 0
+            ? current
+            : Math.max(0, current - SEARCH_BATCH_LINES + 1);
+        batch = {
+          start,
+          lines: buffer.getLines(start, start + SEARCH_BATCH_LINES),
+        };
+      }
+      return batch.lines[current - batch.start];
+    };
+
+    let match = null;
+    // The cursor's row comes up again last, for matches on its other side
+    for (let step = 0; step <= lineCount && !match; step++) {
+      if (buffer.largeFile && step > 0 && step % SEARCH_BATCH_LINES === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+        if (this.buffer !== buffer || buffer.textVersion !== version) return;
+      }
+      const current = (row + direction * step + lineCount) % lineCount;
+      const matches = this.ui.getSearchMatches(getLine(current));
+      const candidates =
+        step > 0
+          ? matches
+          : matches.filter(([start]) =>
+              direction > 0
+                ? start > col || (inclusive && start === col)
+                : start < col
+            );
+      const found =
+        direction > 0 ? candidates[0] : candidates[candidates.length - 1];
+      if (found) match = { row: current, start: found[0], end: found[1] };
+    }
+
+    if (!match) {
+      this.ui.showMessage(`No matches for "${this.ui.searchTerm}"`, "warning");
+    } else {
+      this.selection.setRanges([
+        SelectionRange.fromPositions(
+          match.row,
+          match.start,
+          match.row,
+          match.end
+        ),
+      ]);
+      this.cursor.row = match.row;
+      this.cursor.col = match.end;
+      this.cursor.updatePreferredCol();
+    }
+    this.ui.render();
+  }
+
+  // Jumps to a line, line:column, relative offset or @symbol. Targets are
+  // previewed while typing; cancelling goes back to where the cursor was.
+  async showGoTo() {
+    if (this.overlayHost.isActive() || this.isHexMode()) return;
+
+    const origin = {
+      selection: this.selection.captureState(),
+      viewport: { ...this.ui.viewport },
+    };
+    let symbols = null;
+    const getTargets = (query) => {
+      const trimmed = query.trim();
+      if (!trimmed.startsWith("@")) {
+        const target = parseGoToTarget(trimmed, {
+          row: origin.selection.cursor.row,
+          col: origin.selection.cursor.col,
+          lineCount: this.buffer.getLineCount(),
+        });
+        return target ? [target] : [];
+      }
+      if (!symbols) {
+        symbols = this.requireFullBuffer("Symbol search")
+          ? findSymbols(this.buffer)
+          : [];
+      }
+      return matchSymbols(symbols, trimmed.slice(1)).map((symbol) => ({
+        row: symbol.row,
+        col: symbol.col,
+        label: symbol.name,
+        detail: `${symbol.kind} · line ${symbol.row + 1}`,
+      }));
+    };
+
+    const overlay = new GoToOverlay(this.screen, {
+      getTargets,
+      onPreview: (target) => {
+        if (target) {
+          this.showTarget(target);
+        } else {
+          this.restorePosition(origin);
+        }
+      },
+    });
+
+    let target = null;
+    try {
+      target = await this.overlayHost.show(overlay);
+    } catch (err) {
+      // Closed without choosing
+    }
+
+    if (target) {
+      this.showTarget(target);
+    } else {
+      this.restorePosition(origin);
+    }
+  }
+
+  // Moves the cursor to a go-to target and scrolls it a third of the way
+  // down, clear of the go-to overlay
+  showTarget(target) {
+    this.selection.clear();
+    this.cursor.row = target.row;
+    this.cursor.col = target.col;
+    this.cursor.clamp();
+    this.cursor.updatePreferredCol();
+    const height = this.ui.textArea.height;
+    this.ui.viewport.top = Math.max(
+      0,
+      this.cursor.row - Math.floor(height / 3)
+    );
+    this.ui.viewport.topSegment = 0;
+    this.ui.render();
+  }
+
+  restorePosition(position) {
+    this.selection.restoreState(position.selection);
+    this.ui.viewport.top = position.viewport.top;
+    this.ui.viewport.topSegment = position.viewport.topSegment;
+    this.ui.viewport.left = position.viewport.left;
+    this.ui.render();
+  }
+
+  async findBytes() {
+    const input = await this.ui.promptInput('Find bytes (hex or "text"): ');
+    if (!input) return;
+
+    const pattern = parseBytePattern(input);
+    if (!pattern) {
+      this.ui.showMessage(`Invalid byte pattern: ${input}`, "error");
+      return;
+    }
+    if (this.hexView.find(pattern)) {
+      this.ui.showMessage(
+        `Found at 0x${this.hexView.offset.toString(16)}`,
+        "success"
+      );
+    } else {
+      this.ui.showMessage("No matches", "warning");
     }
+    this.ui.render();
   }
 
   selectNextOccurrence() {
+    if (!this.requireFullBuffer("Find next occurrence")) return;
     const added = this.selection.addNextOccurrence();
     if (!added) {
       this.ui.showMessage("No further matches", "warning");
@@ -401,6 +1658,117 @@ class TextEditor {
     this.ui.render();
   }
 
+  // ===== Brackets =====
+  // Each cursor moves onto the partner of the bracket at or before it
+  jumpToMatchingBracket() {
+    this.updateCursorRanges("Jump to bracket", (range) => {
+      const { row, col } = range.head;
+      const pair = this.document.brackets.findMatch(row, col);
+      if (!pair) return null;
+      const target = pair.atOpen ? pair.close : pair.open;
+      return SelectionRange.fromPositions(
+        target.row,
+        target.col,
+        target.row,
+        target.col
+      );
+    });
+  }
+
+  // Each cursor selects from its bracket through the partner
+  selectToMatchingBracket() {
+    this.updateCursorRanges("Select to bracket", (range) => {
+      const { row, col } = range.head;
+      const pair = this.document.brackets.findMatch(row, col);
+      if (!pair) return null;
+      const { open, close } = pair;
+      return pair.atOpen
+        ? SelectionRange.fromPositions(
+            open.row,
+            open.col,
+            close.row,
+            close.col + 1
+          )
+        : SelectionRange.fromPositions(
+            close.row,
+            close.col + 1,
+            open.row,
+            open.col
+          );
+    });
+  }
+
+  // Each cursor or selection selects the inside of the innermost brackets
+  // around it; when that is already selected, the brackets are added
+  selectInsideBrackets() {
+    this.updateCursorRanges("Select inside brackets", (range) => {
+      const { startRow, startCol, endRow, endCol } = range.getBounds();
+      const pair = this.document.brackets.findEnclosing(startRow, startCol);
+      if (!pair) return null;
+      const { open, close } = pair;
+      const insideSelected =
+        startRow === open.row &&
+        startCol === open.col + 1 &&
+        endRow === close.row &&
+        endCol === close.col;
+      return insideSelected
+        ? SelectionRange.fromPositions(
+            open.row,
+            open.col,
+            close.row,
+            close.col + 1
+          )
+        : SelectionRange.fromPositions(
+            open.row,
+            open.col + 1,
+            close.row,
+            close.col
+          );
+    });
+  }
+
+  // Replaces the range of every cursor (or the cursor itself when nothing
+  // is selected) with what update() returns; null leaves a range as it is
+  updateCursorRanges(feature, update) {
+    if (!this.requireFullBuffer(feature)) return;
+
+    const ranges = this.selection.active
+      ? this.selection.ranges
+      : [SelectionRange.fromCursor(this.cursor)];
+    const primary = this.selection.active
+      ? this.selection.primaryRange
+      : ranges[0];
+    let changed = false;
+    let nextPrimary = null;
+    const next = ranges.map((range) => {
+      const updated = update(range) || range;
+      if (updated !== range) changed = true;
+      if (range === primary) nextPrimary = updated;
+      return updated;
+    });
+    if (!changed) {
+      this.ui.showMessage("No matching bracket", "warning");
+      this.ui.render();
+      return;
+    }
+
+    if (next.length === 1 && next[0].isEmpty()) {
+      this.selection.clear();
+    } else {
+      this.selection.setRanges(next);
+      const index = this.selection.ranges.findIndex(
+        (range) =>
+          isSamePosition(range.anchor, nextPrimary.anchor) &&
+          isSamePosition(range.head, nextPrimary.head)
+      );
+      this.selection.setPrimaryRange(index);
+    }
+    this.cursor.row = nextPrimary.head.row;
+    this.cursor.col = nextPrimary.head.col;
+    this.cursor.updatePreferredCol();
+    this.ui.render();
+  }
+
   // Help
   showHelp() {
     const helpText = `
@@ -409,8 +1777,10 @@ SILENT EDIT - Key Bindings:
 NAVIGATION:
   Arrow Keys        - Move cursor
   Ctrl+Left/Right   - Move by token/word
-  Home/End          - Start/end of line
+  Home/End          - Start/end of line (wrapped: of the row, then line)
   Page Up/Down      - Scroll page
+  Alt+Z             - Toggle soft wrap
+  Alt+M             - Jump to matching bracket
 
 SELECTION:
   Shift+Arrows      - Select characters
@@ -420,6 +1790,8 @@ SELECTION:
   Ctrl+A            - Select all
   Ctrl+L            - Select line
   Ctrl+D            - Select word
+  Alt+Shift+M       - Select to matching bracket
+  Alt+I             - Select inside brackets (again: include them)
   Ctrl+Space        - Toggle selection mode
 
 EDITING:
@@ -428,12 +1800,37 @@ EDITING:
   Ctrl+V            - Paste
   Ctrl+Z            - Undo
   Ctrl+Y            - Redo
+  Ctrl+U            - Browse undo history
+  Tab               - Indent (tab or spaces, see settings)
 
 FILE:
   Ctrl+S            - Save
-  Ctrl+O            - Open
+  Ctrl+O            - Open (in a new buffer)
   Ctrl+F            - Search
+  F3 / Shift+F3     - Find next/previous match
+  Ctrl+G            - Go to line[:col], +/-lines or @symbol
+  Alt+L             - Convert line endings
+  Alt+R             - Reopen with encoding
+  Alt+E             - Save with encoding
   Ctrl+Q            - Quit
+
+BUFFERS:
+  Alt+N / Alt+P     - Next/previous buffer
+  Alt+B             - Switch buffer
+  Ctrl+W            - Close buffer
+
+PANES:
+  Alt+V / Alt+H     - Split side by side / stacked
+  Alt+O             - Focus next pane
+  Alt+Arrows        - Resize pane
+  Alt+W             - Close pane
+  Shift+Enter       - Open search result in a split
+
+HEX MODE (binary files):
+  Tab               - Switch between hex and ASCII
+  0-9, A-F          - Overwrite nibble (ASCII side: any character)
+  Ctrl+F            - Find bytes (hex digits or "quoted text")
+  Alt+R             - Reopen as text
   
 Press any key to continue...`;
 
@@ -455,31 +1852,233 @@ Press any key to continue...`;
   }
 
   async quit() {
-    if (this.buffer.modified) {
-      const action = await this.confirmDiscard(this.buffer.filename);
+    // Every modified buffer is shown and asked about in turn
+    const discarded = new Set();
+    for (const document of this.documents) {
+      if (!document.buffer.modified) continue;
+      this.activateDocument(document);
+      this.ui.render();
+      const action = await this.confirmDiscard(document.buffer.filename);
       if (action === "save") {
         await this.save();
-        process.exit(0);
-      } else if (action === "discard") {
-        process.exit(0);
+        if (document.buffer.modified) return; // Save failed or was cancelled
+      } else if (action !== "discard") {
+        // 'cancel' or anything else cancels quit
+        return;
+      } else {
+        discarded.add(document);
       }
-      // 'cancel' or anything else cancels quit
-    } else {
-      process.exit(0);
     }
+
+    // Everyone still waiting hears about their documents closing
+    this.quitting = true;
+    for (const document of this.documents) {
+      await this.releaseWaiters(document, discarded.has(document));
+    }
+    if (this.server) {
+      await this.server.stop();
+    }
+
+    // A --wait editor is a one-off for another tool; keep the session
+    if (!this.oneShot) {
+      await this.saveSession();
+    }
+    for (const document of this.documents) {
+      document.close();
+      await this.discardSwap(document);
+      await document.buffer.persistHistory();
+    }
+    process.exit(this.exitCode);
   }
 
-  // Start the editor
-  run() {
-    const args = process.argv.slice(2);
-    if (args.length > 0) {
-      const target = path.resolve(args[0]);
-      this.setWorkspaceRoot(path.dirname(target));
-      this.buffer.loadFile(target).then(() => {
-        this.ui.render();
+  // Start the editor with options from parseArgs() and any text read from
+  // stdin. Without either the workspace's last session is restored unless
+  // --no-session was given. Startup errors are shown in the editor and
+  // make it exit with 1 when quit.
+  async run(options = parseArgs(process.argv.slice(2)), stdin = null) {
+    this.startSwapTimer();
+    this.registerSignalHandlers();
+    try {
+      if (options.workspace) {
+        this.setWorkspaceRoot(options.workspace);
+      } else if (options.files.length > 0) {
+        this.setWorkspaceRoot(
+          path.dirname(path.resolve(options.files[0].path))
+        );
+      }
+      if (options.server) {
+        await this.startServer();
+      }
+      if (options.rpcStdio) {
+        this.automation.attachStdio();
+      }
+      await this.start(options, stdin);
+    } catch (err) {
+      this.exitCode = 1;
+      this.ui.showMessage(`Failed to start: ${err.message}`, "error");
+      this.ui.render();
+    }
+  }
+
+  async start(options, stdin) {
+    const opened = [];
+    if (stdin) {
+      opened.push(await this.openStdin(stdin, options));
+    }
+    if (options.files.length > 0) {
+      opened.push(...(await this.openCommandLineFiles(options)));
+    } else if (!stdin) {
+      if (options.session) await this.restoreSession();
+      await this.recoverUntitledSwap();
+    }
+
+    if (options.wait && opened.length > 0) {
+      this.oneShot = true;
+      this.waitFor(opened, async (aborted) => {
+        this.exitCode = aborted ? 1 : 0;
+        if (!this.quitting) await this.quit();
       });
     }
   }
+
+  // Releases what keeps the editor hooked into the process (timer, signal
+  // handlers, file watchers, open large files, server) without quitting
+  // it. Destroy the screen first: drawing needs the files.
+  async destroy() {
+    clearInterval(this.swapTimer);
+    this.swapTimer = null;
+    for (const [signal, handler] of this.signalHandlers) {
+      process.removeListener(signal, handler);
+    }
+    this.signalHandlers.clear();
+    for (const document of this.documents) {
+      document.close();
+    }
+    if (this.server) {
+      await this.server.stop();
+      this.server = null;
+    }
+  }
+
+  // Lets `silent-edit --client` and automation scripts reach this editor.
+  // Only the first editor of the user gets the socket; later ones run
+  // without a server.
+  async startServer() {
+    const server = new EditorServer({ methods: this.automation.methods });
+    if (await server.start()) {
+      this.server = server;
+    }
+  }
+
+  // Resolves at once, or with wait once the files are closed again
+  async openForClient(params) {
+    const files = (params.files || [])
+      .filter((file) => file && typeof file.path === "string")
+      .map((file) => ({
+        path: path.resolve(file.path),
+        line: Number.isInteger(file.line) ? file.line : null,
+        col: Number.isInteger(file.col) ? file.col : null,
+      }));
+    if (files.length === 0) {
+      throw new Error("No files to open");
+    }
+    const encoding = params.encoding
+      ? parseEncodingName(params.encoding)
+      : null;
+    if (params.encoding && !encoding) {
+      throw new Error(`Unknown encoding: ${params.encoding}`);
+    }
+
+    const opened = await this.openCommandLineFiles({
+      files,
+      readonly: Boolean(params.readonly),
+      encoding,
+    });
+    const names = opened.map((document) => document.name);
+    if (!params.wait || opened.length === 0) {
+      return { opened: names, aborted: false };
+    }
+    return new Promise((resolve) => {
+      this.waitFor(opened, (aborted) => resolve({ opened: names, aborted }));
+    });
+  }
+
+  async openStdin(bytes, options) {
+    const document = await this.fillDocument((buffer) => {
+      buffer.loadBytes(bytes, { encoding: options.encoding });
+      return true;
+    });
+    document.label = "stdin";
+    document.buffer.readOnly = options.readonly;
+    this.ui.showMessage(`Read ${bytes.length} bytes from stdin`, "info");
+    this.ui.render();
+    return document;
+  }
+
+  // Returns the documents that opened
+  async openCommandLineFiles(options) {
+    const opened = [];
+    for (const file of options.files) {
+      const target = path.resolve(file.path);
+      const document =
+        this.findDocument(target) ||
+        (await this.loadDocument(target, {
+          encoding: options.encoding,
+          create: true,
+        }));
+      if (!document) {
+        this.showLoadError(file.path);
+        continue;
+      }
+      this.activateDocument(document);
+      // Opening a file again without --readonly leaves it read-only
+      if (options.readonly) document.buffer.readOnly = true;
+      if (file.line !== null) {
+        this.goToPosition(file.line, file.col || 1);
+      }
+      opened.push(document);
+      this.ui.render();
+      await this.recoverSwap();
+    }
+    if (opened.length === 0) return opened;
+
+    // The first file named ends up in front
+    this.activateDocument(opened[0]);
+    if (opened.length === 1) {
+      const isNew = !opened[0].buffer.diskHash && !opened[0].buffer.largeFile;
+      this.ui.showMessage(
+        isNew ? `New file: ${opened[0].name}` : `Opened ${opened[0].name}`,
+        "info"
+      );
+    } else {
+      this.ui.showMessage(`Opened ${opened.length} files`, "info");
+    }
+    this.ui.render();
+    return opened;
+  }
+
+  // Moves to a 1-based line and column, clamped to the text
+  goToPosition(line, col) {
+    if (this.isHexMode()) return;
+    this.selection.clear();
+    this.cursor.row = Math.max(0, line - 1);
+    this.cursor.col = Math.max(0, col - 1);
+    this.cursor.clamp();
+    this.cursor.updatePreferredCol();
+  }
+}
+
+async function pathExists(filepath) {
+  try {
+    await fs.lstat(filepath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function isSamePosition(a, b) {
+  return a.row === b.row && a.col === b.col;
 }
 
 module.exports = { TextEditor };
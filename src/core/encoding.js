@@ -0,0 +1,297 @@
+// ===== Character Encodings =====
+// Files are decoded to JavaScript strings on load and encoded again on save.
+// Bytes that are not valid in the chosen encoding are carried through the
+// buffer as lone surrogates U+DC00 + byte (the "surrogate escape" scheme
+// Python uses) and written back unchanged.
+const ENCODINGS = {
+  utf8: { name: "utf8", label: "UTF-8" },
+  utf16le: { name: "utf16le", label: "UTF-16LE" },
+  utf16be: { name: "utf16be", label: "UTF-16BE" },
+  latin1: { name: "latin1", label: "Latin-1" },
+};
+
+const ALIASES = {
+  utf8: "utf8",
+  utf16: "utf16le",
+  utf16le: "utf16le",
+  ucs2: "utf16le",
+  utf16be: "utf16be",
+  latin1: "latin1",
+  iso88591: "latin1",
+  l1: "latin1",
+  binary: "latin1",
+};
+
+const ESCAPE_BASE = 0xdc00;
+const SAMPLE_SIZE = 4096;
+
+function parseEncodingName(value) {
+  const key = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  return ALIASES[key] || null;
+}
+
+function getEncodingLabel(encoding) {
+  const entry = ENCODINGS[encoding];
+  return entry ? entry.label : String(encoding || "").toUpperCase();
+}
+
+// Byte order marks win; otherwise look for the NUL pattern of UTF-16 text,
+// then check whether the bytes are valid UTF-8. Anything else is Latin-1,
+// which maps every byte to a character and so never loses data.
+function detectEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return "utf8";
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return "utf16le";
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return "utf16be";
+  }
+
+  const utf16 = detectUtf16(bytes);
+  if (utf16) return utf16;
+
+  return isValidUtf8(bytes) ? "utf8" : "latin1";
+}
+
+// Binary files: NUL bytes (outside UTF-16) or a high share of control
+// characters that never appear in text
+function isBinaryContent(bytes) {
+  const length = Math.min(bytes.length, SAMPLE_SIZE);
+  if (length === 0) return false;
+  const encoding = detectEncoding(bytes);
+  if (encoding === "utf16le" || encoding === "utf16be") return false;
+
+  let control = 0;
+  for (let i = 0; i < length; i++) {
+    const value = bytes[i];
+    if (value === 0) return true;
+    // Tab, line feed, form feed, carriage return and escape are common
+    if (value < 32 && ![9, 10, 12, 13, 27].includes(value)) control++;
+  }
+  return control / length > 0.1;
+}
+
+function detectUtf16(bytes) {
+  const length = Math.min(bytes.length, SAMPLE_SIZE) & ~1;
+  if (length < 4) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = length / 2;
+  // Mostly-ASCII UTF-16 has a zero in every other byte
+  if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.05) return "utf16le";
+  if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.05) return "utf16be";
+  return null;
+}
+
+function isValidUtf8(bytes) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function decode(bytes, encoding) {
+  switch (encoding) {
+    case "utf16le":
+      return decodeUtf16(bytes, false);
+    case "utf16be":
+      return decodeUtf16(bytes, true);
+    case "latin1":
+      return bytes.toString("latin1");
+    case "utf8":
+    default:
+      return decodeUtf8(bytes);
+  }
+}
+
+function encode(text, encoding) {
+  switch (encoding) {
+    case "utf16le":
+      return encodeUtf16(text, false);
+    case "utf16be":
+      return encodeUtf16(text, true);
+    case "latin1":
+      return encodeLatin1(text);
+    case "utf8":
+    default:
+      return encodeUtf8(text);
+  }
+}
+
+// Returns the number of characters that cannot be represented
+function countUnencodable(text, encoding) {
+  if (encoding !== "latin1") return 0;
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code > 0xff && !isEscapedByte(text, i)) count++;
+  }
+  return count;
+}
+
+function decodeUtf8(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(
+      bytes
+    );
+  } catch (err) {
+    // Fall through to the byte-by-byte decoder below
+  }
+
+  const parts = [];
+  let chunk = "";
+  let i = 0;
+  while (i < bytes.length) {
+    const length = utf8SequenceLength(bytes, i);
+    if (length === 0) {
+      chunk += String.fromCharCode(ESCAPE_BASE + bytes[i]);
+      i++;
+    } else {
+      chunk += bytes.toString("utf8", i, i + length);
+      i += length;
+    }
+    if (chunk.length > 8192) {
+      parts.push(chunk);
+      chunk = "";
+    }
+  }
+  parts.push(chunk);
+  return parts.join("");
+}
+
+// Length of the well-formed UTF-8 sequence starting at index, or 0
+function utf8SequenceLength(bytes, index) {
+  const lead = bytes[index];
+  if (lead < 0x80) return 1;
+
+  let length = 0;
+  let min = 0x80;
+  let max = 0xbf;
+  if (lead >= 0xc2 && lead <= 0xdf) {
+    length = 2;
+  } else if (lead >= 0xe0 && lead <= 0xef) {
+    length = 3;
+    if (lead === 0xe0) min = 0xa0;
+    if (lead === 0xed) max = 0x9f; // Excludes encoded surrogates
+  } else if (lead >= 0xf0 && lead <= 0xf4) {
+    length = 4;
+    if (lead === 0xf0) min = 0x90;
+    if (lead === 0xf4) max = 0x8f;
+  } else {
+    return 0;
+  }
+
+  if (index + length > bytes.length) return 0;
+  const second = bytes[index + 1];
+  if (second < min || second > max) return 0;
+  for (let i = 2; i < length; i++) {
+    const next = bytes[index + i];
+    if (next < 0x80 || next > 0xbf) return 0;
+  }
+  return length;
+}
+
+// The bytes before a UTF-8 sequence cut off by the end, as happens when a
+// sample is read from the start of a longer file
+function trimPartialUtf8(bytes) {
+  const last = Math.max(0, bytes.length - 3);
+  for (let i = bytes.length - 1; i >= last; i--) {
+    const byte = bytes[i];
+    if (byte >= 0x80 && byte <= 0xbf) continue; // Continuation byte
+    const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : 2;
+    return byte >= 0xc2 && i + length > bytes.length
+      ? bytes.subarray(0, i)
+      : bytes;
+  }
+  return bytes;
+}
+
+function decodeUtf16(bytes, bigEndian) {
+  const evenLength = bytes.length & ~1;
+  let body = bytes.subarray(0, evenLength);
+  if (bigEndian) {
+    body = Buffer.from(body).swap16();
+  }
+  let text = body.toString("utf16le");
+  if (evenLength < bytes.length) {
+    text += String.fromCharCode(ESCAPE_BASE + bytes[evenLength]);
+  }
+  return text;
+}
+
+function encodeUtf8(text) {
+  if (!/[\udc00-\udcff]/.test(text)) {
+    return Buffer.from(text, "utf8");
+  }
+  return encodeWithEscapes(text, (segment) => Buffer.from(segment, "utf8"));
+}
+
+function encodeLatin1(text) {
+  return encodeWithEscapes(text, (segment) => Buffer.from(segment, "latin1"));
+}
+
+function encodeUtf16(text, bigEndian) {
+  // Only a trailing escaped byte is meaningful for UTF-16 (odd file length)
+  let body = text;
+  let trailing = null;
+  if (text.length > 0 && isEscapedByte(text, text.length - 1)) {
+    body = text.slice(0, -1);
+    trailing = text.charCodeAt(text.length - 1) - ESCAPE_BASE;
+  }
+
+  let bytes = Buffer.from(body, "utf16le");
+  if (bigEndian) {
+    bytes = bytes.swap16();
+  }
+  return trailing === null
+    ? bytes
+    : Buffer.concat([bytes, Buffer.from([trailing])]);
+}
+
+function encodeWithEscapes(text, encodeSegment) {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (isEscapedByte(text, i)) {
+      if (i > start) parts.push(encodeSegment(text.slice(start, i)));
+      parts.push(Buffer.from([text.charCodeAt(i) - ESCAPE_BASE]));
+      start = i + 1;
+    }
+  }
+  if (start < text.length) parts.push(encodeSegment(text.slice(start)));
+  return Buffer.concat(parts);
+}
+
+// A low surrogate in U+DC00..U+DCFF that is not part of a surrogate pair
+function isEscapedByte(text, index) {
+  const code = text.charCodeAt(index);
+  if (code < ESCAPE_BASE || code > ESCAPE_BASE + 0xff) return false;
+  const previous = index > 0 ? text.charCodeAt(index - 1) : 0;
+  return previous < 0xd800 || previous > 0xdbff;
+}
+
+module.exports = {
+  ENCODINGS,
+  parseEncodingName,
+  getEncodingLabel,
+  detectEncoding,
+  isBinaryContent,
+  decode,
+  encode,
+  countUnencodable,
+  utf8SequenceLength,
+  trimPartialUtf8,
+};
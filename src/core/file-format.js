@@ -0,0 +1,152 @@
+const { diffLines } = require("./line-diff");
+
+// ===== File Format =====
+// The buffer always holds text with "\n" line breaks and no byte order
+// mark. The details needed to write a file back exactly as it was read
+// (line endings, BOM, character encoding, compression) are kept in a
+// format record.
+const BOM = "\uFEFF";
+
+const LINE_ENDINGS = {
+  lf: { name: "lf", label: "LF", sequence: "\n" },
+  crlf: { name: "crlf", label: "CRLF", sequence: "\r\n" },
+  cr: { name: "cr", label: "CR", sequence: "\r" },
+};
+
+function defaultFormat() {
+  return {
+    eol: "lf",
+    bom: false,
+    mixedEol: false,
+    encoding: "utf8",
+    compression: null,
+  };
+}
+
+// Counts each line ending style; the most common one wins, ties and files
+// without line breaks default to LF. A lone CR only breaks lines in files
+// where it is the most common ending; elsewhere it is text, such as the
+// carriage returns in a progress log.
+function detectLineEnding(text) {
+  const counts = { lf: 0, crlf: 0, cr: 0 };
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 13) {
+      if (text.charCodeAt(i + 1) === 10) {
+        counts.crlf++;
+        i++;
+      } else {
+        counts.cr++;
+      }
+    } else if (code === 10) {
+      counts.lf++;
+    }
+  }
+
+  let eol = "lf";
+  if (counts.crlf > counts.lf && counts.crlf >= counts.cr) {
+    eol = "crlf";
+  } else if (counts.cr > counts.lf && counts.cr > counts.crlf) {
+    eol = "cr";
+  }
+
+  if (eol !== "cr") counts.cr = 0;
+  const stylesUsed = Object.values(counts).filter((count) => count > 0);
+  return { eol, mixedEol: stylesUsed.length > 1 };
+}
+
+// Splits decoded file content into buffer text and its format. Files with
+// more than one line ending style also get lineEndings, the ending of
+// each line, for serializeContent to keep.
+function parseContent(raw) {
+  let text = raw;
+  const bom = text.startsWith(BOM);
+  if (bom) {
+    text = text.slice(BOM.length);
+  }
+
+  const { eol, mixedEol } = detectLineEnding(text);
+  const lineBreak = eol === "cr" ? /\r\n|\r|\n/g : /\r\n|\n/g;
+  let lineEndings = null;
+  if (mixedEol) {
+    const endings = text.match(lineBreak);
+    text = text.replace(lineBreak, "\n");
+    lineEndings = { text, endings };
+  } else {
+    text = text.replace(lineBreak, "\n");
+  }
+  return { text, format: { eol, bom, mixedEol }, lineEndings };
+}
+
+// Ending of each line of `text` when it is written back. Lines that are
+// unchanged since lineEndings was taken keep their own ending, and lines
+// edited in place keep the ending of the line they replaced; new lines get
+// the format's style. Null when every line gets the format's style.
+function resolveLineEndings(text, format, lineEndings) {
+  if (!format.mixedEol || !lineEndings) return null;
+  const style = (LINE_ENDINGS[format.eol] || LINE_ENDINGS.lf).sequence;
+
+  const endings = [];
+  let oldIndex = 0;
+  let replaced = []; // Endings of deleted lines, for the lines inserted
+  for (const { type } of diffLines(lineEndings.text, text)) {
+    if (type === "equal") {
+      endings.push(lineEndings.endings[oldIndex++] || style);
+      replaced = [];
+    } else if (type === "delete") {
+      replaced.push(lineEndings.endings[oldIndex++] || style);
+    } else {
+      endings.push(replaced.length > 0 ? replaced.shift() : style);
+    }
+  }
+  // The last line has no ending
+  endings.pop();
+  return endings;
+}
+
+// Inverse of parseContent. `endings`, from resolveLineEndings, gives each
+// line its own ending; without it every line gets the format's style.
+function serializeContent(text, format = defaultFormat(), endings = null) {
+  const ending = LINE_ENDINGS[format.eol] || LINE_ENDINGS.lf;
+  let body;
+  if (endings) {
+    const lines = text.split("\n");
+    body = lines[0];
+    for (let i = 1; i < lines.length; i++) {
+      body += endings[i - 1] + lines[i];
+    }
+  } else {
+    body =
+      ending.sequence === "\n" ? text : text.split("\n").join(ending.sequence);
+  }
+  return format.bom ? BOM + body : body;
+}
+
+function getLineEndingLabel(format) {
+  const ending = LINE_ENDINGS[format && format.eol] || LINE_ENDINGS.lf;
+  return format && format.mixedEol ? `${ending.label}*` : ending.label;
+}
+
+function parseLineEndingName(value) {
+  const key = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  if (LINE_ENDINGS[key]) return key;
+  if (key === "unix") return "lf";
+  if (key === "windows" || key === "dos") return "crlf";
+  if (key === "mac") return "cr";
+  return null;
+}
+
+module.exports = {
+  BOM,
+  LINE_ENDINGS,
+  defaultFormat,
+  detectLineEnding,
+  parseContent,
+  resolveLineEndings,
+  serializeContent,
+  getLineEndingLabel,
+  parseLineEndingName,
+};
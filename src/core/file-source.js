@@ -0,0 +1,274 @@
+const fsSync = require("fs");
+const { decode, encode, utf8SequenceLength } = require("./encoding");
+
+const WINDOW_SIZE = 64 * 1024;
+const MAX_WINDOWS = 64;
+const WALK_STEP = 16 * 1024;
+const INDEX_CHUNK_SIZE = 1024 * 1024;
+const COPY_CHUNK_SIZE = 1024 * 1024;
+const CHECKPOINT_LINES = 256;
+const CHECKPOINT_BYTES = 64 * 1024;
+
+// ===== File Source =====
+// Read-only view of a large file used as the original buffer of a
+// PieceTable. Nothing is loaded up front: indexNext() scans the file in
+// chunks, recording a checkpoint (byte offset, character offset, line
+// feeds so far) every few hundred lines, and text is decoded from small
+// cached windows of the file when it is asked for.
+//
+// Offsets are UTF-16 code units, like everywhere else in the editor.
+// Bytes that are not valid UTF-8 count as one unit each, matching the
+// surrogate escapes produced by decode().
+class FileSource {
+  constructor(filepath, options = {}) {
+    this.filepath = filepath;
+    this.encoding = options.encoding === "latin1" ? "latin1" : "utf8";
+    this.fd = fsSync.openSync(filepath, "r");
+    this.size = fsSync.fstatSync(this.fd).size;
+    this.windows = new Map();
+
+    const startByte = Math.min(options.skipBytes || 0, this.size);
+    this.checkpoints = { byte: [startByte], char: [0], line: [0] };
+    this.indexedBytes = startByte;
+    this.length = 0; // Characters indexed so far
+    this.lineFeeds = 0; // Line feeds indexed so far
+    this.complete = startByte >= this.size;
+  }
+
+  get progress() {
+    return this.size > 0 ? this.indexedBytes / this.size : 1;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fsSync.closeSync(this.fd);
+      this.fd = null;
+    }
+    this.windows.clear();
+  }
+
+  // Indexes the next chunk of the file. Returns true while more remains.
+  indexNext(chunkSize = INDEX_CHUNK_SIZE) {
+    if (this.complete) return false;
+
+    const base = this.indexedBytes;
+    // A few spare bytes let a sequence that straddles the chunk end finish
+    const bytes = this.readDirect(
+      base,
+      Math.min(chunkSize + 3, this.size - base)
+    );
+    const atEnd = base + bytes.length >= this.size;
+    const limit = atEnd ? bytes.length : Math.min(bytes.length, chunkSize);
+    const { checkpoints } = this;
+    const last = checkpoints.byte.length - 1;
+    let checkpointByte = checkpoints.byte[last];
+    let checkpointLine = checkpoints.line[last];
+
+    let i = 0;
+    let chars = this.length;
+    let lines = this.lineFeeds;
+    while (i < limit) {
+      const value = bytes[i];
+      let size = 1;
+      let units = 1;
+      if (value >= 0x80 && this.encoding === "utf8") {
+        size = utf8SequenceLength(bytes, i) || 1;
+        units = size === 4 ? 2 : 1;
+      }
+      i += size;
+      chars += units;
+      if (value === 10) lines++;
+
+      if (
+        lines - checkpointLine >= CHECKPOINT_LINES ||
+        base + i - checkpointByte >= CHECKPOINT_BYTES
+      ) {
+        checkpointByte = base + i;
+        checkpointLine = lines;
+        checkpoints.byte.push(checkpointByte);
+        checkpoints.char.push(chars);
+        checkpoints.line.push(lines);
+      }
+    }
+
+    this.indexedBytes = base + i;
+    this.length = chars;
+    this.lineFeeds = lines;
+    this.complete = this.indexedBytes >= this.size;
+    return !this.complete;
+  }
+
+  slice(start, end) {
+    if (end <= start) return "";
+    const from = this.locate(start);
+    const to = this.locate(end);
+    const endByte = to.skip > 0 ? to.byte + to.size : to.byte;
+    const text = this.decodeBytes(this.read(from.byte, endByte - from.byte));
+    return text.slice(from.skip, from.skip + (end - start));
+  }
+
+  countLineFeeds(start, end) {
+    if (end <= start) return 0;
+    const before = start <= 0 ? 0 : this.locate(start).line;
+    const through = end >= this.length ? this.lineFeeds : this.locate(end).line;
+    return through - before;
+  }
+
+  // Offset of the nth line start after position start (n >= 1)
+  nthLineStart(start, n) {
+    const target = this.locate(start).line + n;
+    const index = lastAtOrBelow(this.checkpoints.line, target - 1);
+    return this.walk(index, (state) => state.line >= target).char;
+  }
+
+  // Writes the bytes behind a character range to a file handle. Ranges
+  // that split a surrogate pair are re-encoded instead of copied.
+  async copyRange(handle, start, end) {
+    if (end <= start) return;
+    const from = this.locate(start);
+    const to = this.locate(end);
+    if (from.skip > 0 || to.skip > 0) {
+      await handle.write(encode(this.slice(start, end), this.encoding));
+      return;
+    }
+
+    for (let byte = from.byte; byte < to.byte; byte += COPY_CHUNK_SIZE) {
+      const length = Math.min(COPY_CHUNK_SIZE, to.byte - byte);
+      await handle.write(this.readDirect(byte, length));
+    }
+  }
+
+  // Byte position of the sequence containing a character offset. skip is
+  // non-zero when the offset falls between the halves of a surrogate pair.
+  locate(offset) {
+    const index = lastAtOrBelow(this.checkpoints.char, offset);
+    const state = this.walk(
+      index,
+      (current, units) => current.char + units > offset
+    );
+    return { ...state, skip: offset - state.char };
+  }
+
+  // Steps through the file one character sequence at a time, starting at a
+  // checkpoint, until stop(state, units) returns true or the indexed end is
+  // reached
+  walk(index, stop) {
+    const state = {
+      byte: this.checkpoints.byte[index],
+      char: this.checkpoints.char[index],
+      line: this.checkpoints.line[index],
+      size: 0,
+    };
+
+    while (state.byte < this.indexedBytes) {
+      const base = state.byte;
+      const bytes = this.read(base, Math.min(WALK_STEP + 3, this.size - base));
+      const limit = Math.min(WALK_STEP, this.indexedBytes - base);
+      let i = 0;
+      while (i < limit) {
+        const value = bytes[i];
+        let size = 1;
+        let units = 1;
+        if (value >= 0x80 && this.encoding === "utf8") {
+          size = utf8SequenceLength(bytes, i) || 1;
+          units = size === 4 ? 2 : 1;
+        }
+        state.byte = base + i;
+        state.size = size;
+        if (stop(state, units)) return state;
+        i += size;
+        state.char += units;
+        if (value === 10) state.line++;
+      }
+      state.byte = base + i;
+    }
+    state.size = 0;
+    return state;
+  }
+
+  decodeBytes(bytes) {
+    return decode(bytes, this.encoding);
+  }
+
+  // Reads through a small cache of fixed windows; large reads bypass it
+  read(position, length) {
+    if (length <= 0) return Buffer.alloc(0);
+    if (length > WINDOW_SIZE * 4) return this.readDirect(position, length);
+
+    const first = Math.floor(position / WINDOW_SIZE);
+    const last = Math.floor((position + length - 1) / WINDOW_SIZE);
+    const parts = [];
+    for (let index = first; index <= last; index++) {
+      parts.push(this.getWindow(index));
+    }
+    const joined = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+    const offset = position - first * WINDOW_SIZE;
+    return joined.subarray(offset, offset + length);
+  }
+
+  getWindow(index) {
+    let window = this.windows.get(index);
+    if (window) {
+      // Refresh its position for least-recently-used eviction
+      this.windows.delete(index);
+    } else {
+      window = this.readDirect(index * WINDOW_SIZE, WINDOW_SIZE);
+      if (this.windows.size >= MAX_WINDOWS) {
+        this.windows.delete(this.windows.keys().next().value);
+      }
+    }
+    this.windows.set(index, window);
+    return window;
+  }
+
+  readDirect(position, length) {
+    const size = Math.max(0, Math.min(length, this.size - position));
+    const bytes = Buffer.alloc(size);
+    let read = 0;
+    while (read < size) {
+      const count = fsSync.readSync(
+        this.fd,
+        bytes,
+        read,
+        size - read,
+        position + read
+      );
+      if (count === 0) break;
+      read += count;
+    }
+    return read < size ? bytes.subarray(0, read) : bytes;
+  }
+}
+
+// First bytes of a file, used to detect its encoding and line endings
+async function readSample(filepath, size) {
+  const handle = await fsSync.promises.open(filepath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(
+      Buffer.alloc(size),
+      0,
+      size,
+      0
+    );
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Index of the last entry <= value in a sorted array (0 when none)
+function lastAtOrBelow(values, value) {
+  let low = 0;
+  let high = values.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >>> 1;
+    if (values[mid] <= value) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+module.exports = { FileSource, readSample };
@@ -0,0 +1,51 @@
+const fsSync = require("fs");
+const path = require("path");
+
+const POLL_INTERVAL_MS = 1000;
+
+// ===== File Watcher =====
+// Polls the open file's metadata. Polling (rather than fs.watch) keeps
+// working when tools replace the file through a rename, as git checkout,
+// formatters and our own atomic saves do.
+class FileWatcher {
+  constructor(options = {}) {
+    this.interval = options.interval || POLL_INTERVAL_MS;
+    this.onChange = options.onChange || (() => {});
+    this.filepath = null;
+    this.listener = null;
+  }
+
+  watch(filepath) {
+    const target = filepath ? path.resolve(filepath) : null;
+    if (target === this.filepath) return;
+
+    this.unwatch();
+    if (!target) return;
+
+    this.filepath = target;
+    this.listener = (current, previous) => {
+      const unchanged =
+        current.mtimeMs === previous.mtimeMs &&
+        current.size === previous.size &&
+        current.ino === previous.ino;
+      if (!unchanged) {
+        this.onChange(target, current);
+      }
+    };
+    fsSync.watchFile(
+      target,
+      { interval: this.interval, persistent: false },
+      this.listener
+    );
+  }
+
+  unwatch() {
+    if (this.filepath && this.listener) {
+      fsSync.unwatchFile(this.filepath, this.listener);
+    }
+    this.filepath = null;
+    this.listener = null;
+  }
+}
+
+module.exports = { FileWatcher };
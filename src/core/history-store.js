@@ -0,0 +1,94 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { getUserDataDir } = require("./user-data");
+const { debugLog } = require("./debug-logger");
+
+const STORE_VERSION = 1;
+
+// ===== Persistent Undo History =====
+// One JSON file per edited path under <user data dir>/undo. Each entry
+// records the hash of the file content its saved state corresponds to; if
+// the file on disk no longer matches, the entry is discarded.
+class HistoryStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(getUserDataDir(), "undo");
+  }
+
+  static hashContent(content) {
+    return crypto.createHash("sha256").update(content).digest("hex");
+  }
+
+  entryPath(filepath) {
+    const key = crypto
+      .createHash("sha1")
+      .update(path.resolve(filepath))
+      .digest("hex");
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async save(filepath, contentHash, history) {
+    if (!filepath || !contentHash || !history) return false;
+
+    const entry = {
+      version: STORE_VERSION,
+      path: path.resolve(filepath),
+      contentHash,
+      writtenAt: Date.now(),
+      history: history.serialize(),
+    };
+
+    const target = this.entryPath(filepath);
+    const temp = `${target}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(temp, JSON.stringify(entry), "utf8");
+      await fs.rename(temp, target);
+      return true;
+    } catch (err) {
+      debugLog.log("Failed to persist undo history:", err.message);
+      await fs.unlink(temp).catch(() => {});
+      return false;
+    }
+  }
+
+  // Returns the stored history data, or null when there is none or it was
+  // recorded against different file content
+  async load(filepath, contentHash) {
+    if (!filepath) return null;
+
+    const target = this.entryPath(filepath);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(target, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        debugLog.log("Discarding unreadable undo history:", err.message);
+        await this.remove(filepath);
+      }
+      return null;
+    }
+
+    const matches =
+      entry &&
+      entry.version === STORE_VERSION &&
+      entry.path === path.resolve(filepath) &&
+      entry.contentHash === contentHash;
+
+    if (!matches) {
+      await this.remove(filepath);
+      return null;
+    }
+    return entry.history;
+  }
+
+  async remove(filepath) {
+    try {
+      await fs.unlink(this.entryPath(filepath));
+    } catch (err) {
+      // Nothing stored for this file
+    }
+  }
+}
+
+module.exports = { HistoryStore };
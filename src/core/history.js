@@ -0,0 +1,298 @@
+// ===== Undo History =====
+// History records the edits applied to a buffer rather than copies of its
+// text. Each undo step is a transaction: an ordered list of
+// { offset, removed, inserted } operations plus the cursor/selection state
+// captured before and after the change.
+//
+// Transactions form a tree. Undoing and then editing starts a new branch
+// instead of discarding the redo tail, so every state stays reachable.
+const ROOT_ID = 0;
+const COALESCE_WINDOW_MS = 1500;
+const COALESCING_KINDS = new Set([
+  "typing",
+  "delete-backward",
+  "delete-forward",
+]);
+
+class History {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.nodes = new Map();
+    this.nodes.set(ROOT_ID, createNode(ROOT_ID, null, "root"));
+    this.nextId = ROOT_ID + 1;
+    this.currentId = ROOT_ID;
+    this.savedId = ROOT_ID;
+    this.pending = null;
+    this.depth = 0;
+    this.sealed = false;
+  }
+
+  get current() {
+    return this.nodes.get(this.currentId);
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  getRoot() {
+    return this.nodes.get(ROOT_ID);
+  }
+
+  canUndo() {
+    return this.currentId !== ROOT_ID;
+  }
+
+  canRedo() {
+    return this.current.redoChildId !== null;
+  }
+
+  isInTransaction() {
+    return this.depth > 0;
+  }
+
+  begin(kind, before) {
+    this.depth++;
+    if (this.depth === 1) {
+      this.pending = {
+        kind: kind || "edit",
+        edits: [],
+        before: before || null,
+        after: null,
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  record(offset, removed, inserted) {
+    if (!this.pending) return;
+    if (!removed && !inserted) return;
+    this.pending.edits.push({ offset, removed, inserted });
+  }
+
+  // Returns the committed node, or null when nothing was recorded
+  commit(after) {
+    if (this.depth === 0) return null;
+    this.depth--;
+    if (this.depth > 0) return null;
+
+    const transaction = this.pending;
+    this.pending = null;
+    if (!transaction || transaction.edits.length === 0) return null;
+    transaction.after = after || null;
+
+    const parent = this.current;
+    if (this.shouldCoalesce(parent, transaction)) {
+      parent.edits.push(...transaction.edits);
+      parent.after = transaction.after;
+      parent.timestamp = transaction.timestamp;
+      return parent;
+    }
+
+    const node = createNode(this.nextId++, parent.id, transaction.kind);
+    Object.assign(node, {
+      edits: transaction.edits,
+      before: transaction.before,
+      after: transaction.after,
+      timestamp: transaction.timestamp,
+    });
+    this.nodes.set(node.id, node);
+    parent.childIds.push(node.id);
+    parent.redoChildId = node.id;
+    this.currentId = node.id;
+    this.sealed = false;
+    return node;
+  }
+
+  shouldCoalesce(previous, transaction) {
+    if (previous.id === ROOT_ID || this.sealed) return false;
+    // Merging into a node with branches would change their starting text
+    if (previous.childIds.length > 0) return false;
+    if (previous.id === this.savedId) return false;
+    if (!COALESCING_KINDS.has(transaction.kind)) return false;
+    if (previous.kind !== transaction.kind) return false;
+    if (transaction.timestamp - previous.timestamp > COALESCE_WINDOW_MS) {
+      return false;
+    }
+    // Only merge when the cursor has not moved since the previous edit
+    return sameState(previous.after, transaction.before);
+  }
+
+  // Prevent the next transaction from merging into the current one
+  seal() {
+    this.sealed = true;
+  }
+
+  markSaved() {
+    this.savedId = this.currentId;
+    this.seal();
+  }
+
+  // Used when the file would differ from disk without a text edit, such as
+  // a line ending conversion; no node matches the file until the next save
+  invalidateSavePoint() {
+    this.savedId = null;
+    this.seal();
+  }
+
+  isAtSavePoint() {
+    return this.currentId === this.savedId;
+  }
+
+  takeUndo() {
+    if (!this.canUndo()) return null;
+    const node = this.current;
+    const parent = this.nodes.get(node.parentId);
+    parent.redoChildId = node.id;
+    this.currentId = parent.id;
+    this.sealed = true;
+    return node;
+  }
+
+  takeRedo() {
+    if (!this.canRedo()) return null;
+    const node = this.nodes.get(this.current.redoChildId);
+    this.currentId = node.id;
+    this.sealed = true;
+    return node;
+  }
+
+  // Steps needed to move from one node to another: undo up to the common
+  // ancestor, then redo down to the target.
+  getPath(fromId, toId) {
+    const target = this.nodes.get(toId);
+    if (!target) return null;
+
+    const ancestors = new Set();
+    for (let id = toId; id !== null; id = this.nodes.get(id).parentId) {
+      ancestors.add(id);
+    }
+
+    const undo = [];
+    let commonId = fromId;
+    while (!ancestors.has(commonId)) {
+      const node = this.nodes.get(commonId);
+      undo.push(node);
+      commonId = node.parentId;
+    }
+
+    const redo = [];
+    for (let id = toId; id !== commonId; id = this.nodes.get(id).parentId) {
+      redo.unshift(this.nodes.get(id));
+    }
+
+    return { undo, redo };
+  }
+
+  // Moves the current pointer along a path returned by getPath
+  moveTo(toId) {
+    const path = this.getPath(this.currentId, toId);
+    if (!path) return null;
+
+    for (const node of path.undo) {
+      this.nodes.get(node.parentId).redoChildId = node.id;
+    }
+    for (const node of path.redo) {
+      this.nodes.get(node.parentId).redoChildId = node.id;
+    }
+    this.currentId = toId;
+    this.sealed = true;
+    return path;
+  }
+
+  // Plain data for persisting the tree. Only the saved state is meaningful
+  // on reload, so the current pointer is not stored.
+  serialize() {
+    return {
+      nextId: this.nextId,
+      savedId: this.savedId,
+      nodes: Array.from(this.nodes.values()).map((node) => ({ ...node })),
+    };
+  }
+
+  // Restores a tree written by serialize(), positioned at its saved node.
+  // Returns false and leaves the history empty when the data is unusable.
+  restore(data) {
+    this.clear();
+    if (!data || !Array.isArray(data.nodes)) return false;
+
+    const nodes = new Map();
+    for (const node of data.nodes) {
+      if (!node || typeof node.id !== "number" || !Array.isArray(node.edits)) {
+        return false;
+      }
+      nodes.set(node.id, {
+        ...createNode(node.id, node.parentId, node.kind),
+        ...node,
+        childIds: Array.isArray(node.childIds) ? node.childIds.slice() : [],
+      });
+    }
+
+    const linked = Array.from(nodes.values()).every(
+      (node) =>
+        (node.id === ROOT_ID || nodes.has(node.parentId)) &&
+        node.childIds.every((childId) => nodes.has(childId))
+    );
+    if (!nodes.has(ROOT_ID) || !nodes.has(data.savedId) || !linked) {
+      return false;
+    }
+
+    let maxId = data.nextId || 0;
+    for (const id of nodes.keys()) {
+      maxId = Math.max(maxId, id);
+    }
+
+    this.nodes = nodes;
+    this.nextId = maxId + 1;
+    this.savedId = data.savedId;
+    this.currentId = data.savedId;
+    this.sealed = true;
+    return true;
+  }
+
+  // Depth-first listing used by the history browser. Each entry carries the
+  // branch depth so callers can indent alternative timelines.
+  getEntries() {
+    const entries = [];
+    // Iterative so long linear histories cannot overflow the stack
+    const stack = [{ id: ROOT_ID, branch: 0 }];
+    while (stack.length > 0) {
+      const { id, branch } = stack.pop();
+      const node = this.nodes.get(id);
+      entries.push({
+        node,
+        branch,
+        isCurrent: id === this.currentId,
+        isSaved: id === this.savedId,
+      });
+      for (let i = node.childIds.length - 1; i >= 0; i--) {
+        stack.push({ id: node.childIds[i], branch: branch + (i > 0 ? 1 : 0) });
+      }
+    }
+    return entries;
+  }
+}
+
+function createNode(id, parentId, kind) {
+  return {
+    id,
+    parentId,
+    kind,
+    edits: [],
+    before: null,
+    after: null,
+    timestamp: Date.now(),
+    childIds: [],
+    redoChildId: null,
+  };
+}
+
+function sameState(a, b) {
+  if (!a || !b) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { History, ROOT_ID };
@@ -0,0 +1,134 @@
+const { debugLog } = require("./debug-logger");
+
+const ERROR_MESSAGES = {
+  "-32700": "Parse error",
+  "-32600": "Invalid request",
+  "-32601": "Method not found",
+  "-32602": "Invalid params",
+};
+
+// ===== JSON-RPC Connection =====
+// JSON-RPC 2.0 over a pair of streams, one JSON object per line. Requests
+// are answered from a shared method table; handlers receive the params and
+// this connection and may resolve later. Used for the editor socket and
+// for --rpc-stdio.
+class JsonRpcConnection {
+  constructor(input, output, methods) {
+    this.input = input;
+    this.output = output;
+    this.methods = methods; // name -> async (params, connection) => result
+    this.subscriptions = new Set(); // Notification names the peer wants
+    this.closed = false;
+    this.closeListeners = [];
+  }
+
+  start() {
+    let pending = "";
+    this.input.setEncoding("utf8");
+    this.input.on("data", (chunk) => {
+      pending += chunk;
+      let newline;
+      while ((newline = pending.indexOf("\n")) !== -1) {
+        const line = pending.slice(0, newline).trim();
+        pending = pending.slice(newline + 1);
+        if (line) this.handleLine(line);
+      }
+    });
+    this.input.on("error", (err) => {
+      debugLog.log("JSON-RPC connection error:", err.message);
+    });
+    this.input.on("close", () => this.markClosed());
+    this.input.on("end", () => this.markClosed());
+  }
+
+  onClose(listener) {
+    this.closeListeners.push(listener);
+  }
+
+  markClosed() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const listener of this.closeListeners) listener(this);
+  }
+
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      this.send(errorResponse(null, -32700));
+      return;
+    }
+    if (Array.isArray(message)) {
+      this.send(
+        errorResponse(null, -32600, "Batch requests are not supported")
+      );
+      return;
+    }
+    if (!message || message.jsonrpc !== "2.0" || !message.method) {
+      this.send(errorResponse(message && message.id, -32600));
+      return;
+    }
+
+    const { id = null, method, params = {} } = message;
+    const handler = this.methods.get(method);
+    if (!handler) {
+      this.send(errorResponse(id, -32601, `Unknown method ${method}`));
+      return;
+    }
+
+    try {
+      const result = await handler(params || {}, this);
+      if (id !== null) {
+        this.send({ jsonrpc: "2.0", id, result: result ?? null });
+      }
+    } catch (err) {
+      if (id !== null) {
+        // Node errors carry string codes such as ENOENT; JSON-RPC codes
+        // must be integers, so those go in the data member instead
+        const response = errorResponse(id, -32000, err.message);
+        if (Number.isInteger(err.code)) {
+          response.error.code = err.code;
+        } else if (err.code !== undefined) {
+          response.error.data = { code: err.code };
+        }
+        this.send(response);
+      }
+    }
+  }
+
+  notify(method, params) {
+    if (this.subscriptions.has(method)) {
+      this.send({ jsonrpc: "2.0", method, params });
+    }
+  }
+
+  send(message) {
+    if (this.closed || this.output.destroyed) return;
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+
+  // Resolves once queued replies are flushed
+  end() {
+    return new Promise((resolve) => {
+      if (this.output.destroyed) {
+        resolve();
+      } else {
+        this.output.end(resolve);
+      }
+    });
+  }
+}
+
+function errorResponse(id, code, message = ERROR_MESSAGES[code]) {
+  return { jsonrpc: "2.0", id: id ?? null, error: { code, message } };
+}
+
+// Thrown by handlers for bad arguments
+function invalidParams(message) {
+  const err = new Error(message);
+  err.code = -32602;
+  return err;
+}
+
+module.exports = { JsonRpcConnection, invalidParams };
@@ -0,0 +1,112 @@
+// ===== Line Diff =====
+// Myers' O(ND) difference algorithm over lines. Used to compare the buffer
+// with a file that changed on disk.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Returns [{ type: "equal" | "delete" | "insert", text }] turning a into b
+function diffLines(a, b) {
+  const oldLines = a.split("\n");
+  const newLines = b.split("\n");
+
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] ===
+      newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+  const result = [];
+  const push = (type, text) => result.push({ type, text });
+  oldLines.slice(0, prefix).forEach((line) => push("equal", line));
+  diffMiddle(oldMiddle, newMiddle).forEach((op) => result.push(op));
+  oldLines
+    .slice(oldLines.length - suffix)
+    .forEach((line) => push("equal", line));
+  return result;
+}
+
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  // Too different to be worth aligning; show a full replacement
+  return [
+    ...a.map((text) => ({ type: "delete", text })),
+    ...b.map((text) => ({ type: "insert", text })),
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    // trace[d] holds v[-d-1 .. d+1] as it was before step d
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", text: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: "insert", text: b[--y] });
+    } else {
+      ops.push({ type: "delete", text: a[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: "equal", text: a[--x] });
+    y--;
+  }
+  return ops.reverse();
+}
+
+module.exports = { diffLines };
@@ -9,6 +9,8 @@ const blessed = require("blessed");
  *   - onShow(): lifecycle hook invoked when the overlay becomes visible
  *   - onHide(): lifecycle hook invoked before the overlay is hidden
  *   - focus(): set focus to the overlay's primary interactive element
+ *   - keepsEditorVisible: leave the editor showing around the overlay
+ *     instead of blanking it (e.g. to preview a position)
  */
 class OverlayHost {
   constructor(screen) {
@@ -61,8 +63,14 @@ class OverlayHost {
         component.attach(this.layer);
       }
 
+      const seeThrough = Boolean(component.keepsEditorVisible);
+      this.layer.style.transparent = seeThrough;
       this.layer.show();
-      this.backdrop.show();
+      if (seeThrough) {
+        this.backdrop.hide();
+      } else {
+        this.backdrop.show();
+      }
       this.layer.setFront();
 
       if (typeof component.onShow === "function") {
@@ -0,0 +1,123 @@
+const MIN_RATIO = 0.1;
+const MAX_RATIO = 0.9;
+
+// ===== Pane Layout =====
+// Binary tree of splits with panes at the leaves. A "vertical" split puts
+// its two children side by side, a "horizontal" one stacks them. ratio is
+// the share of the space given to the first child.
+class PaneLayout {
+  constructor(pane) {
+    this.root = { type: "pane", pane };
+  }
+
+  // Panes in reading order (left to right, top to bottom)
+  getPanes() {
+    const panes = [];
+    const visit = (node) => {
+      if (node.type === "pane") {
+        panes.push(node.pane);
+      } else {
+        visit(node.first);
+        visit(node.second);
+      }
+    };
+    visit(this.root);
+    return panes;
+  }
+
+  split(pane, direction, newPane) {
+    const node = this.findNode(pane);
+    if (!node) return false;
+    const existing = { type: "pane", pane };
+    Object.assign(node, {
+      type: "split",
+      direction,
+      ratio: 0.5,
+      first: existing,
+      second: { type: "pane", pane: newPane },
+    });
+    delete node.pane;
+    return true;
+  }
+
+  // Removes a pane and gives its space to its sibling. The last pane
+  // cannot be removed.
+  remove(pane) {
+    const parent = this.findParent(pane);
+    if (!parent) return false;
+    const sibling = parent.first.pane === pane ? parent.second : parent.first;
+    for (const key of Object.keys(parent)) delete parent[key];
+    Object.assign(parent, sibling);
+    return true;
+  }
+
+  // Moves the nearest split of the given direction that contains the pane;
+  // delta grows the pane (positive) or shrinks it
+  resize(pane, direction, delta) {
+    const path = this.findPath(pane);
+    for (let i = path.length - 2; i >= 0; i--) {
+      const node = path[i];
+      if (node.direction !== direction) continue;
+      const inFirst = node.first === path[i + 1];
+      const ratio = node.ratio + (inFirst ? delta : -delta);
+      node.ratio = Math.min(MAX_RATIO, Math.max(MIN_RATIO, ratio));
+      return true;
+    }
+    return false;
+  }
+
+  // Screen rectangles for every pane. Side-by-side panes are separated by
+  // a one column gap.
+  computeRects(area) {
+    const rects = new Map();
+    const place = (node, rect) => {
+      if (node.type === "pane") {
+        rects.set(node.pane, rect);
+        return;
+      }
+      if (node.direction === "vertical") {
+        const firstWidth = Math.round((rect.width - 1) * node.ratio);
+        place(node.first, { ...rect, width: firstWidth });
+        place(node.second, {
+          ...rect,
+          left: rect.left + firstWidth + 1,
+          width: rect.width - firstWidth - 1,
+        });
+      } else {
+        const firstHeight = Math.round(rect.height * node.ratio);
+        place(node.first, { ...rect, height: firstHeight });
+        place(node.second, {
+          ...rect,
+          top: rect.top + firstHeight,
+          height: rect.height - firstHeight,
+        });
+      }
+    };
+    place(this.root, area);
+    return rects;
+  }
+
+  findNode(pane) {
+    const path = this.findPath(pane);
+    return path.length > 0 ? path[path.length - 1] : null;
+  }
+
+  findParent(pane) {
+    const path = this.findPath(pane);
+    return path.length > 1 ? path[path.length - 2] : null;
+  }
+
+  // Nodes from the root down to the pane's leaf
+  findPath(pane, node = this.root) {
+    if (node.type === "pane") {
+      return node.pane === pane ? [node] : [];
+    }
+    for (const child of [node.first, node.second]) {
+      const path = this.findPath(pane, child);
+      if (path.length > 0) return [node, ...path];
+    }
+    return [];
+  }
+}
+
+module.exports = { PaneLayout };
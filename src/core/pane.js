@@ -0,0 +1,84 @@
+const { Cursor } = require("./cursor");
+const { Selection } = require("../selection");
+const { HexView } = require("../features/hex-view");
+
+let nextPaneId = 1;
+
+// ===== View =====
+// How one pane shows one document: its own cursor, selection, scroll
+// position and hex view over the shared buffer.
+class View {
+  constructor(document) {
+    this.document = document;
+    this.buffer = document.buffer;
+    this.cursor = new Cursor(this.buffer);
+    this.selection = new Selection(this.buffer, this.cursor);
+    this.hexView = new HexView(this.buffer);
+    // topSegment is the first wrapped row of the top line on screen
+    this.viewport = { top: 0, topSegment: 0, left: 0 };
+    this.revision = this.buffer.revision; // Buffer revision when last left
+  }
+
+  markLeft() {
+    this.revision = this.buffer.revision;
+  }
+
+  // Another pane may have edited the buffer since this view was left
+  sync() {
+    if (this.revision === this.buffer.revision) return;
+    this.revision = this.buffer.revision;
+    this.selection.clear();
+    this.cursor.clamp();
+  }
+
+  copyPosition(other) {
+    this.cursor.row = other.cursor.row;
+    this.cursor.col = other.cursor.col;
+    this.cursor.preferredCol = other.cursor.preferredCol;
+    this.viewport.top = other.viewport.top;
+    this.viewport.topSegment = other.viewport.topSegment;
+    this.viewport.left = other.viewport.left;
+  }
+}
+
+// ===== Pane =====
+// A region of the screen showing one document at a time. Views are kept
+// per document so switching back restores the cursor and scroll position.
+class Pane {
+  constructor(document) {
+    this.id = nextPaneId++;
+    this.views = new Map();
+    this.view = null;
+    this.show(document);
+  }
+
+  get document() {
+    return this.view.document;
+  }
+
+  show(document) {
+    let view = this.views.get(document);
+    if (!view) {
+      view = new View(document);
+      this.views.set(document, view);
+    }
+    if (this.view && this.view !== view) {
+      this.view.markLeft();
+    }
+    this.view = view;
+    view.sync();
+    return view;
+  }
+
+  // Drops the view of a closed document, showing the replacement if the
+  // pane was on it
+  forget(document, replacement) {
+    this.views.delete(document);
+    if (this.view.document === document) {
+      this.view = null;
+      this.show(replacement);
+    }
+  }
+}
+
+module.exports = { Pane, View };
@@ -0,0 +1,366 @@
+// ===== Piece Table =====
+// Text is stored as an immutable "original" buffer plus an append-only "add"
+// buffer. The document is the concatenation of the pieces, each of which
+// points at a slice of one of those buffers. Edits only split or drop pieces,
+// so their cost does not depend on the size of the file.
+//
+// The original buffer is normally a string, but any source implementing
+// length, slice, countLineFeeds and nthLineStart can stand in for it (see
+// FileSource, which reads large files from disk on demand).
+const ORIGINAL = 0;
+const ADD = 1;
+const CHANGE_LOG_SIZE = 64;
+
+class PieceTable {
+  constructor(text = "") {
+    this.version = 0; // Bumped on every change to the text
+    this.changes = []; // Lowest offset touched by each recent version
+    this.reset(text);
+  }
+
+  // Accepts a string or a source object for the original buffer
+  reset(original = "") {
+    const source =
+      typeof original === "string" || !original
+        ? new StringSource(String(original || ""))
+        : original;
+    this.buffers = [source, new StringSource("")];
+    this.pieces = [];
+    this.length = 0;
+    this.lineFeedCount = 0;
+    this.syncOriginal();
+  }
+
+  // Covers the whole original buffer with a single piece. Used by reset and
+  // while a file source is still growing, before any edit has been made.
+  syncOriginal() {
+    const source = this.buffers[ORIGINAL];
+    this.pieces =
+      source.length > 0 ? [this.createPiece(ORIGINAL, 0, source.length)] : [];
+    this.length = source.length;
+    this.lineFeedCount = source.countLineFeeds(0, source.length);
+    this.noteChange(0);
+  }
+
+  // Caches derived from the text remember the version they were built
+  // from and ask changedSince() how much of them is still valid
+  noteChange(offset) {
+    this.version++;
+    this.changes.push(offset);
+    if (this.changes.length > CHANGE_LOG_SIZE) this.changes.shift();
+  }
+
+  // Lowest offset changed after the given version: the text before it is
+  // the same as it was then. 0 when the version is too old to tell.
+  changedSince(version) {
+    const count = this.version - version;
+    if (count > this.changes.length) return 0;
+    return Math.min(...this.changes.slice(this.changes.length - count));
+  }
+
+  createPiece(bufferIndex, start, length) {
+    return {
+      bufferIndex,
+      start,
+      length,
+      lineFeeds: this.countLineFeeds(bufferIndex, start, start + length),
+    };
+  }
+
+  countLineFeeds(bufferIndex, start, end) {
+    return this.buffers[bufferIndex].countLineFeeds(start, end);
+  }
+
+  getLineCount() {
+    return this.lineFeedCount + 1;
+  }
+
+  // Snapshots share the underlying buffers; only the piece list is copied
+  snapshot() {
+    return {
+      pieces: this.pieces.map((piece) => ({ ...piece })),
+      length: this.length,
+      lineFeedCount: this.lineFeedCount,
+    };
+  }
+
+  restore(snapshot) {
+    this.pieces = snapshot.pieces.map((piece) => ({ ...piece }));
+    this.length = snapshot.length;
+    this.lineFeedCount = snapshot.lineFeedCount;
+    this.noteChange(0);
+  }
+
+  insert(offset, text) {
+    if (text === undefined || text === null) return;
+    const value = String(text);
+    if (value.length === 0) return;
+
+    const position = clamp(offset, 0, this.length);
+    const addBuffer = this.buffers[ADD];
+    const addStart = addBuffer.length;
+    addBuffer.append(value);
+
+    const { index, inner } = this.locate(position);
+    const previous = index > 0 ? this.pieces[index - 1] : null;
+
+    // Typing appends to the add buffer; extend the previous piece in place
+    if (
+      inner === 0 &&
+      previous &&
+      previous.bufferIndex === ADD &&
+      previous.start + previous.length === addStart
+    ) {
+      previous.length += value.length;
+      previous.lineFeeds = this.countLineFeeds(
+        ADD,
+        previous.start,
+        previous.start + previous.length
+      );
+    } else {
+      const piece = this.createPiece(ADD, addStart, value.length);
+      if (inner === 0) {
+        this.pieces.splice(index, 0, piece);
+      } else {
+        const [left, right] = this.splitPiece(this.pieces[index], inner);
+        this.pieces.splice(index, 1, left, piece, right);
+      }
+    }
+
+    this.length += value.length;
+    this.lineFeedCount += countLineFeedsInString(value);
+    this.noteChange(position);
+  }
+
+  delete(offset, length) {
+    const start = clamp(offset, 0, this.length);
+    const end = clamp(offset + length, start, this.length);
+    if (end <= start) return "";
+
+    const removed = this.getTextRange(start, end);
+    this.splitAt(end);
+    const startIndex = this.splitAt(start);
+
+    let endIndex = startIndex;
+    let consumed = 0;
+    while (endIndex < this.pieces.length && consumed < end - start) {
+      consumed += this.pieces[endIndex].length;
+      endIndex++;
+    }
+
+    this.pieces.splice(startIndex, endIndex - startIndex);
+    this.length -= end - start;
+    this.lineFeedCount -= countLineFeedsInString(removed);
+    this.noteChange(start);
+    return removed;
+  }
+
+  // Returns the index of the first piece at or after a document offset
+  locate(offset) {
+    let remaining = offset;
+    for (let i = 0; i < this.pieces.length; i++) {
+      const piece = this.pieces[i];
+      if (remaining < piece.length) {
+        return { index: i, inner: remaining };
+      }
+      remaining -= piece.length;
+    }
+    return { index: this.pieces.length, inner: 0 };
+  }
+
+  // Ensures a piece boundary exists at offset and returns the index after it
+  splitAt(offset) {
+    const { index, inner } = this.locate(offset);
+    if (inner === 0) return index;
+    const [left, right] = this.splitPiece(this.pieces[index], inner);
+    this.pieces.splice(index, 1, left, right);
+    return index + 1;
+  }
+
+  splitPiece(piece, inner) {
+    return [
+      this.createPiece(piece.bufferIndex, piece.start, inner),
+      this.createPiece(
+        piece.bufferIndex,
+        piece.start + inner,
+        piece.length - inner
+      ),
+    ];
+  }
+
+  getText() {
+    return this.pieces
+      .map((piece) =>
+        this.buffers[piece.bufferIndex].slice(
+          piece.start,
+          piece.start + piece.length
+        )
+      )
+      .join("");
+  }
+
+  getTextRange(start, end) {
+    const from = clamp(start, 0, this.length);
+    const to = clamp(end, from, this.length);
+    if (to <= from) return "";
+
+    const parts = [];
+    let pieceOffset = 0;
+    for (const piece of this.pieces) {
+      const pieceEnd = pieceOffset + piece.length;
+      if (pieceEnd > from && pieceOffset < to) {
+        const sliceStart = Math.max(from, pieceOffset) - pieceOffset;
+        const sliceEnd = Math.min(to, pieceEnd) - pieceOffset;
+        parts.push(
+          this.buffers[piece.bufferIndex].slice(
+            piece.start + sliceStart,
+            piece.start + sliceEnd
+          )
+        );
+      }
+      if (pieceEnd >= to) break;
+      pieceOffset = pieceEnd;
+    }
+    return parts.join("");
+  }
+
+  // Document offset of the first character of a line
+  getLineStartOffset(row) {
+    if (row <= 0) return 0;
+    if (row > this.lineFeedCount) return this.length;
+
+    let seen = 0;
+    let pieceOffset = 0;
+    for (const piece of this.pieces) {
+      if (seen + piece.lineFeeds >= row) {
+        const lineStart = this.buffers[piece.bufferIndex].nthLineStart(
+          piece.start,
+          row - seen
+        );
+        return pieceOffset + (lineStart - piece.start);
+      }
+      seen += piece.lineFeeds;
+      pieceOffset += piece.length;
+    }
+    return this.length;
+  }
+
+  getLine(row) {
+    if (row < 0 || row > this.lineFeedCount) return "";
+    const start = this.getLineStartOffset(row);
+    const end =
+      row === this.lineFeedCount
+        ? this.length
+        : this.getLineStartOffset(row + 1) - 1;
+    return this.getTextRange(start, end);
+  }
+
+  offsetAt(row, col) {
+    const lineCount = this.getLineCount();
+    if (row >= lineCount) return this.length;
+    const safeRow = Math.max(0, row);
+    const start = this.getLineStartOffset(safeRow);
+    const lineLength = this.getLine(safeRow).length;
+    return start + clamp(col, 0, lineLength);
+  }
+
+  positionAt(offset) {
+    const target = clamp(offset, 0, this.length);
+
+    let row = 0;
+    let pieceOffset = 0;
+    for (const piece of this.pieces) {
+      if (pieceOffset + piece.length >= target) {
+        const inner = target - pieceOffset;
+        row += this.countLineFeeds(
+          piece.bufferIndex,
+          piece.start,
+          piece.start + inner
+        );
+        break;
+      }
+      row += piece.lineFeeds;
+      pieceOffset += piece.length;
+    }
+
+    return { row, col: target - this.getLineStartOffset(row) };
+  }
+}
+
+// In-memory text with an index of its line starts
+class StringSource {
+  constructor(text) {
+    this.text = text;
+    this.lineStarts = computeLineStarts(text);
+  }
+
+  get length() {
+    return this.text.length;
+  }
+
+  slice(start, end) {
+    return this.text.slice(start, end);
+  }
+
+  append(text) {
+    const base = this.text.length;
+    for (let i = 0; i < text.length; i++) {
+      if (text.charCodeAt(i) === 10) {
+        this.lineStarts.push(base + i + 1);
+      }
+    }
+    this.text += text;
+  }
+
+  countLineFeeds(start, end) {
+    // A line feed at position p produces a line start at p + 1
+    return (
+      upperBound(this.lineStarts, end) - upperBound(this.lineStarts, start)
+    );
+  }
+
+  // Offset of the nth line start after position start (n >= 1)
+  nthLineStart(start, n) {
+    const first = upperBound(this.lineStarts, start);
+    return this.lineStarts[first + n - 1];
+  }
+}
+
+function computeLineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+function countLineFeedsInString(text) {
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) count++;
+  }
+  return count;
+}
+
+// Number of entries in a sorted array that are <= value
+function upperBound(values, value) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (values[mid] <= value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+module.exports = { PieceTable, ORIGINAL, ADD };
@@ -0,0 +1,91 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getUserDataDir } = require("./user-data");
+const { writeFileAtomic, writeFileAtomicSync } = require("./atomic-write");
+const { debugLog } = require("./debug-logger");
+
+const SESSION_VERSION = 1;
+
+// Sessions name the files being worked on and the last search
+const PRIVATE_FILE = { mode: 0o600 };
+const PRIVATE_DIR = { recursive: true, mode: 0o700 };
+
+// ===== Sessions =====
+// One JSON file per workspace root under <user data dir>/sessions with the
+// open files, their cursor, selection and scroll positions, the search
+// term and the recent files list. Written on quit and restored when the
+// editor starts in the same workspace without a file argument.
+class SessionStore {
+  constructor(options = {}) {
+    this.directory =
+      options.directory || path.join(getUserDataDir(), "sessions");
+  }
+
+  entryPath(root) {
+    const key = crypto
+      .createHash("sha1")
+      .update(path.resolve(root))
+      .digest("hex");
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  createEntry(root, session) {
+    return {
+      version: SESSION_VERSION,
+      root: path.resolve(root),
+      savedAt: Date.now(),
+      ...session,
+    };
+  }
+
+  async save(root, session) {
+    const entry = this.createEntry(root, session);
+    try {
+      await fs.mkdir(this.directory, PRIVATE_DIR);
+      await writeFileAtomic(
+        this.entryPath(root),
+        JSON.stringify(entry),
+        PRIVATE_FILE
+      );
+      return true;
+    } catch (err) {
+      debugLog.log("Failed to write session:", err.message);
+      return false;
+    }
+  }
+
+  saveSync(root, session) {
+    const entry = this.createEntry(root, session);
+    try {
+      fsSync.mkdirSync(this.directory, PRIVATE_DIR);
+      writeFileAtomicSync(
+        this.entryPath(root),
+        JSON.stringify(entry),
+        PRIVATE_FILE
+      );
+      return true;
+    } catch (err) {
+      debugLog.log("Failed to write session:", err.message);
+      return false;
+    }
+  }
+
+  async load(root) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.entryPath(root), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        debugLog.log("Ignoring unreadable session:", err.message);
+      }
+      return null;
+    }
+    if (!entry || entry.version !== SESSION_VERSION) return null;
+    if (!Array.isArray(entry.documents)) return null;
+    return entry;
+  }
+}
+
+module.exports = { SessionStore };
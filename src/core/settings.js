@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const { getUserDataDir } = require("./user-data");
+const { debugLog } = require("./debug-logger");
+
+// ===== User Settings =====
+// Optional JSON file at <user data dir>/settings.json. Unknown keys are
+// ignored and invalid values fall back to the defaults below.
+const DEFAULT_SETTINGS = {
+  // "none", "simple" (file~) or "numbered" (file.~1~, file.~2~, ...)
+  backup: "none",
+  // Files this size or larger open in large-file mode
+  largeFileMB: 64,
+  // Columns between tab stops when showing tab characters
+  tabWidth: 4,
+  // Whether Tab inserts a tab character rather than spaces up to the next
+  // tab stop
+  indentWithTabs: false,
+  // Whether long lines wrap onto the rows below at startup (Alt+Z toggles)
+  softWrap: false,
+  // Whether wrapped lines break after spaces rather than anywhere
+  wrapAtWords: true,
+  // Extra columns to indent wrapped rows by, beyond the line's own indent
+  wrapIndent: 0,
+};
+
+const VALIDATORS = {
+  backup: (value) => ["none", "simple", "numbered"].includes(value),
+  largeFileMB: (value) => typeof value === "number" && value > 0,
+  tabWidth: (value) => Number.isInteger(value) && value >= 1 && value <= 16,
+  indentWithTabs: (value) => typeof value === "boolean",
+  softWrap: (value) => typeof value === "boolean",
+  wrapAtWords: (value) => typeof value === "boolean",
+  wrapIndent: (value) => Number.isInteger(value) && value >= 0 && value <= 16,
+};
+
+function getSettingsPath() {
+  return path.join(getUserDataDir(), "settings.json");
+}
+
+function loadSettings(filepath = getSettingsPath()) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      debugLog.log("Ignoring unreadable settings file:", err.message);
+    }
+    return settings;
+  }
+
+  for (const [key, isValid] of Object.entries(VALIDATORS)) {
+    if (data && data[key] !== undefined) {
+      if (isValid(data[key])) {
+        settings[key] = data[key];
+      } else {
+        debugLog.log(`Ignoring invalid setting ${key}:`, data[key]);
+      }
+    }
+  }
+  return settings;
+}
+
+module.exports = { DEFAULT_SETTINGS, getSettingsPath, loadSettings };
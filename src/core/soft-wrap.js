@@ -0,0 +1,83 @@
+const { eachCluster } = require("./text-width");
+
+// ===== Soft Wrap =====
+// Lays out one buffer line as several screen rows ("segments"). A
+// segment covers the columns [start, end) of the line, starting at
+// display column x; rows after the first are drawn `indent` cells in,
+// at the line's own indentation plus the wrapIndent setting. Tabs keep
+// the widths they have in the unwrapped line.
+
+// Breaks go after runs of spaces and tabs when wrapping at words
+const BLANK = /^[ \t]$/;
+
+function wrapLine(line, width, options = {}) {
+  const { tabWidth, atWords = true, indent = 0 } = options;
+  const clusters = [];
+  let leading = 0;
+  let x = 0;
+  eachCluster(
+    line,
+    (text, col, cells) => {
+      const blank = BLANK.test(text);
+      if (blank && x === leading) leading += cells;
+      clusters.push({ col, x, blank });
+      x += cells;
+      return true;
+    },
+    tabWidth
+  );
+  const lineWidth = x;
+  // Leave at least half the row for text
+  const wrapIndent = Math.min(leading + indent, Math.floor(width / 2));
+
+  const segments = [];
+  const xAt = (index) =>
+    index < clusters.length ? clusters[index].x : lineWidth;
+  const colAt = (index) =>
+    index < clusters.length ? clusters[index].col : line.length;
+  const push = (first, last) => {
+    const rowIndent = segments.length > 0 ? wrapIndent : 0;
+    segments.push({
+      start: colAt(first),
+      end: colAt(last),
+      x: xAt(first),
+      endX: xAt(last),
+      indent: rowIndent,
+    });
+  };
+
+  let first = 0;
+  let breakAt = -1; // Cluster after the last blank on the row
+  for (let i = 0; i < clusters.length; i++) {
+    const available = segments.length > 0 ? width - wrapIndent : width;
+    // A cluster wider than the row gets a row of its own
+    if (i > first && xAt(i + 1) - xAt(first) > available) {
+      const end = atWords && breakAt > first ? breakAt : i;
+      push(first, end);
+      first = end;
+      breakAt = -1;
+      i = first - 1;
+      continue;
+    }
+    if (atWords && clusters[i].blank) breakAt = i + 1;
+  }
+  push(first, clusters.length);
+
+  // A cursor at the end of a full row goes on a row of its own
+  const last = segments[segments.length - 1];
+  if (last.endX - last.x + last.indent >= width) {
+    push(clusters.length, clusters.length);
+  }
+  return segments;
+}
+
+// Index of the segment that a column is drawn on
+function findSegment(segments, col) {
+  let index = 0;
+  while (index + 1 < segments.length && segments[index + 1].start <= col) {
+    index++;
+  }
+  return index;
+}
+
+module.exports = { wrapLine, findSegment };
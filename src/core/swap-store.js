@@ -0,0 +1,146 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getUserDataDir } = require("./user-data");
+const { writeFileAtomic, writeFileAtomicSync } = require("./atomic-write");
+const { debugLog } = require("./debug-logger");
+
+const SWAP_VERSION = 1;
+
+// Swap files hold unsaved text, so only their owner may read them
+const PRIVATE_FILE = { mode: 0o600 };
+const PRIVATE_DIR = { recursive: true, mode: 0o700 };
+
+// ===== Swap Files =====
+// While a buffer has unsaved changes its full text is written to
+// <user data dir>/swap so the edits survive a crash, a closed terminal or
+// SIGHUP. Entries are removed after a clean save or quit; anything left
+// behind on startup is offered for recovery.
+class SwapStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(getUserDataDir(), "swap");
+  }
+
+  // Untitled buffers are keyed by the process that owns them and their
+  // document id within it
+  entryPath(filepath, untitledId = 0) {
+    const key = filepath
+      ? crypto.createHash("sha1").update(path.resolve(filepath)).digest("hex")
+      : `untitled-${process.pid}-${untitledId}`;
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  createEntry(filepath, buffer) {
+    return {
+      version: SWAP_VERSION,
+      path: filepath ? path.resolve(filepath) : null,
+      pid: process.pid,
+      writtenAt: Date.now(),
+      baseHash: buffer.diskHash,
+      format: buffer.format,
+      text: buffer.getText(),
+    };
+  }
+
+  async save(filepath, buffer, untitledId) {
+    const entry = this.createEntry(filepath, buffer);
+    try {
+      await fs.mkdir(this.directory, PRIVATE_DIR);
+      await writeFileAtomic(
+        this.entryPath(filepath, untitledId),
+        JSON.stringify(entry),
+        PRIVATE_FILE
+      );
+      return true;
+    } catch (err) {
+      debugLog.log("Failed to write swap file:", err.message);
+      return false;
+    }
+  }
+
+  saveSync(filepath, buffer, untitledId) {
+    const entry = this.createEntry(filepath, buffer);
+    try {
+      fsSync.mkdirSync(this.directory, PRIVATE_DIR);
+      writeFileAtomicSync(
+        this.entryPath(filepath, untitledId),
+        JSON.stringify(entry),
+        PRIVATE_FILE
+      );
+      return true;
+    } catch (err) {
+      debugLog.log("Failed to write swap file:", err.message);
+      return false;
+    }
+  }
+
+  async load(filepath) {
+    return readEntry(this.entryPath(filepath));
+  }
+
+  async remove(filepath, untitledId) {
+    try {
+      await fs.unlink(this.entryPath(filepath, untitledId));
+    } catch (err) {
+      // No swap file for this buffer
+    }
+  }
+
+  // Swap files of untitled buffers whose editor is no longer running
+  async findOrphanedUntitled() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (err) {
+      return [];
+    }
+
+    const orphans = [];
+    for (const name of names) {
+      if (!/^untitled-\d+(-\d+)?\.json$/.test(name)) continue;
+      const file = path.join(this.directory, name);
+      const entry = await readEntry(file);
+      if (entry && !isProcessRunning(entry.pid)) {
+        orphans.push({ ...entry, file });
+      }
+    }
+    return orphans.sort((a, b) => b.writtenAt - a.writtenAt);
+  }
+
+  async removeFile(file) {
+    try {
+      await fs.unlink(file);
+    } catch (err) {
+      // Already gone
+    }
+  }
+}
+
+async function readEntry(file) {
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      debugLog.log("Ignoring unreadable swap file:", err.message);
+    }
+    return null;
+  }
+  if (!entry || entry.version !== SWAP_VERSION) return null;
+  if (typeof entry.text !== "string") return null;
+  return entry;
+}
+
+function isProcessRunning(pid) {
+  if (!pid || pid === process.pid) return pid === process.pid;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM means the process exists but belongs to someone else
+    return err.code === "EPERM";
+  }
+}
+
+module.exports = { SwapStore, isProcessRunning };
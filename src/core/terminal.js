@@ -0,0 +1,33 @@
+const fs = require("fs");
+const tty = require("tty");
+const { debugLog } = require("./debug-logger");
+
+// ===== Terminal Streams =====
+// When stdin is a pipe its content is read up front and keys come from the
+// controlling terminal instead. The same goes for drawing when stdout is
+// redirected.
+async function readStdin(stream = process.stdin) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Streams for the screen; null when there is no terminal to talk to
+function openTerminal() {
+  try {
+    const input = process.stdin.isTTY
+      ? process.stdin
+      : new tty.ReadStream(fs.openSync("/dev/tty", "r"));
+    const output = process.stdout.isTTY
+      ? process.stdout
+      : new tty.WriteStream(fs.openSync("/dev/tty", "w"));
+    return { input, output };
+  } catch (err) {
+    debugLog.log("Failed to open the terminal:", err.message);
+    return null;
+  }
+}
+
+module.exports = { readStdin, openTerminal };
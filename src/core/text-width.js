@@ -0,0 +1,224 @@
+const unicode = require("blessed/lib/unicode");
+
+// Columns between tab stops unless the tabWidth setting says otherwise
+const DEFAULT_TAB_WIDTH = 4;
+
+// Printable ASCII, where every character is a cluster one cell wide
+const SIMPLE_TEXT = /^[\x20-\x7e]*$/;
+
+// Clusters that terminals draw as two-cell emoji
+const EMOJI = /^(?:\p{Emoji_Presentation}|\p{Emoji}\uFE0F)/u;
+
+// C1 controls and lone low surrogates, which stand for bytes that could
+// not be decoded
+const UNPRINTABLE = /^[\x80-\x9f\udc00-\udfff]$/;
+
+// Code units segmented at a time
+const SEGMENT_WINDOW = 256;
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+// Widths of the non-ASCII clusters seen lately
+const WIDTH_CACHE_SIZE = 4096;
+const widthCache = new Map();
+
+// ===== Grapheme Clusters =====
+// Cursor positions stay in UTF-16 columns, as everywhere else in the
+// editor, but always on the boundaries of grapheme clusters: what a
+// reader sees as one character, such as an emoji with a skin tone, a
+// flag or a letter with combining accents. Screen positions are display
+// columns, where CJK characters and emoji take two cells and a tab runs
+// to the next tab stop.
+
+// Calls visit(text, col, width) for each cluster in order until it
+// returns false. Segmenting is lazy, so stopping early is cheap on
+// long lines.
+function eachCluster(line, visit, tabWidth = DEFAULT_TAB_WIDTH) {
+  if (SIMPLE_TEXT.test(line)) {
+    for (let col = 0; col < line.length; col++) {
+      if (visit(line[col], col, 1) === false) return;
+    }
+    return;
+  }
+  // The segmenter slows down quadratically on long strings, so lines are
+  // segmented a window at a time. The last cluster in a window may go on
+  // past it, so the next window starts there.
+  let start = 0;
+  let x = 0;
+  while (start < line.length) {
+    let end = start;
+    let segments = [];
+    while (end < line.length && segments.length < 2) {
+      end = Math.min(line.length, end + SEGMENT_WINDOW);
+      segments = [...segmenter.segment(line.slice(start, end))];
+    }
+    const count = end < line.length ? segments.length - 1 : segments.length;
+    for (let i = 0; i < count; i++) {
+      const { segment, index } = segments[i];
+      const width =
+        segment === "\t" ? tabWidth - (x % tabWidth) : clusterWidth(segment);
+      if (visit(segment, start + index, width) === false) return;
+      x += width;
+    }
+    start = count < segments.length ? start + segments[count].index : end;
+  }
+}
+
+function getClusters(line, tabWidth) {
+  const clusters = [];
+  eachCluster(
+    line,
+    (text, col, width) => {
+      clusters.push({ text, col, width });
+    },
+    tabWidth
+  );
+  return clusters;
+}
+
+// Cells a cluster takes on screen, as drawn by getDisplayText(). Tabs
+// depend on where they start; eachCluster() works those out.
+function clusterWidth(cluster) {
+  const code = cluster.charCodeAt(0);
+  if (code === 0x09) return 1;
+  if (code < 0x20 || code === 0x7f) return 2;
+  if (code < 0x7f && cluster.length === 1) return 1;
+
+  let width = widthCache.get(cluster);
+  if (width === undefined) {
+    if (EMOJI.test(cluster)) {
+      width = 2;
+    } else if (UNPRINTABLE.test(cluster)) {
+      width = 1;
+    } else {
+      // Marks with nothing to combine with get a base of their own
+      width = Math.max(1, unicode.charWidth(cluster, 0));
+    }
+    if (widthCache.size >= WIDTH_CACHE_SIZE) widthCache.clear();
+    widthCache.set(cluster, width);
+  }
+  return width;
+}
+
+// What to draw for a cluster `width` cells wide: tabs as spaces, control
+// characters in caret notation, undecodable bytes as U+FFFD and lone
+// combining marks on a dotted circle
+function getDisplayText(cluster, width) {
+  const code = cluster.charCodeAt(0);
+  if (code === 0x09) return " ".repeat(width);
+  if (code < 0x20 || code === 0x7f) {
+    return `^${String.fromCharCode(code ^ 0x40)}`;
+  }
+  if (UNPRINTABLE.test(cluster)) return "\uFFFD";
+  if (code >= 0x7f && unicode.charWidth(cluster, 0) === 0) {
+    return `\u25CC${cluster}`;
+  }
+  return cluster;
+}
+
+// Display column where `col` starts
+function displayWidth(line, col = line.length, tabWidth) {
+  if (SIMPLE_TEXT.test(line)) return Math.min(col, line.length);
+  let width = 0;
+  eachCluster(
+    line,
+    (text, start, cells) => {
+      if (start >= col) return false;
+      width += cells;
+      return true;
+    },
+    tabWidth
+  );
+  return width;
+}
+
+// Column of the cluster covering display column `target`, or the end of
+// the line when it is shorter
+function columnAtWidth(line, target, tabWidth) {
+  if (SIMPLE_TEXT.test(line)) return Math.min(target, line.length);
+  let width = 0;
+  let result = line.length;
+  eachCluster(
+    line,
+    (text, col, cells) => {
+      if (width + cells > target) {
+        result = col;
+        return false;
+      }
+      width += cells;
+      return true;
+    },
+    tabWidth
+  );
+  return result;
+}
+
+// Clusters before `col`: the column as a reader would count characters
+function countClusters(line, col) {
+  if (SIMPLE_TEXT.test(line)) return Math.min(col, line.length);
+  let count = 0;
+  eachCluster(line, (text, start) => {
+    if (start >= col) return false;
+    count++;
+    return true;
+  });
+  return count;
+}
+
+// Start of the cluster that `col` falls in
+function clusterStart(line, col) {
+  if (col <= 0 || col >= line.length || SIMPLE_TEXT.test(line)) {
+    return Math.max(0, Math.min(col, line.length));
+  }
+  let result = 0;
+  eachCluster(line, (text, start) => {
+    if (start > col) return false;
+    result = start;
+    return true;
+  });
+  return result;
+}
+
+// Column after the cluster starting at `col`
+function nextClusterEnd(line, col) {
+  if (col >= line.length) return line.length;
+  if (isSimpleAt(line, col) && isSimpleAt(line, col + 1)) return col + 1;
+  let result = line.length;
+  eachCluster(line, (text, start) => {
+    if (start > col) {
+      result = start;
+      return false;
+    }
+    return true;
+  });
+  return result;
+}
+
+// Start of the cluster that ends at `col`
+function previousClusterStart(line, col) {
+  if (col <= 0) return 0;
+  if (isSimpleAt(line, col - 1) && isSimpleAt(line, col)) return col - 1;
+  return clusterStart(line, col - 1);
+}
+
+// A printable ASCII character (or the end of the line) never joins the
+// cluster before it
+function isSimpleAt(line, col) {
+  if (col >= line.length) return true;
+  const code = line.charCodeAt(col);
+  return code >= 0x20 && code < 0x7f;
+}
+
+module.exports = {
+  DEFAULT_TAB_WIDTH,
+  eachCluster,
+  getClusters,
+  clusterWidth,
+  getDisplayText,
+  displayWidth,
+  columnAtWidth,
+  countClusters,
+  clusterStart,
+  nextClusterEnd,
+  previousClusterStart,
+};
@@ -1,83 +1,241 @@
 const blessed = require("blessed");
+const { getLineEndingLabel } = require("./file-format");
+const { getEncodingLabel } = require("./encoding");
+const { getCompressionLabel } = require("./compression");
+const { ClusterCells } = require("./cluster-cells");
+const {
+  eachCluster,
+  displayWidth,
+  columnAtWidth,
+  countClusters,
+  nextClusterEnd,
+  previousClusterStart,
+} = require("./text-width");
+const { wrapLine, findSegment } = require("./soft-wrap");
 
 // ===== UI Management =====
 class UI {
-  constructor(screen, buffer, cursor, selection, overlayHost) {
+  constructor(screen, overlayHost) {
     this.screen = screen;
-    this.buffer = buffer;
-    this.cursor = cursor;
-    this.selection = selection;
     this.overlayHost = overlayHost;
-    this.viewport = { top: 0, left: 0 };
+    this.documents = [];
+    this.layout = null;
+    this.activePane = null;
+    this.paneWidgets = new Map(); // Pane -> { textArea, statusBar, cells }
+    this.renderListener = null;
     this.searchTerm = "";
+    // Soft wrap, shared by every pane: { enabled, atWords, indent }
+    this.wrap = { enabled: false, atWords: true, indent: 0 };
+    // Screen column kept over a run of up/down moves through wrapped rows
+    this.wrapGoal = null;
 
     this.setupWidgets();
   }
 
+  // Documents listed in the tab bar
+  setDocuments(documents) {
+    this.documents = documents;
+  }
+
+  // Called after every render, when the state on screen is settled
+  setRenderListener(listener) {
+    this.renderListener = listener;
+  }
+
+  setWrap(wrap) {
+    this.wrap = { ...this.wrap, ...wrap };
+  }
+
+  setLayout(layout) {
+    this.layout = layout;
+  }
+
+  setActivePane(pane) {
+    this.activePane = pane;
+    this.bindPane(pane);
+  }
+
+  // Points the rendering helpers at one pane's widgets and view. Outside
+  // of render() they always refer to the active pane.
+  bindPane(pane) {
+    const { view } = pane;
+    const widgets = this.getPaneWidgets(pane);
+    this.textArea = widgets.textArea;
+    this.statusBar = widgets.statusBar;
+    this.cells = widgets.cells;
+    this.buffer = view.buffer;
+    this.cursor = view.cursor;
+    this.selection = view.selection;
+    this.hexView = view.hexView;
+    this.viewport = view.viewport;
+    this.brackets = view.document.brackets;
+  }
+
+  getPaneWidgets(pane) {
+    let widgets = this.paneWidgets.get(pane);
+    if (!widgets) {
+      widgets = this.createPaneWidgets();
+      this.paneWidgets.set(pane, widgets);
+    }
+    return widgets;
+  }
+
   setupWidgets() {
-    // Main text area
-    this.textArea = blessed.box({
+    // Tab bar
+    this.tabBar = blessed.box({
       parent: this.screen,
       top: 0,
       left: 0,
       right: 0,
-      bottom: 2,
+      height: 1,
       tags: true,
-      scrollable: false,
-      keys: true,
-      input: true,
       style: {
         fg: "white",
-        bg: "black",
+        bg: "blue",
       },
     });
 
-    // Status bar
-    this.statusBar = blessed.box({
+    // Command line
+    this.commandLine = blessed.textbox({
       parent: this.screen,
-      bottom: 1,
+      bottom: 0,
       left: 0,
       right: 0,
       height: 1,
       tags: true,
+      inputOnFocus: false,
       style: {
-        fg: "black",
-        bg: "cyan",
+        fg: "white",
+        bg: "black",
       },
     });
+  }
 
-    // Command line
-    this.commandLine = blessed.textbox({
+  // Text area and status line for one pane; positioned by layoutPanes()
+  createPaneWidgets() {
+    const textArea = blessed.box({
       parent: this.screen,
-      bottom: 0,
-      left: 0,
-      right: 0,
-      height: 1,
       tags: true,
-      inputOnFocus: false,
+      // renderText lays out the rows; blessed would wrap a full row again
+      // when it ends in a style tag
+      wrap: false,
+      scrollable: false,
+      keys: true,
+      input: true,
       style: {
         fg: "white",
         bg: "black",
       },
     });
+
+    const statusBar = blessed.box({
+      parent: this.screen,
+      height: 1,
+      tags: true,
+      style: {
+        fg: "black",
+        bg: "cyan",
+      },
+    });
+
+    return { textArea, statusBar, cells: new ClusterCells(textArea) };
+  }
+
+  // Everything between the tab bar and the command line is shared by the
+  // panes. Each pane's last row is its status line.
+  layoutPanes() {
+    const rects = this.layout.computeRects({
+      top: 1,
+      left: 0,
+      width: this.screen.width,
+      height: Math.max(2, this.screen.height - 2),
+    });
+
+    for (const [pane, widgets] of this.paneWidgets) {
+      if (!rects.has(pane)) {
+        widgets.textArea.destroy();
+        widgets.statusBar.destroy();
+        this.paneWidgets.delete(pane);
+      }
+    }
+
+    for (const [pane, rect] of rects) {
+      const { textArea, statusBar } = this.getPaneWidgets(pane);
+      textArea.top = rect.top;
+      textArea.left = rect.left;
+      textArea.width = rect.width;
+      textArea.height = Math.max(1, rect.height - 1);
+      statusBar.top = rect.top + rect.height - 1;
+      statusBar.left = rect.left;
+      statusBar.width = rect.width;
+      statusBar.style.bg = pane === this.activePane ? "cyan" : "gray";
+    }
+    return rects;
   }
 
   render() {
-    this.updateViewport();
-    this.renderText();
-    this.renderStatusBar();
-    this.renderCursor();
+    // Work still finishing after the editor was torn down (e.g. a save)
+    // has nothing to draw on, and large files may be closed by then
+    if (this.screen.destroyed) return;
+    this.renderTabBar();
+    const rects = this.layoutPanes();
+    for (const pane of rects.keys()) {
+      if (pane !== this.activePane) {
+        this.bindPane(pane);
+        // Another pane may have shortened the shared buffer
+        this.cursor.clamp();
+        this.renderPane();
+      }
+    }
+    this.bindPane(this.activePane);
+    this.renderPane();
+    if (this.buffer.binary) {
+      this.renderHexCursor();
+    } else {
+      this.renderCursor();
+    }
 
-    // Keep focus on the main text area unless an overlay owns focus
+    // Keep focus on the active text area unless an overlay owns focus
     if (!this.overlayHost || !this.overlayHost.isActive()) {
       this.textArea.focus();
     }
     this.screen.render();
+    if (this.renderListener) this.renderListener();
+  }
+
+  // One tab per document; when they do not fit, tabs before the active
+  // one are dropped until it does
+  renderTabBar() {
+    const width = this.tabBar.width;
+    const tabs = this.documents.map((document, index) => {
+      const modified = document.buffer.modified ? "[+]" : "";
+      const label = ` ${index + 1}:${document.name}${modified} `;
+      return { label, active: document === this.activePane.document };
+    });
+
+    const activeIndex = tabs.findIndex((tab) => tab.active);
+    let first = 0;
+    const widthFrom = (start) =>
+      tabs
+        .slice(start, activeIndex + 1)
+        .reduce((total, tab) => total + tab.label.length + 1, 0);
+    while (first < activeIndex && widthFrom(first) > width) {
+      first++;
+    }
+
+    const content = tabs
+      .slice(first)
+      .map((tab) => {
+        const label = blessed.escape(tab.label);
+        return tab.active ? `{inverse}${label}{/inverse}` : label;
+      })
+      .join("|");
+    this.tabBar.setContent(first > 0 ? `<${content}` : content);
   }
 
   updateViewport() {
     const textHeight = this.textArea.height;
-    const textWidth = this.textArea.width;
+    const textWidth = this.getTextWidth();
 
     // Get the primary cursor position (which drives viewport)
     let targetRow = this.cursor.row;
@@ -94,6 +252,12 @@ class UI {
       targetCol = primaryRange.head.col;
     }
 
+    if (this.wrap.enabled) {
+      this.updateWrappedViewport(targetRow, targetCol);
+      return;
+    }
+    this.viewport.topSegment = 0;
+
     // Vertical scrolling
     if (targetRow < this.viewport.top) {
       this.viewport.top = targetRow;
@@ -101,206 +265,346 @@ class UI {
       this.viewport.top = targetRow - textHeight + 1;
     }
 
-    // Horizontal scrolling
-    if (targetCol < this.viewport.left) {
-      this.viewport.left = targetCol;
-    } else if (targetCol >= this.viewport.left + textWidth) {
-      this.viewport.left = targetCol - textWidth + 1;
+    // Horizontal scrolling, in display columns, keeping the whole cluster
+    // under the cursor in view
+    const line = this.buffer.getLine(targetRow);
+    const { tabWidth } = this.buffer;
+    const start = displayWidth(line, targetCol, tabWidth);
+    const end =
+      targetCol < line.length
+        ? displayWidth(line, nextClusterEnd(line, targetCol), tabWidth)
+        : start + 1;
+    if (start < this.viewport.left) {
+      this.viewport.left = start;
+    } else if (end > this.viewport.left + textWidth) {
+      this.viewport.left = Math.max(0, end - textWidth);
     }
   }
 
-  renderText() {
+  // Soft wrap scrolls by screen rows and never sideways. The top of the
+  // view is a buffer row and one of its wrapped rows.
+  updateWrappedViewport(targetRow, targetCol) {
     const textHeight = this.textArea.height;
-    const textWidth = this.textArea.width;
-    const lines = [];
-
-    for (let i = 0; i < textHeight; i++) {
-      const row = this.viewport.top + i;
-      if (row < this.buffer.getLineCount()) {
-        let line = this.buffer.getLine(row);
-        let displayLine = "";
-
-        // Build the display line character by character for selection highlighting
-        for (let col = 0; col < line.length; col++) {
-          const char = line[col];
-          const actualCol = col + this.viewport.left;
-          const isSelected =
-            this.selection && this.selection.contains(row, actualCol);
-          const cursorInfo = this.getCursorInfoAt(row, actualCol);
-
-          // Apply viewport filtering
-          if (
-            col >= this.viewport.left &&
-            col < this.viewport.left + textWidth
-          ) {
-            if (cursorInfo.isCursor) {
-              // Highlight cursor positions
-              const cursorStyle = cursorInfo.isPrimary
-                ? "{inverse}{white-fg}"
-                : "{inverse}{cyan-fg}";
-              displayLine += `${cursorStyle}${char || " "}{/}`;
-            } else if (isSelected) {
-              // Highlight selected text
-              displayLine += `{blue-bg}{white-fg}${char}{/}`;
-            } else if (this.searchTerm && this.isInSearchMatch(line, col)) {
-              // Highlight search results
-              displayLine += `{yellow-bg}{black-fg}${char}{/}`;
-            } else {
-              displayLine += char;
-            }
-          }
-        }
-
-        // Handle cursors at end of line (beyond text length)
-        const endOfLineCol = line.length;
-        const cursorAtEnd = this.getCursorInfoAt(row, endOfLineCol);
-        if (
-          cursorAtEnd.isCursor &&
-          endOfLineCol >= this.viewport.left &&
-          endOfLineCol < this.viewport.left + textWidth
-        ) {
-          const cursorStyle = cursorAtEnd.isPrimary
-            ? "{inverse}{white-fg}"
-            : "{inverse}{cyan-fg}";
-          displayLine += `${cursorStyle} {/}`;
-        }
-
-        // If no viewport adjustment needed and no selection, use simpler approach
-        if (
-          this.viewport.left === 0 &&
-          (!this.selection || !this.selection.active)
-        ) {
-          displayLine = line;
-
-          // Add cursor highlighting for simple case
-          displayLine = this.addCursorHighlighting(displayLine, row);
-
-          // Truncate to width
-          if (displayLine.length > textWidth) {
-            displayLine = displayLine.slice(0, textWidth);
-          }
-
-          // Highlight search results if active
-          if (this.searchTerm) {
-            displayLine = this.highlightSearch(displayLine);
-          }
-        }
+    const viewport = this.viewport;
+    const index = findSegment(this.getSegments(targetRow), targetCol);
+    viewport.left = 0;
+    viewport.topSegment = Math.min(
+      viewport.topSegment,
+      this.getSegments(viewport.top).length - 1
+    );
 
-        // Add line numbers
-        const lineNum = String(row + 1).padStart(4, " ");
-        const lineNumColor =
-          this.selection && this.selection.active && this.isLineInSelection(row)
-            ? "{blue-bg}{white-fg}"
-            : "{cyan-fg}";
-        lines.push(`${lineNumColor}${lineNum}{/} ${displayLine}`);
+    if (
+      targetRow < viewport.top ||
+      (targetRow === viewport.top && index < viewport.topSegment)
+    ) {
+      viewport.top = targetRow;
+      viewport.topSegment = index;
+      return;
+    }
+    const rows = this.countScreenRows(
+      viewport.top,
+      viewport.topSegment,
+      targetRow,
+      index,
+      textHeight
+    );
+    if (rows < textHeight) return;
+
+    // Scroll until the cursor's row is the last one on screen
+    let row = targetRow;
+    let segment = index;
+    for (let i = 1; i < textHeight; i++) {
+      if (segment > 0) {
+        segment--;
+      } else if (row > 0) {
+        row--;
+        segment = this.getSegments(row).length - 1;
       } else {
-        lines.push("{blue-fg}~{/}");
+        break;
       }
     }
+    viewport.top = row;
+    viewport.topSegment = segment;
+  }
 
-    this.textArea.setContent(lines.join("\n"));
+  // Screen rows from one wrapped row down to another, counting no further
+  // than `limit`
+  countScreenRows(fromRow, fromSegment, toRow, toSegment, limit) {
+    if (toRow - fromRow >= limit) return limit;
+    let count = -fromSegment;
+    for (let row = fromRow; row < toRow; row++) {
+      count += this.getSegments(row).length;
+      if (count >= limit) return limit;
+    }
+    return Math.min(limit, count + toSegment);
   }
 
-  // Helper method to check if line is in selection
-  isLineInSelection(row) {
-    if (!this.selection || !this.selection.active) return false;
-    return this.selection.isRowSelected(row);
+  getSegments(row, line = this.buffer.getLine(row)) {
+    return wrapLine(line, this.getTextWidth(), {
+      tabWidth: this.buffer.tabWidth,
+      atWords: this.wrap.atWords,
+      indent: this.wrap.indent,
+    });
   }
 
-  // Helper method to get cursor information at a specific position
-  getCursorInfoAt(row, col) {
-    // Check primary cursor
-    if (this.cursor.row === row && this.cursor.col === col) {
-      return { isCursor: true, isPrimary: true };
-    }
+  // Line numbers take at least four digits and a space
+  getGutterWidth() {
+    return Math.max(4, String(this.buffer.getLineCount()).length) + 1;
+  }
 
-    // Check secondary cursors from selection ranges
-    if (this.selection && this.selection.active) {
-      for (let i = 0; i < this.selection.ranges.length; i++) {
-        const range = this.selection.ranges[i];
-        const isPrimary = i === this.selection.primaryIndex;
+  // Display columns of text beside the line numbers
+  getTextWidth() {
+    return Math.max(1, this.textArea.width - this.getGutterWidth());
+  }
 
-        // For empty ranges (cursors), check the head position
-        if (
-          range.isEmpty() &&
-          range.head.row === row &&
-          range.head.col === col
-        ) {
-          return { isCursor: true, isPrimary };
+  renderText() {
+    const textHeight = this.textArea.height;
+    const textWidth = this.getTextWidth();
+    const lines = [];
+    // Search highlighting scans every visible line; skip it for large files
+    const highlightSearch = Boolean(this.searchTerm) && !this.buffer.largeFile;
+    const matchedBrackets = this.getMatchedBrackets();
+    this.cells.reset();
+
+    let row = this.viewport.top;
+    let segment = this.wrap.enabled ? this.viewport.topSegment : 0;
+    while (lines.length < textHeight && row < this.buffer.getLineCount()) {
+      const line = this.buffer.getLine(row);
+      const highlights = {
+        bracketCols: matchedBrackets.get(row),
+        searchMatches: highlightSearch ? this.getSearchMatches(line) : [],
+      };
+
+      if (this.wrap.enabled) {
+        const segments = this.getSegments(row, line);
+        for (; segment < segments.length; segment++) {
+          if (lines.length >= textHeight) break;
+          const { x, endX, indent } = segments[segment];
+          const width = textWidth - indent;
+          const displayLine = this.renderLine(
+            lines.length,
+            row,
+            line,
+            highlights,
+            x,
+            width,
+            Math.min(endX, x + width)
+          );
+          lines.push(
+            this.renderGutter(row, segment === 0) +
+              " ".repeat(indent) +
+              displayLine
+          );
         }
+        segment = 0;
+      } else {
+        const displayLine = this.renderLine(
+          lines.length,
+          row,
+          line,
+          highlights
+        );
+        lines.push(this.renderGutter(row, true) + displayLine);
       }
+      row++;
+    }
+    while (lines.length < textHeight) {
+      lines.push("{blue-fg}~{/}");
     }
 
-    return { isCursor: false, isPrimary: false };
+    this.textArea.setContent(lines.join("\n"));
+  }
+
+  // Line number, or blanks on the wrapped rows after the first
+  renderGutter(row, first) {
+    const gutterWidth = this.getGutterWidth();
+    const lineNum = first
+      ? String(row + 1).padStart(gutterWidth - 1, " ")
+      : " ".repeat(gutterWidth - 1);
+    const lineNumColor =
+      this.selection && this.selection.active && this.isLineInSelection(row)
+        ? "{blue-bg}{white-fg}"
+        : "{cyan-fg}";
+    return `${lineNumColor}${lineNum}{/} `;
   }
 
-  // Helper method to add cursor highlighting for simple rendering case
-  addCursorHighlighting(line, row) {
-    if (!this.selection || !this.selection.active) {
-      // Only primary cursor
-      if (this.cursor.row === row) {
-        const col = this.cursor.col;
-        if (col <= line.length) {
-          const before = line.slice(0, col);
-          const char = col < line.length ? line[col] : " ";
-          const after = line.slice(col + 1);
-          return before + `{inverse}{white-fg}${char}{/}` + after;
-        }
+  // The display columns [left, right) of a line, one grapheme cluster at
+  // a time, with cursors, selections and highlights. Wide clusters cut by
+  // the edges of the view are drawn as blanks. A cursor at the end of the
+  // line shows when the end is within `width` cells of `left`.
+  renderLine(
+    contentRow,
+    row,
+    line,
+    highlights,
+    left = this.viewport.left,
+    width = this.getTextWidth(),
+    right = left + width
+  ) {
+    const cursors = this.getRowCursors(row);
+    let content = "";
+    let run = "";
+    let runStyle = "";
+    const append = (style, text) => {
+      if (style !== runStyle) {
+        content += runStyle ? `${runStyle}${run}{/}` : run;
+        run = "";
+        runStyle = style;
       }
-      return line;
+      run += text;
+    };
+
+    let x = 0;
+    let clipped = false;
+    eachCluster(
+      line,
+      (cluster, col, cells) => {
+        const end = x + cells;
+        if (end > right) {
+          if (x < right) append("", " ".repeat(right - Math.max(x, left)));
+          clipped = true;
+          return false;
+        }
+        if (end > left) {
+          const style = this.getClusterStyle(
+            row,
+            col,
+            cluster.length,
+            cursors,
+            highlights
+          );
+          append(
+            style,
+            x < left
+              ? " ".repeat(end - left)
+              : this.cells.format(contentRow, cluster, cells)
+          );
+        }
+        x = end;
+        return true;
+      },
+      this.buffer.tabWidth
+    );
+
+    // Handle cursors at end of line (beyond text length)
+    if (cursors.has(line.length) && !clipped && x >= left && x < left + width) {
+      append(getCursorStyle(cursors.get(line.length)), " ");
     }
+    append(null, "");
+    return content;
+  }
 
-    // Multiple cursors - need to process all cursor positions
-    const cursors = [];
+  getClusterStyle(row, col, length, cursors, highlights) {
+    for (let c = col; c < col + length; c++) {
+      if (cursors.has(c)) return getCursorStyle(cursors.get(c));
+    }
+    if (highlights.bracketCols && highlights.bracketCols.has(col)) {
+      // Highlight a bracket pair next to a cursor
+      return "{bold}{magenta-fg}";
+    }
+    if (this.selection && this.selection.contains(row, col)) {
+      return "{blue-bg}{white-fg}";
+    }
+    if (highlights.searchMatches.some(([s, e]) => col >= s && col < e)) {
+      return "{yellow-bg}{black-fg}";
+    }
+    return "";
+  }
 
-    // Add primary cursor
-    if (this.cursor.row === row) {
-      cursors.push({ col: this.cursor.col, isPrimary: true });
+  renderPane() {
+    if (this.buffer.binary) {
+      this.renderHex();
+    } else {
+      this.updateViewport();
+      this.renderText();
+      this.renderStatusBar();
     }
+  }
 
-    // Add secondary cursors
-    for (let i = 0; i < this.selection.ranges.length; i++) {
-      const range = this.selection.ranges[i];
-      const isPrimary = i === this.selection.primaryIndex;
+  // Binary files: hex rows instead of text lines
+  renderHex() {
+    const { lines } = this.hexView.render(this.textArea.height);
+    this.cells.reset();
+    this.textArea.setContent(lines.join("\n"));
 
-      if (range.isEmpty() && range.head.row === row) {
-        cursors.push({ col: range.head.col, isPrimary });
-      }
+    const filename = this.buffer.filename || "[No Name]";
+    const modified = this.buffer.modified ? "[+]" : "";
+    const left = ` ${filename} ${modified}`;
+    const right = ` ${this.hexView.getStatus()}${this.getCompressionInfo()} `;
+    const padding = " ".repeat(
+      Math.max(0, this.statusBar.width - left.length - right.length)
+    );
+    this.statusBar.setContent(left + padding + right);
+  }
+
+  renderHexCursor() {
+    const { cursor } = this.hexView.render(this.textArea.height);
+    if (cursor.col < this.textArea.width) {
+      this.screen.program.cup(
+        this.textArea.atop + cursor.row,
+        this.textArea.aleft + cursor.col
+      );
+      this.screen.program.showCursor();
+    } else {
+      this.screen.program.hideCursor();
     }
+  }
 
-    if (cursors.length === 0) return line;
+  // Helper method to check if line is in selection
+  isLineInSelection(row) {
+    if (!this.selection || !this.selection.active) return false;
+    return this.selection.isRowSelected(row);
+  }
 
-    // Sort cursors by column position (reverse order for safe insertion)
-    cursors.sort((a, b) => b.col - a.col);
+  // Cursors on a row: column -> whether it is the primary cursor
+  getRowCursors(row) {
+    const cursors = new Map();
+    if (this.selection && this.selection.active) {
+      this.selection.ranges.forEach((range, i) => {
+        // For empty ranges (cursors), check the head position
+        if (range.isEmpty() && range.head.row === row) {
+          cursors.set(range.head.col, i === this.selection.primaryIndex);
+        }
+      });
+    }
+    if (this.cursor.row === row) {
+      cursors.set(this.cursor.col, true);
+    }
+    return cursors;
+  }
 
-    let result = line;
-    for (const cursor of cursors) {
-      const col = cursor.col;
-      if (col <= result.length) {
-        const before = result.slice(0, col);
-        const char = col < result.length ? result[col] : " ";
-        const after = result.slice(col + 1);
-        const style = cursor.isPrimary
-          ? "{inverse}{white-fg}"
-          : "{inverse}{cyan-fg}";
-        result = before + `${style}${char}{/}` + after;
+  // Columns of bracket pairs next to any cursor, by row
+  getMatchedBrackets() {
+    const matched = new Map();
+    const positions = [{ row: this.cursor.row, col: this.cursor.col }];
+    if (this.selection && this.selection.active) {
+      for (const range of this.selection.ranges) {
+        if (range.isEmpty()) positions.push(range.head);
       }
     }
 
-    return result;
+    for (const { row, col } of positions) {
+      const pair = this.brackets.findMatch(row, col);
+      if (!pair) continue;
+      for (const position of [pair.open, pair.close]) {
+        if (!matched.has(position.row)) matched.set(position.row, new Set());
+        matched.get(position.row).add(position.col);
+      }
+    }
+    return matched;
   }
 
-  // Helper method for search highlighting
-  isInSearchMatch(line, col) {
-    if (!this.searchTerm) return false;
-    const searchIndex = line
-      .toLowerCase()
-      .indexOf(this.searchTerm.toLowerCase());
-    return (
-      searchIndex !== -1 &&
-      col >= searchIndex &&
-      col < searchIndex + this.searchTerm.length
-    );
+  // Where the search term occurs in a line, ignoring case
+  getSearchMatches(line) {
+    const matches = [];
+    const text = line.toLowerCase();
+    const term = this.searchTerm.toLowerCase();
+    let index = text.indexOf(term);
+    while (index !== -1) {
+      matches.push([index, index + term.length]);
+      index = text.indexOf(term, index + term.length);
+    }
+    return matches;
   }
 
   renderStatusBar() {
@@ -320,7 +624,14 @@ class UI {
       targetCol = primaryRange.head.col;
     }
 
-    const position = `${targetRow + 1}:${targetCol + 1}`;
+    // Character and, where tabs or wide characters make it differ, visual
+    // column, as in vim's ruler: "12:5-9"
+    const line = this.buffer.getLine(targetRow);
+    const charCol = countClusters(line, targetCol) + 1;
+    const visualCol = displayWidth(line, targetCol, this.buffer.tabWidth) + 1;
+    const column =
+      visualCol === charCol ? `${charCol}` : `${charCol}-${visualCol}`;
+    const position = `${targetRow + 1}:${column}`;
     const lineCount = this.buffer.getLineCount();
 
     // Add multi-cursor indicator
@@ -344,8 +655,22 @@ class UI {
       }
     }
 
+    let mode = "";
+    if (this.buffer.readOnly) {
+      mode = " | read-only";
+    } else if (this.buffer.isReadOnly()) {
+      mode = ` | indexing ${Math.floor(this.buffer.source.progress * 100)}%`;
+    } else if (this.buffer.largeFile) {
+      mode = " | large file";
+    }
+
     const left = ` ${filename} ${modified}`;
-    const right = ` ${position}${cursorInfo} | ${lineCount} lines `;
+    const format = this.buffer.format;
+    const bom = format.bom ? " BOM" : "";
+    const encoding = `${getEncodingLabel(format.encoding)}${bom}`;
+    const eol = getLineEndingLabel(format);
+    const compression = this.getCompressionInfo();
+    const right = ` ${position}${cursorInfo}${mode} | ${encoding} | ${eol}${compression} | ${lineCount} lines `;
     const padding = " ".repeat(
       Math.max(0, this.statusBar.width - left.length - right.length)
     );
@@ -353,6 +678,11 @@ class UI {
     this.statusBar.setContent(left + padding + right);
   }
 
+  getCompressionInfo() {
+    const { compression } = this.buffer.format;
+    return compression ? ` | ${getCompressionLabel(compression)}` : "";
+  }
+
   renderCursor() {
     // Calculate screen position of primary cursor
     // In multi-cursor mode, the terminal cursor follows the primary cursor
@@ -370,28 +700,125 @@ class UI {
       cursorCol = primaryRange.head.col;
     }
 
-    const screenRow = cursorRow - this.viewport.top;
-    const screenCol = cursorCol - this.viewport.left + 5; // +5 for line numbers
+    const { screenRow, screenCol } = this.getScreenPosition(
+      cursorRow,
+      cursorCol
+    );
 
     // Only show cursor if it's within the visible area
     if (
       screenRow >= 0 &&
       screenRow < this.textArea.height &&
-      screenCol >= 5 &&
-      screenCol < this.textArea.width + 5
+      screenCol >= 0 &&
+      screenCol < this.getTextWidth()
     ) {
-      this.screen.program.cup(screenRow, screenCol);
+      this.screen.program.cup(
+        this.textArea.atop + screenRow,
+        this.textArea.aleft + this.getGutterWidth() + screenCol
+      );
       this.screen.program.showCursor();
     } else {
       this.screen.program.hideCursor();
     }
   }
 
-  highlightSearch(line) {
-    if (!this.searchTerm) return line;
+  // Where a position is drawn, relative to the top left of the text
+  // beside the gutter
+  getScreenPosition(row, col) {
+    const x = displayWidth(this.buffer.getLine(row), col, this.buffer.tabWidth);
+    if (!this.wrap.enabled) {
+      return {
+        screenRow: row - this.viewport.top,
+        screenCol: x - this.viewport.left,
+      };
+    }
+    const segments = this.getSegments(row);
+    const index = findSegment(segments, col);
+    const { top, topSegment } = this.viewport;
+    const height = this.textArea.height;
+    const screenRow =
+      row < top || (row === top && index < topSegment)
+        ? -1
+        : this.countScreenRows(top, topSegment, row, index, height);
+    return {
+      screenRow,
+      screenCol: x - segments[index].x + segments[index].indent,
+    };
+  }
 
-    const regex = new RegExp(this.searchTerm, "gi");
-    return line.replace(regex, (match) => `{yellow-bg}{black-fg}${match}{/}`);
+  // Soft wrap: moves the cursor to the screen row above or below, keeping
+  // to the same screen column over a run of moves
+  moveCursorByScreenRow(delta) {
+    const cursor = this.cursor;
+    const { tabWidth } = this.buffer;
+    let row = cursor.row;
+    let segments = this.getSegments(row);
+    let index = findSegment(segments, cursor.col);
+    const goal = this.wrapGoal;
+    const x =
+      goal &&
+      goal.cursor === cursor &&
+      goal.row === cursor.row &&
+      goal.col === cursor.col
+        ? goal.x
+        : this.getScreenPosition(cursor.row, cursor.col).screenCol;
+
+    index += delta;
+    if (index < 0) {
+      if (row === 0) return;
+      row--;
+      segments = this.getSegments(row);
+      index = segments.length - 1;
+    } else if (index >= segments.length) {
+      if (row >= this.buffer.getLineCount() - 1) return;
+      row++;
+      segments = this.getSegments(row);
+      index = 0;
+    }
+
+    const line = this.buffer.getLine(row);
+    const segment = segments[index];
+    let col = columnAtWidth(
+      line,
+      segment.x + Math.max(0, x - segment.indent),
+      tabWidth
+    );
+    // The end of a wrapped row is where the next one starts
+    if (index < segments.length - 1 && col >= segment.end) {
+      col = previousClusterStart(line, segment.end);
+    }
+    cursor.row = row;
+    cursor.col = col;
+    this.wrapGoal = { cursor, row, col, x };
+  }
+
+  // Soft wrap: Home and End go to the ends of the screen row, and from
+  // there to the ends of the line
+  moveCursorInScreenRow(edge) {
+    const cursor = this.cursor;
+    const line = this.buffer.getLine(cursor.row);
+    const segments = this.getSegments(cursor.row, line);
+    const index = findSegment(segments, cursor.col);
+    const segment = segments[index];
+    if (edge === "start") {
+      if (index === 0 || cursor.col === segment.start) {
+        cursor.moveToLineStart();
+      } else {
+        cursor.col = segment.start;
+        cursor.updatePreferredCol();
+      }
+      return;
+    }
+    const end =
+      index < segments.length - 1
+        ? previousClusterStart(line, segment.end)
+        : line.length;
+    if (index === segments.length - 1 || cursor.col === end) {
+      cursor.moveToLineEnd();
+    } else {
+      cursor.col = end;
+      cursor.updatePreferredCol();
+    }
   }
 
   showMessage(message, type = "info") {
@@ -417,6 +844,8 @@ class UI {
     return new Promise((resolve) => {
       this.commandLine.setContent(prompt);
       this.commandLine.readInput((err, value) => {
+        // The textbox keeps its value; start the next prompt empty
+        this.commandLine.clearValue();
         this.commandLine.setContent("");
         resolve(value || "");
       });
@@ -424,4 +853,8 @@ class UI {
   }
 }
 
+function getCursorStyle(isPrimary) {
+  return isPrimary ? "{inverse}{white-fg}" : "{inverse}{cyan-fg}";
+}
+
 module.exports = { UI };
@@ -0,0 +1,28 @@
+const os = require("os");
+const path = require("path");
+
+const APP_DIR = "silent-edit";
+
+// ===== User Data Directory =====
+// Per-user location for state that outlives a session (undo history,
+// swap files, sessions). SILENT_EDIT_DATA_DIR overrides the platform default.
+function getUserDataDir() {
+  if (process.env.SILENT_EDIT_DATA_DIR) {
+    return path.resolve(process.env.SILENT_EDIT_DATA_DIR);
+  }
+
+  const home = os.homedir();
+  if (process.platform === "win32") {
+    const base =
+      process.env.LOCALAPPDATA || path.join(home, "AppData", "Local");
+    return path.join(base, APP_DIR);
+  }
+  if (process.platform === "darwin") {
+    return path.join(home, "Library", "Application Support", APP_DIR);
+  }
+
+  const base = process.env.XDG_DATA_HOME || path.join(home, ".local", "share");
+  return path.join(base, APP_DIR);
+}
+
+module.exports = { getUserDataDir };
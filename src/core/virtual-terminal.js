@@ -0,0 +1,223 @@
+const { EventEmitter } = require("events");
+const { Writable } = require("stream");
+const blessed = require("blessed");
+
+// Escape sequences for named keys, as an xterm sends them
+const KEY_SEQUENCES = {
+  enter: "\r",
+  return: "\r",
+  tab: "\t",
+  backspace: "\x7f",
+  escape: "\x1b",
+};
+
+// Keys sent as \x1b[<number>~, with modifiers as \x1b[<number>;<mod>~
+const TILDE_KEYS = {
+  insert: 2,
+  delete: 3,
+  pageup: 5,
+  pagedown: 6,
+  f1: 11,
+  f2: 12,
+  f3: 13,
+  f4: 14,
+  f5: 15,
+  f6: 17,
+  f7: 18,
+  f8: 19,
+  f9: 20,
+  f10: 21,
+  f11: 23,
+  f12: 24,
+};
+
+// Keys whose sequences carry modifiers as a parameter (\x1b[1;<mod>X)
+const CURSOR_KEYS = {
+  up: "A",
+  down: "B",
+  right: "C",
+  left: "D",
+  end: "F",
+  home: "H",
+};
+
+const DEFAULT_COLOR = 0x1ff;
+
+// ===== Virtual Terminal =====
+// A blessed screen that draws into memory instead of a terminal, for
+// scripted sessions and tests. Pass `terminal.screen` to TextEditor, feed
+// it keys with press() and type(), and read back what was drawn with
+// getLines() and getCell(). Keys go through blessed's own key parser, so
+// they reach CommandHandler exactly as typed keys would.
+class VirtualTerminal {
+  constructor(options = {}) {
+    this.input = new VirtualInput();
+    this.output = new VirtualOutput(options.cols || 80, options.rows || 24);
+    this.destroyed = false;
+    this.screen = blessed.screen({
+      smartCSR: true,
+      fullUnicode: true,
+      forceUnicode: true,
+      input: this.input,
+      output: this.output,
+      terminal: "xterm-256color",
+    });
+  }
+
+  get cols() {
+    return this.screen.width;
+  }
+
+  get rows() {
+    return this.screen.height;
+  }
+
+  // Presses keys given by their blessed names: "a", "C-s", "M-v",
+  // "S-up", "enter". Several keys can be passed at once.
+  press(...keys) {
+    for (const key of keys) {
+      this.input.feed(keySequence(key));
+    }
+  }
+
+  // Types text as if pasted, character by character
+  type(text) {
+    for (const ch of text) {
+      this.input.feed(ch === "\n" ? "\r" : ch);
+    }
+  }
+
+  // ===== Screen Contents =====
+  // The cell grid of the last render, one string per row
+  getLines() {
+    const lines = [];
+    for (let y = 0; y < this.rows; y++) {
+      lines.push(this.getLine(y));
+    }
+    return lines;
+  }
+
+  getLine(y) {
+    const line = this.screen.lines[y] || [];
+    // Wide characters are followed by a placeholder cell
+    return line
+      .map((cell) => cell[1])
+      .join("")
+      .replace(/\x03/g, "");
+  }
+
+  // Text and attributes of one cell; colors are 0-255 or null for the
+  // terminal default
+  getCell(x, y) {
+    const line = this.screen.lines[y];
+    if (!line || !line[x]) return null;
+    const [attr, ch] = line[x];
+    const flags = attr >> 18;
+    const fg = (attr >> 9) & 0x1ff;
+    const bg = attr & 0x1ff;
+    return {
+      ch,
+      fg: fg === DEFAULT_COLOR ? null : fg,
+      bg: bg === DEFAULT_COLOR ? null : bg,
+      bold: Boolean(flags & 1),
+      underline: Boolean(flags & 2),
+      inverse: Boolean(flags & 8),
+    };
+  }
+
+  // Where the terminal cursor was left, in screen cells
+  getCursor() {
+    const { program } = this.screen;
+    return { x: program.x, y: program.y, visible: !program.cursorHidden };
+  }
+
+  // Finds text on screen; null when it isn't shown
+  find(text) {
+    const lines = this.getLines();
+    for (let y = 0; y < lines.length; y++) {
+      const x = lines[y].indexOf(text);
+      if (x !== -1) return { x, y };
+    }
+    return null;
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.screen.destroy();
+  }
+}
+
+// Keys arrive as "data" events like a terminal's; blessed parses them
+class VirtualInput extends EventEmitter {
+  constructor() {
+    super();
+    this.isTTY = true;
+  }
+
+  feed(sequence) {
+    this.emit("data", Buffer.from(sequence));
+  }
+
+  setEncoding() {}
+
+  resume() {}
+
+  pause() {}
+}
+
+// Swallows the escape sequences blessed writes; the screen keeps its own
+// cell grid
+class VirtualOutput extends Writable {
+  constructor(columns, rows) {
+    super({ write: (chunk, encoding, callback) => callback() });
+    this.isTTY = true;
+    this.columns = columns;
+    this.rows = rows;
+  }
+}
+
+// "C-M-S-name" to the bytes a terminal sends for it
+function keySequence(key) {
+  const match = /^((?:[CMS]-)*)(.+)$/.exec(key);
+  const modifiers = match[1];
+  let name = match[2] === "space" ? " " : match[2];
+  const ctrl = modifiers.includes("C-");
+  const meta = modifiers.includes("M-");
+  const shift = modifiers.includes("S-");
+
+  const code = 1 + (shift ? 1 : 0) + (meta ? 2 : 0) + (ctrl ? 4 : 0);
+  if (CURSOR_KEYS[name]) {
+    return code === 1
+      ? `\x1b[${CURSOR_KEYS[name]}`
+      : `\x1b[1;${code}${CURSOR_KEYS[name]}`;
+  }
+  if (TILDE_KEYS[name]) {
+    return code === 1
+      ? `\x1b[${TILDE_KEYS[name]}~`
+      : `\x1b[${TILDE_KEYS[name]};${code}~`;
+  }
+  if (name === "tab" && shift) return "\x1b[Z";
+
+  let sequence;
+  if (KEY_SEQUENCES[name]) {
+    sequence = KEY_SEQUENCES[name];
+  } else if ([...name].length === 1) {
+    if (shift) name = name.toUpperCase();
+    sequence = ctrl ? controlCharacter(name) : name;
+  } else {
+    throw new Error(`Unknown key: ${key}`);
+  }
+  return meta ? `\x1b${sequence}` : sequence;
+}
+
+function controlCharacter(ch) {
+  if (ch === " ") return "\x00";
+  const code = ch.toLowerCase().charCodeAt(0);
+  if (code < 0x61 || code > 0x7a) {
+    throw new Error(`No control character for ${ch}`);
+  }
+  return String.fromCharCode(code & 0x1f);
+}
+
+module.exports = { VirtualTerminal, keySequence };
@@ -0,0 +1,268 @@
+const path = require("path");
+
+const PAIRS = { "(": ")", "[": "]", "{": "}" };
+const OPENERS = { ")": "(", "]": "[", "}": "{" };
+
+// How far from the bracket a match is looked for
+const MAX_SCAN_LINES = 5000;
+
+// Languages with # line comments and no block comments
+const HASH_COMMENTS = new Set([
+  ".py",
+  ".sh",
+  ".bash",
+  ".zsh",
+  ".rb",
+  ".pl",
+  ".r",
+  ".yml",
+  ".yaml",
+  ".toml",
+  ".conf",
+]);
+
+// Languages with C-style // and /* */ comments and quoted strings
+const C_COMMENTS = new Set([
+  ".js",
+  ".mjs",
+  ".cjs",
+  ".jsx",
+  ".ts",
+  ".tsx",
+  ".json",
+  ".c",
+  ".h",
+  ".cc",
+  ".cpp",
+  ".hpp",
+  ".cs",
+  ".java",
+  ".kt",
+  ".scala",
+  ".swift",
+  ".go",
+  ".rs",
+  ".dart",
+  ".php",
+  ".css",
+  ".scss",
+  ".less",
+]);
+
+// The closing quote or an escape inside each kind of string
+const STRING_ENDS = { "'": /[\\']/g, '"': /[\\"]/g, "`": /[\\`]/g };
+
+// `code` finds the next character that can start a bracket, string or
+// comment
+const C_STYLE = {
+  lineComment: "//",
+  blockComment: true,
+  code: /[()[\]{}'"`/]/g,
+};
+const HASH_STYLE = {
+  lineComment: "#",
+  blockComment: false,
+  code: /[()[\]{}'"`#]/g,
+};
+// Prose and unknown files: an apostrophe or the // of a URL starts nothing
+const PLAIN = {
+  lineComment: null,
+  blockComment: false,
+  code: /[()[\]{}]/g,
+};
+
+// ===== Bracket Matcher =====
+// Pairs (), [] and {} in a buffer, ignoring brackets inside strings and
+// comments of the languages it knows by extension. The lexical state at the start of each line is worked out once
+// and kept for the lines above later edits, so matching mostly scans just
+// the lines between a bracket and its partner.
+class BracketMatcher {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.version = null; // Text version the line states were scanned from
+    this.filename = null;
+    this.syntax = PLAIN;
+    // Lexical state at the start of each line scanned so far: null in
+    // code, "*/" inside a block comment or the quote of an open string
+    this.lineStates = [null];
+  }
+
+  // The pair of the bracket at col or, failing that, just before it.
+  // Returns the { open, close } positions and whether the bracket found
+  // at the position was the opening one, or null.
+  findMatch(row, col) {
+    if (this.buffer.largeFile) return null;
+    const brackets = this.getBrackets(row);
+    const bracket =
+      brackets.find((b) => b.col === col) ||
+      brackets.find((b) => b.col === col - 1);
+    if (!bracket) return null;
+
+    const position = { row, col: bracket.col };
+    if (PAIRS[bracket.ch]) {
+      const close = this.scanForward(row, bracket.col + 1, bracket.ch);
+      return close ? { open: position, close, atOpen: true } : null;
+    }
+    const open = this.scanBackward(row, bracket.col, OPENERS[bracket.ch]);
+    return open ? { open, close: position, atOpen: false } : null;
+  }
+
+  // The innermost pair around the position (between two characters)
+  findEnclosing(row, col) {
+    if (this.buffer.largeFile) return null;
+    const stack = [];
+    const firstRow = Math.max(0, row - MAX_SCAN_LINES);
+    for (let r = row; r >= firstRow; r--) {
+      const brackets = this.getBrackets(r);
+      for (let i = brackets.length - 1; i >= 0; i--) {
+        const { col: c, ch } = brackets[i];
+        if (r === row && c >= col) continue;
+        if (OPENERS[ch]) {
+          stack.push(ch);
+        } else if (stack.length > 0) {
+          if (stack.pop() !== PAIRS[ch]) return null; // Unbalanced
+        } else {
+          const close = this.scanForward(r, c + 1, ch);
+          return close ? { open: { row: r, col: c }, close } : null;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Finds the closer for `open`, starting at (row, col)
+  scanForward(row, col, open) {
+    const close = PAIRS[open];
+    let depth = 0;
+    const lastRow = Math.min(
+      this.buffer.getLineCount() - 1,
+      row + MAX_SCAN_LINES
+    );
+    for (let r = row; r <= lastRow; r++) {
+      for (const { col: c, ch } of this.getBrackets(r)) {
+        if (r === row && c < col) continue;
+        if (ch === open) {
+          depth++;
+        } else if (ch === close) {
+          if (depth === 0) return { row: r, col: c };
+          depth--;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Finds the opener `open` for a closer just after (row, col)
+  scanBackward(row, col, open) {
+    const close = PAIRS[open];
+    let depth = 0;
+    const firstRow = Math.max(0, row - MAX_SCAN_LINES);
+    for (let r = row; r >= firstRow; r--) {
+      const brackets = this.getBrackets(r);
+      for (let i = brackets.length - 1; i >= 0; i--) {
+        const { col: c, ch } = brackets[i];
+        if (r === row && c >= col) continue;
+        if (ch === close) {
+          depth++;
+        } else if (ch === open) {
+          if (depth === 0) return { row: r, col: c };
+          depth--;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Brackets on a line that are code, in column order
+  getBrackets(row) {
+    const brackets = [];
+    this.scanLine(this.buffer.getLine(row), this.getLineState(row), (ch, col) =>
+      brackets.push({ ch, col })
+    );
+    return brackets;
+  }
+
+  getLineState(row) {
+    this.validate();
+    while (this.lineStates.length <= row) {
+      const scanned = this.lineStates.length - 1;
+      this.lineStates.push(
+        this.scanLine(this.buffer.getLine(scanned), this.lineStates[scanned])
+      );
+    }
+    return this.lineStates[row];
+  }
+
+  // Drops the line states below an edit, or all of them when the
+  // language changes
+  validate() {
+    const { textVersion, filename } = this.buffer;
+    if (filename !== this.filename) {
+      this.filename = filename;
+      this.syntax = getSyntax(filename);
+      this.lineStates = [null];
+    } else if (textVersion !== this.version && this.version !== null) {
+      const offset = this.buffer.changedSince(this.version);
+      // A line's state only depends on the text above it
+      const { row } = this.buffer.positionAt(offset);
+      this.lineStates.length = Math.min(this.lineStates.length, row + 1);
+    }
+    this.version = textVersion;
+  }
+
+  // Walks one line from the given state, reporting brackets in code, and
+  // returns the state at the start of the next line
+  scanLine(line, state, onBracket) {
+    const { lineComment, blockComment, code } = this.syntax;
+    let col = 0;
+    while (col < line.length) {
+      if (state === "*/") {
+        const end = line.indexOf("*/", col);
+        if (end === -1) return state;
+        state = null;
+        col = end + 2;
+      } else if (state) {
+        // Inside a string: find the closing quote, skipping escapes
+        const closing = STRING_ENDS[state];
+        closing.lastIndex = col;
+        let match;
+        while ((match = closing.exec(line)) && match[0] === "\\") {
+          closing.lastIndex = match.index + 2;
+        }
+        if (!match) break;
+        state = null;
+        col = match.index + 1;
+      } else {
+        code.lastIndex = col;
+        const match = code.exec(line);
+        if (!match) break;
+        const ch = match[0];
+        col = match.index;
+        if (lineComment && line.startsWith(lineComment, col)) break;
+        if (blockComment && line.startsWith("/*", col)) {
+          state = "*/";
+          col += 2;
+        } else if (PAIRS[ch] || OPENERS[ch]) {
+          if (onBracket) onBracket(ch, col);
+          col++;
+        } else if (ch === "'" || ch === '"' || ch === "`") {
+          state = ch;
+          col++;
+        } else {
+          col++;
+        }
+      }
+    }
+    // Only template strings and block comments run on to the next line
+    return state === "*/" || state === "`" ? state : null;
+  }
+}
+
+function getSyntax(filename) {
+  const extension = path.extname(filename || "").toLowerCase();
+  if (C_COMMENTS.has(extension)) return C_STYLE;
+  if (HASH_COMMENTS.has(extension)) return HASH_STYLE;
+  return PLAIN;
+}
+
+module.exports = { BracketMatcher };
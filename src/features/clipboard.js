@@ -139,18 +139,9 @@ class Clipboard {
     // Remove duplicates
     const uniqueRows = [...new Set(cursorRows)];
 
-    buffer.saveToHistory();
-
     // Delete lines from bottom to top to avoid index shifting
     for (const row of uniqueRows) {
-      if (row >= 0 && row < buffer.lines.length) {
-        buffer.lines.splice(row, 1);
-      }
-    }
-
-    // Ensure we always have at least one line
-    if (buffer.lines.length === 0) {
-      buffer.lines = [""];
+      buffer.deleteLine(row);
     }
 
     buffer.modified = true;
@@ -161,7 +152,7 @@ class Clipboard {
     // Position cursor at the first deleted line (or last line if we deleted everything)
     const targetRow = Math.min(
       uniqueRows[uniqueRows.length - 1] || 0,
-      buffer.lines.length - 1
+      buffer.getLineCount() - 1
     );
     selection.cursor.row = targetRow;
     selection.cursor.col = 0;
@@ -221,54 +212,19 @@ class Clipboard {
   _pasteSingleCursor(buffer, cursor) {
     if (!this.content) return false;
 
-    buffer.saveToHistory();
-
     if (this.isLinewise) {
-      // Paste as new line(s)
-      const lines = this.content.split("\n");
-
-      // Insert after current line
-      for (let i = 0; i < lines.length; i++) {
-        buffer.lines.splice(cursor.row + i + 1, 0, lines[i]);
-      }
+      // Paste as new line(s) after the current line
+      const lineEnd = buffer.getLine(cursor.row).length;
+      buffer.insertText(cursor.row, lineEnd, `\n${this.content}`);
 
       // Move cursor to start of first pasted line
       cursor.row++;
       cursor.col = 0;
     } else {
-      // Paste at cursor position
-      const line = buffer.getLine(cursor.row);
-      const before = line.substring(0, cursor.col);
-      const after = line.substring(cursor.col);
-
-      if (this.content.includes("\n")) {
-        // Multi-line paste
-        const pasteLines = this.content.split("\n");
-
-        // First line
-        buffer.lines[cursor.row] = before + pasteLines[0];
-
-        // Middle lines
-        for (let i = 1; i < pasteLines.length - 1; i++) {
-          buffer.lines.splice(cursor.row + i, 0, pasteLines[i]);
-        }
-
-        // Last line
-        const lastIndex = pasteLines.length - 1;
-        buffer.lines.splice(
-          cursor.row + lastIndex,
-          0,
-          pasteLines[lastIndex] + after
-        );
-
-        // Move cursor to end of pasted content
-        cursor.row += lastIndex;
-        cursor.col = pasteLines[lastIndex].length;
-      } else {
-        // Single line paste
-        buffer.lines[cursor.row] = before + this.content + after;
-        cursor.col += this.content.length;
-      }
+      // Paste at cursor position, moving cursor to end of pasted content
+      const end = buffer.insertText(cursor.row, cursor.col, this.content);
+      cursor.row = end.row;
+      cursor.col = end.col;
     }
 
     buffer.modified = true;
@@ -289,7 +245,6 @@ class Clipboard {
     const textParts = this.prepareTextForDistribution(cursorRanges.length);
 
     // Use selection's replaceRanges for atomic multi-cursor paste
-    // This will automatically save to history
     return selection.replaceRanges((range, bounds, index) => {
       // Only paste at empty ranges (cursor positions)
       if (!range.isEmpty()) {
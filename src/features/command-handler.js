@@ -34,51 +34,169 @@ class CommandHandler {
         handler: () => this.editor.moveCursor("pagedown"),
         blockOnOverlay: true,
       },
+      "M-z": {
+        handler: () => this.editor.toggleSoftWrap(),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
 
       // Smart movement (blocked by overlay)
       "C-left": {
         handler: () => this.editor.moveCursor("token-left"),
         blockOnOverlay: true,
+        textOnly: true,
       },
       "C-right": {
         handler: () => this.editor.moveCursor("token-right"),
         blockOnOverlay: true,
+        textOnly: true,
       },
 
       // Editing (blocked by overlay)
       enter: {
         handler: () => this.editor.insertNewline(),
         blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
       },
       backspace: {
         handler: () => this.editor.deleteChar(),
         blockOnOverlay: true,
+        editsBuffer: true,
       },
       delete: {
         handler: () => this.editor.deleteForward(),
         blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
       },
       tab: {
-        handler: () => this.editor.insertChar("  "),
+        handler: () => this.editor.insertTab(),
         blockOnOverlay: true,
+        editsBuffer: true,
       },
       "C-up": {
         handler: () => this.editor.swapLines("up"),
         blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
       },
       "C-down": {
         handler: () => this.editor.swapLines("down"),
         blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
       },
 
       // File operations (blocked by overlay)
-      "C-s": { handler: () => this.editor.save(), blockOnOverlay: true },
+      "C-s": {
+        handler: () => this.editor.save(),
+        blockOnOverlay: true,
+        editsBuffer: true,
+      },
       "C-o": { handler: () => this.editor.open(), blockOnOverlay: true },
       "C-f": { handler: () => this.editor.search(), blockOnOverlay: true },
+      f3: {
+        handler: () => this.editor.findNext(1),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
+      "S-f3": {
+        handler: () => this.editor.findNext(-1),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
+      "C-g": {
+        handler: () => this.editor.showGoTo(),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
+      "M-l": {
+        handler: () => this.editor.convertLineEndings(),
+        blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
+      },
+      "M-r": {
+        handler: () => this.editor.reopenWithEncoding(),
+        blockOnOverlay: true,
+      },
+      "M-e": {
+        handler: () => this.editor.saveWithEncoding(),
+        blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
+      },
+
+      // Buffers (blocked by overlay)
+      "M-n": {
+        handler: () => this.editor.switchDocument(1),
+        blockOnOverlay: true,
+      },
+      "M-p": {
+        handler: () => this.editor.switchDocument(-1),
+        blockOnOverlay: true,
+      },
+      "M-b": {
+        handler: () => this.editor.showBufferSwitcher(),
+        blockOnOverlay: true,
+      },
+      "C-w": {
+        handler: () => this.editor.closeDocument(),
+        blockOnOverlay: true,
+      },
+
+      // Panes (blocked by overlay)
+      "M-v": {
+        handler: () => this.editor.splitPane("vertical"),
+        blockOnOverlay: true,
+      },
+      "M-h": {
+        handler: () => this.editor.splitPane("horizontal"),
+        blockOnOverlay: true,
+      },
+      "M-o": {
+        handler: () => this.editor.focusNextPane(),
+        blockOnOverlay: true,
+      },
+      "M-w": {
+        handler: () => this.editor.closePane(),
+        blockOnOverlay: true,
+      },
+      "M-left": {
+        handler: () => this.editor.resizePane("vertical", false),
+        blockOnOverlay: true,
+      },
+      "M-right": {
+        handler: () => this.editor.resizePane("vertical", true),
+        blockOnOverlay: true,
+      },
+      "M-up": {
+        handler: () => this.editor.resizePane("horizontal", false),
+        blockOnOverlay: true,
+      },
+      "M-down": {
+        handler: () => this.editor.resizePane("horizontal", true),
+        blockOnOverlay: true,
+      },
 
       // Undo/Redo (blocked by overlay)
-      "C-z": { handler: () => this.editor.undo(), blockOnOverlay: true },
-      "C-y": { handler: () => this.editor.redo(), blockOnOverlay: true },
+      "C-z": {
+        handler: () => this.editor.undo(),
+        blockOnOverlay: true,
+        editsBuffer: true,
+      },
+      "C-y": {
+        handler: () => this.editor.redo(),
+        blockOnOverlay: true,
+        editsBuffer: true,
+      },
+      "C-u": {
+        handler: () => this.editor.showUndoHistory(),
+        blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
+      },
 
       // Help (blocked by overlay)
       "C-h": { handler: () => this.editor.showHelp(), blockOnOverlay: true },
@@ -87,44 +205,91 @@ class CommandHandler {
       "C-space": {
         handler: () => this.handleSelectionToggle(),
         blockOnOverlay: true,
+        textOnly: true,
+      },
+      "C-a": {
+        handler: () => this.handleSelectAll(),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
+      "C-l": {
+        handler: () => this.handleSelectLine(),
+        blockOnOverlay: true,
+        textOnly: true,
       },
-      "C-a": { handler: () => this.handleSelectAll(), blockOnOverlay: true },
-      "C-l": { handler: () => this.handleSelectLine(), blockOnOverlay: true },
       "C-d": {
         handler: () => this.editor.selectNextOccurrence(),
         blockOnOverlay: true,
+        textOnly: true,
+      },
+
+      // Brackets (blocked by overlay)
+      "M-m": {
+        handler: () => this.editor.jumpToMatchingBracket(),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
+      "M-S-m": {
+        handler: () => this.editor.selectToMatchingBracket(),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
+      "M-i": {
+        handler: () => this.editor.selectInsideBrackets(),
+        blockOnOverlay: true,
+        textOnly: true,
       },
 
       // Selection with movement (blocked by overlay)
       "S-up": {
         handler: () => this.handleSelectionMove("up"),
         blockOnOverlay: true,
+        textOnly: true,
       },
       "S-down": {
         handler: () => this.handleSelectionMove("down"),
         blockOnOverlay: true,
+        textOnly: true,
       },
       "S-left": {
         handler: () => this.handleSelectionMove("left"),
         blockOnOverlay: true,
+        textOnly: true,
       },
       "S-right": {
         handler: () => this.handleSelectionMove("right"),
         blockOnOverlay: true,
+        textOnly: true,
       },
       "C-M-left": {
         handler: () => this.handleSelectionMove("token-left"),
         blockOnOverlay: true,
+        textOnly: true,
       },
       "C-M-right": {
         handler: () => this.handleSelectionMove("token-right"),
         blockOnOverlay: true,
+        textOnly: true,
       },
 
       // Clipboard (blocked by overlay)
-      "C-c": { handler: () => this.handleCopy(), blockOnOverlay: true },
-      "C-x": { handler: () => this.handleCut(), blockOnOverlay: true },
-      "C-v": { handler: () => this.handlePaste(), blockOnOverlay: true },
+      "C-c": {
+        handler: () => this.handleCopy(),
+        blockOnOverlay: true,
+        textOnly: true,
+      },
+      "C-x": {
+        handler: () => this.handleCut(),
+        blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
+      },
+      "C-v": {
+        handler: () => this.handlePaste(),
+        blockOnOverlay: true,
+        textOnly: true,
+        editsBuffer: true,
+      },
 
       // Special overlay-aware keys
       "C-p": { handler: () => this.handleFileSearch(), blockOnOverlay: false },
@@ -148,13 +313,27 @@ class CommandHandler {
   setupKeyDispatcher(screen) {
     // Register all simple key mappings
     Object.entries(this.keyMap).forEach(([keyCombo, config]) => {
-      screen.key([keyCombo], () => {
-        if (config.blockOnOverlay && this.editor.isOverlayActive()) return;
-        config.handler();
-      });
+      screen.key([keyCombo], () => this.dispatch(config));
     });
   }
 
+  dispatch(config) {
+    if (config.blockOnOverlay && this.editor.isOverlayActive()) return;
+    if (config.textOnly && !this.editor.canUseTextCommands()) return;
+    if (config.editsBuffer && !this.editor.canEdit()) return;
+    return config.handler();
+  }
+
+  // Runs a key map entry as if its key had been pressed (automation API).
+  // Resolves once the command finishes; false for unknown keys.
+  async runKey(keyCombo) {
+    if (!Object.prototype.hasOwnProperty.call(this.keyMap, keyCombo)) {
+      return false;
+    }
+    await this.dispatch(this.keyMap[keyCombo]);
+    return true;
+  }
+
   setupTextInput(screen) {
     screen.on("keypress", (ch, key) => {
       if (this.editor.isOverlayActive()) return;
@@ -168,6 +347,7 @@ class CommandHandler {
         key.name !== "backspace" &&
         key.name !== "tab"
       ) {
+        if (!this.editor.canEdit()) return;
         this.editor.insertChar(ch);
       }
     });
@@ -177,7 +357,7 @@ class CommandHandler {
     // Keys that need access to the key object for meta/shift detection
     screen.key(["home", "M-home"], (ch, key) => {
       if (this.editor.isOverlayActive()) return;
-      if (key.meta) {
+      if (key.meta && !this.editor.isHexMode()) {
         if (!this.editor.selection.active) this.editor.selection.start();
         this.editor.moveCursor("home", true);
       } else {
@@ -187,7 +367,7 @@ class CommandHandler {
 
     screen.key(["end", "M-end"], (ch, key) => {
       if (this.editor.isOverlayActive()) return;
-      if (key.meta) {
+      if (key.meta && !this.editor.isHexMode()) {
         if (!this.editor.selection.active) this.editor.selection.start();
         this.editor.moveCursor("end", true);
       } else {
@@ -240,10 +420,12 @@ class CommandHandler {
   }
 
   handleCut() {
-    const result = this.editor.clipboard.cutFromEditor(
-      this.editor.selection,
-      this.editor.buffer,
-      this.editor.cursor
+    const result = this.editor.buffer.transact("cut", () =>
+      this.editor.clipboard.cutFromEditor(
+        this.editor.selection,
+        this.editor.buffer,
+        this.editor.cursor
+      )
     );
 
     this.editor.ui.showMessage(
@@ -254,18 +436,20 @@ class CommandHandler {
   }
 
   handlePaste() {
-    const result = this.editor.clipboard.pasteToEditor(
-      this.editor.buffer,
-      this.editor.cursor,
-      this.editor.selection
-    );
+    // One transaction so a multi-cursor paste undoes in a single step
+    const result = this.editor.buffer.transact("paste", () => {
+      const pasted = this.editor.clipboard.pasteToEditor(
+        this.editor.buffer,
+        this.editor.cursor,
+        this.editor.selection
+      );
 
-    if (result.success) {
       // Only clear selection for single cursor operations
-      if (!result.cursorCount || result.cursorCount <= 1) {
+      if (pasted.success && (!pasted.cursorCount || pasted.cursorCount <= 1)) {
         this.editor.selection.clear();
       }
-    }
+      return pasted;
+    });
 
     this.editor.ui.showMessage(
       result.message,
@@ -380,7 +380,14 @@ class FileSearchOverlay {
     this.state.highlightedIndex = 0;
   }
 
-  pushRecent(meta) {
+  // Recent files from a restored session
+  setRecentFiles(recentFiles) {
+    this.recentFiles = recentFiles
+      .filter((item) => item && (item.absolutePath || item.relativePath))
+      .slice(0, this.maxRecent);
+  }
+
+    pushRecent(meta) {
     if (!meta) return;
     const key = meta.absolutePath || meta.relativePathPosix || meta.relativePath;
     if (!key) return;
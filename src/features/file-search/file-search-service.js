@@ -237,4 +237,4 @@ function fuzzyScore(target, query) {
   return score;
 }
 
-module.exports = { FileSearchService };
+module.exports = { FileSearchService, fuzzyScore };
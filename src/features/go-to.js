@@ -0,0 +1,110 @@
+const { fuzzyScore } = require("./file-search/file-search-service");
+
+const IDENTIFIER = "[A-Za-z_$][\\w$]*";
+
+// Definitions found by scanning line by line; the first match wins
+const SYMBOL_PATTERNS = [
+  {
+    kind: "class",
+    regex: new RegExp(
+      `^\\s*(?:export\\s+)?(?:default\\s+)?class\\s+(${IDENTIFIER})`,
+      "d"
+    ),
+  },
+  {
+    kind: "function",
+    regex: new RegExp(
+      `^\\s*(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${IDENTIFIER})`,
+      "d"
+    ),
+  },
+  {
+    kind: "function",
+    regex: new RegExp(
+      `^\\s*(?:export\\s+)?(?:const|let|var)\\s+(${IDENTIFIER})\\s*=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*=>|${IDENTIFIER}\\s*=>)`,
+      "d"
+    ),
+  },
+  {
+    kind: "function",
+    regex: /^\s*(?:async\s+)?def\s+(\w+)/d,
+  },
+  {
+    kind: "method",
+    regex: new RegExp(
+      `^\\s*(?:(?:static|async|get|set|public|private|protected)\\s+)*\\*?(${IDENTIFIER})\\s*\\([^)]*\\)\\s*\\{`,
+      "d"
+    ),
+  },
+];
+
+// Words that look like method definitions in `if (x) {` and friends
+const KEYWORDS = new Set([
+  "if",
+  "for",
+  "while",
+  "switch",
+  "catch",
+  "with",
+  "function",
+  "return",
+]);
+
+// Go-to input: "42", "42:7", ":7" (column on the current line) or a
+// relative "+10"/"-10". Lines and columns are 1-based and clamped to the
+// buffer; returns null for anything else.
+function parseGoToTarget(input, position) {
+  const match = /^([+-]?)(\d*)(?::(\d+))?$/.exec(input.trim());
+  if (!match || (!match[2] && !match[3])) return null;
+  const [, sign, line, column] = match;
+
+  let row = position.row;
+  if (line && sign) {
+    row += sign === "+" ? Number(line) : -Number(line);
+  } else if (line) {
+    row = Number(line) - 1;
+  }
+  row = Math.max(0, Math.min(row, position.lineCount - 1));
+
+  let col = 0;
+  if (column) {
+    col = Math.max(0, Number(column) - 1);
+  } else if (sign || !line) {
+    col = position.col;
+  }
+  return { row, col, label: `Line ${row + 1}, column ${col + 1}` };
+}
+
+// Function, class and method definitions in the buffer, in file order
+function findSymbols(buffer) {
+  const symbols = [];
+  const lineCount = buffer.getLineCount();
+  for (let row = 0; row < lineCount; row++) {
+    const line = buffer.getLine(row);
+    for (const { kind, regex } of SYMBOL_PATTERNS) {
+      const match = regex.exec(line);
+      if (!match) continue;
+      const name = match[1];
+      if (kind === "method" && KEYWORDS.has(name)) break;
+      symbols.push({ name, kind, row, col: match.indices[1][0] });
+      break;
+    }
+  }
+  return symbols;
+}
+
+// Symbols whose names fuzzily match the query, best first
+function matchSymbols(symbols, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return symbols;
+  return symbols
+    .map((symbol) => ({
+      symbol,
+      score: fuzzyScore(symbol.name.toLowerCase(), needle),
+    }))
+    .filter((match) => match.score !== null)
+    .sort((a, b) => b.score - a.score || a.symbol.row - b.symbol.row)
+    .map((match) => match.symbol);
+}
+
+module.exports = { parseGoToTarget, findSymbols, matchSymbols };
@@ -0,0 +1,218 @@
+const blessed = require("blessed");
+
+const BYTES_PER_ROW = 16;
+const OFFSET_WIDTH = 8;
+const HEX_START = OFFSET_WIDTH + 2;
+const ASCII_START = HEX_START + BYTES_PER_ROW * 3 + 2;
+
+// ===== Hex View =====
+// Cursor, scrolling and rendering for binary files. Each row shows the
+// offset, sixteen bytes in hex and the same bytes as ASCII. Typing in the
+// hex pane overwrites one nibble at a time; typing in the ASCII pane
+// overwrites whole bytes.
+class HexView {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.reset();
+  }
+
+  get document() {
+    return this.buffer.binary;
+  }
+
+  reset() {
+    this.offset = 0;
+    this.nibble = 0; // 0 = high, 1 = low half of the byte in the hex pane
+    this.pane = "hex";
+    this.top = 0; // First visible row
+  }
+
+  clamp() {
+    const last = Math.max(0, this.document.length - 1);
+    this.offset = Math.min(Math.max(0, this.offset), last);
+  }
+
+  move(direction, pageRows = 1) {
+    const rowStart = this.offset - (this.offset % BYTES_PER_ROW);
+    switch (direction) {
+      case "up":
+        if (this.offset >= BYTES_PER_ROW) this.offset -= BYTES_PER_ROW;
+        break;
+      case "down":
+        if (this.offset + BYTES_PER_ROW < this.document.length) {
+          this.offset += BYTES_PER_ROW;
+        }
+        break;
+      case "left":
+        this.offset--;
+        break;
+      case "right":
+        this.offset++;
+        break;
+      case "home":
+        this.offset = rowStart;
+        break;
+      case "end":
+        this.offset = rowStart + BYTES_PER_ROW - 1;
+        break;
+      case "pageup":
+        this.offset -= BYTES_PER_ROW * pageRows;
+        break;
+      case "pagedown":
+        this.offset += BYTES_PER_ROW * pageRows;
+        break;
+    }
+    this.nibble = 0;
+    this.clamp();
+  }
+
+  togglePane() {
+    this.pane = this.pane === "hex" ? "ascii" : "hex";
+    this.nibble = 0;
+  }
+
+  // Overwrites at the cursor. Returns false for characters the current
+  // pane cannot take.
+  input(char) {
+    const doc = this.document;
+    if (doc.length === 0) return false;
+
+    let value;
+    if (this.pane === "hex") {
+      if (!/^[0-9a-f]$/i.test(char)) return false;
+      const digit = parseInt(char, 16);
+      const current = doc.getByte(this.offset);
+      value =
+        this.nibble === 0
+          ? (digit << 4) | (current & 0x0f)
+          : (current & 0xf0) | digit;
+    } else {
+      const code = char.charCodeAt(0);
+      if (char.length !== 1 || code < 0x20 || code > 0x7e) return false;
+      value = code;
+    }
+
+    if (doc.overwrite(this.offset, value)) {
+      this.buffer.markBinaryChanged();
+    }
+
+    if (this.pane === "hex" && this.nibble === 0) {
+      this.nibble = 1;
+    } else if (this.offset < doc.length - 1) {
+      this.offset++;
+      this.nibble = 0;
+    }
+    return true;
+  }
+
+  undo() {
+    return this.restore(this.document.undo());
+  }
+
+  redo() {
+    return this.restore(this.document.redo());
+  }
+
+  restore(offset) {
+    if (offset === -1) return false;
+    this.buffer.markBinaryChanged();
+    this.offset = offset;
+    this.nibble = 0;
+    return true;
+  }
+
+  // Moves to the next match after the cursor; returns false when none
+  find(pattern) {
+    const found = this.document.find(pattern, this.offset);
+    if (found === -1) return false;
+    this.offset = found;
+    this.nibble = 0;
+    return true;
+  }
+
+  // Rows of tagged text plus the terminal cursor position
+  render(height) {
+    this.clamp();
+    const cursorRow = Math.floor(this.offset / BYTES_PER_ROW);
+    if (cursorRow < this.top) {
+      this.top = cursorRow;
+    } else if (cursorRow >= this.top + height) {
+      this.top = cursorRow - height + 1;
+    }
+
+    const doc = this.document;
+    const rowCount = Math.ceil(doc.length / BYTES_PER_ROW);
+    const lines = [];
+    for (let i = 0; i < height; i++) {
+      const row = this.top + i;
+      lines.push(row < rowCount ? this.renderRow(row) : "{blue-fg}~{/}");
+    }
+
+    const column = this.offset % BYTES_PER_ROW;
+    const col =
+      this.pane === "hex"
+        ? HEX_START + hexColumn(column) + this.nibble
+        : ASCII_START + 1 + column;
+    return { lines, cursor: { row: cursorRow - this.top, col } };
+  }
+
+  renderRow(row) {
+    const doc = this.document;
+    const start = row * BYTES_PER_ROW;
+    const end = Math.min(start + BYTES_PER_ROW, doc.length);
+    let hex = "";
+    let ascii = "";
+    for (let offset = start; offset < start + BYTES_PER_ROW; offset++) {
+      if (offset === start + BYTES_PER_ROW / 2) hex += " ";
+      if (offset >= end) {
+        hex += "   ";
+        continue;
+      }
+
+      const value = doc.getByte(offset);
+      let digits = value.toString(16).padStart(2, "0");
+      let char =
+        value >= 0x20 && value <= 0x7e ? String.fromCharCode(value) : ".";
+      char = blessed.escape(char);
+      if (offset === this.offset) {
+        // The active pane gets the solid cursor, the other one a marker
+        const [hexStyle, asciiStyle] =
+          this.pane === "hex"
+            ? ["{inverse}", "{underline}"]
+            : ["{underline}", "{inverse}"];
+        digits = `${hexStyle}${digits}{/}`;
+        char = `${asciiStyle}${char}{/}`;
+      }
+      hex += `${digits} `;
+      ascii += char;
+    }
+
+    const offsetLabel = start.toString(16).padStart(OFFSET_WIDTH, "0");
+    return `{cyan-fg}${offsetLabel}{/}  ${hex} |${ascii}|`;
+  }
+
+  getStatus() {
+    const offset = `0x${this.offset.toString(16).padStart(OFFSET_WIDTH, "0")}`;
+    return `${offset} | HEX ${this.pane} | ${this.document.length} bytes`;
+  }
+}
+
+// Screen column of a byte within the hex pane (extra gap after eight bytes)
+function hexColumn(column) {
+  return column * 3 + (column >= BYTES_PER_ROW / 2 ? 1 : 0);
+}
+
+// Search input: hex digits ("89 50 4e 47") or quoted text ("\"PNG\"")
+function parseBytePattern(input) {
+  const trimmed = input.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    const text = trimmed.slice(1, -1);
+    return text ? Buffer.from(text, "utf8") : null;
+  }
+
+  const digits = trimmed.replace(/\s+/g, "");
+  if (!/^([0-9a-f]{2})+$/i.test(digits)) return null;
+  return Buffer.from(digits, "hex");
+}
+
+module.exports = { HexView, parseBytePattern };
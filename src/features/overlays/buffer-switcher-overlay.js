@@ -0,0 +1,234 @@
+const blessed = require("blessed");
+const { fuzzyScore } = require("../file-search/file-search-service");
+
+const COLORS = {
+  modalBg: "black",
+  modalBorder: "cyan",
+  inputBg: "gray",
+  inputFg: "white",
+  listFg: "white",
+  listBg: "black",
+  selectionBg: "cyan",
+  selectionFg: "black",
+  muted: "gray",
+};
+
+const FOOTER_COPY = "Type to filter · ↑/↓ browse · Enter switch · Esc close";
+
+/**
+ * BufferSwitcherOverlay lists the open buffers and filters them with the
+ * same fuzzy matching as file search.
+ *
+ * Usage:
+ *   const overlay = new BufferSwitcherOverlay(screen, {
+ *     entries: [{ id: 1, name: "index.js", path: "src/index.js", modified: false }],
+ *   });
+ *   const id = await overlayHost.show(overlay); // null when cancelled
+ */
+class BufferSwitcherOverlay {
+  constructor(screen, options = {}) {
+    this.screen = screen;
+    this.options = options;
+
+    this.entries = options.entries || [];
+    this.matches = this.entries;
+    // Entries come most recent first; start on the previous buffer
+    this.highlightedIndex = this.entries.length > 1 ? 1 : 0;
+    this.container = null;
+    this.input = null;
+    this.list = null;
+    this.footer = null;
+
+    this.resolvePromise = null;
+    this.rejectPromise = null;
+  }
+
+  attach(parent) {
+    if (this.container) return;
+
+    this.container = blessed.box({
+      parent,
+      top: "center",
+      left: "center",
+      width: "60%",
+      height: 16,
+      padding: { top: 1, right: 2, bottom: 1, left: 2 },
+      border: { type: "line", fg: COLORS.modalBorder },
+      style: { fg: COLORS.listFg, bg: COLORS.modalBg },
+      label: " Switch Buffer ",
+    });
+
+    this.input = blessed.textbox({
+      parent: this.container,
+      top: 0,
+      left: 1,
+      right: 1,
+      height: 1,
+      inputOnFocus: true,
+      keys: true,
+      style: {
+        fg: COLORS.inputFg,
+        bg: COLORS.inputBg,
+        focus: { fg: COLORS.inputFg, bg: COLORS.inputBg },
+      },
+    });
+
+    this.list = blessed.list({
+      parent: this.container,
+      top: 2,
+      left: 1,
+      right: 1,
+      bottom: 2,
+      keys: false,
+      mouse: true,
+      tags: true,
+      style: {
+        fg: COLORS.listFg,
+        bg: COLORS.listBg,
+        selected: { fg: COLORS.selectionFg, bg: COLORS.selectionBg },
+      },
+    });
+
+    this.footer = blessed.box({
+      parent: this.container,
+      bottom: 0,
+      left: 1,
+      right: 1,
+      height: 1,
+      tags: true,
+      style: { fg: COLORS.muted, bg: COLORS.modalBg },
+      content: `{gray-fg}${FOOTER_COPY}{/}`,
+    });
+
+    this.registerEvents();
+  }
+
+  detach() {
+    if (!this.container) return;
+    this.container.destroy();
+    this.container = null;
+    this.input = null;
+    this.list = null;
+    this.footer = null;
+  }
+
+  onShow() {
+    this.render();
+  }
+
+  onHide() {
+    if (this.rejectPromise) {
+      this.rejectPromise(new Error("Overlay closed"));
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  focus() {
+    if (this.input) {
+      this.input.focus();
+    }
+  }
+
+  registerEvents() {
+    this.input.key(["escape"], () => this.resolve(null));
+    this.input.key(["enter"], () => {
+      this.confirmSelection();
+      return false;
+    });
+    this.input.key(["up"], () => {
+      this.highlightOffset(-1);
+      return false;
+    });
+    this.input.key(["down"], () => {
+      this.highlightOffset(1);
+      return false;
+    });
+
+    this.input.on("keypress", (ch, key) => {
+      if (["up", "down", "enter", "escape"].includes(key.name)) return;
+      // Delay to allow the textbox to update its internal value first
+      setTimeout(() => this.updateQuery(), 0);
+    });
+
+    this.list.on("select", (_, index) => {
+      this.highlightedIndex = index;
+      this.confirmSelection();
+    });
+  }
+
+  updateQuery() {
+    if (!this.input) return;
+    const query = (this.input.getValue() || "").toLowerCase();
+    if (!query) {
+      this.matches = this.entries;
+      this.highlightedIndex = this.entries.length > 1 ? 1 : 0;
+    } else {
+      this.matches = this.entries
+        .map((entry) => ({
+          entry,
+          score: fuzzyScore((entry.path || entry.name).toLowerCase(), query),
+        }))
+        .filter((match) => match.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .map((match) => match.entry);
+      this.highlightedIndex = 0;
+    }
+    this.render();
+  }
+
+  highlightOffset(offset) {
+    if (this.matches.length === 0) return;
+    const next = this.highlightedIndex + offset;
+    this.highlightedIndex = Math.max(
+      0,
+      Math.min(next, this.matches.length - 1)
+    );
+    this.render();
+  }
+
+  confirmSelection() {
+    const entry = this.matches[this.highlightedIndex];
+    if (entry) {
+      this.resolve(entry.id);
+    }
+  }
+
+  resolve(value) {
+    if (this.resolvePromise) {
+      this.resolvePromise(value);
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  render() {
+    if (!this.list) return;
+
+    const items = this.matches.map((entry) => formatEntry(entry));
+    this.list.setItems(items.length ? items : ["{gray-fg}No buffers match{/}"]);
+    this.list.select(this.highlightedIndex);
+    this.screen.render();
+  }
+
+  /**
+   * Resolves with the chosen document id, or null when the user cancels.
+   */
+  getResult() {
+    return new Promise((resolve, reject) => {
+      this.resolvePromise = resolve;
+      this.rejectPromise = reject;
+    });
+  }
+}
+
+function formatEntry(entry) {
+  const modified = entry.modified ? " {yellow-fg}[+]{/}" : "";
+  const location =
+    entry.path && entry.path !== entry.name
+      ? ` {gray-fg}${blessed.escape(entry.path)}{/}`
+      : "";
+  return `{bold}${blessed.escape(entry.name)}{/}${modified}${location}`;
+}
+
+module.exports = { BufferSwitcherOverlay };
@@ -0,0 +1,188 @@
+const blessed = require("blessed");
+const { diffLines } = require("../../core/line-diff");
+
+const COLORS = {
+  modalBg: "black",
+  modalBorder: "cyan",
+  textFg: "white",
+  muted: "gray",
+};
+
+const CONTEXT_LINES = 3;
+const FOOTER_COPY = "↑/↓ scroll · Esc close";
+
+/**
+ * DiffOverlay shows a read-only unified diff between two texts.
+ *
+ * Usage:
+ *   const overlay = new DiffOverlay(screen, {
+ *     title: "Buffer ↔ Disk",
+ *     oldText: buffer.getText(),
+ *     newText: diskText,
+ *     oldLabel: "buffer",
+ *     newLabel: "disk",
+ *   });
+ *   await overlayHost.show(overlay); // resolves when closed
+ */
+class DiffOverlay {
+  constructor(screen, options = {}) {
+    this.screen = screen;
+    this.options = options;
+
+    this.container = null;
+    this.body = null;
+    this.footer = null;
+
+    this.resolvePromise = null;
+    this.rejectPromise = null;
+  }
+
+  attach(parent) {
+    if (this.container) return;
+
+    this.container = blessed.box({
+      parent,
+      top: "center",
+      left: "center",
+      width: "90%",
+      height: "80%",
+      padding: { top: 0, right: 1, bottom: 0, left: 1 },
+      border: { type: "line", fg: COLORS.modalBorder },
+      style: { fg: COLORS.textFg, bg: COLORS.modalBg },
+      label: ` ${this.options.title || "Compare"} `,
+    });
+
+    this.body = blessed.box({
+      parent: this.container,
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 1,
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+      keys: false,
+      mouse: true,
+      style: { fg: COLORS.textFg, bg: COLORS.modalBg },
+    });
+
+    this.footer = blessed.box({
+      parent: this.container,
+      bottom: 0,
+      left: 0,
+      right: 0,
+      height: 1,
+      tags: true,
+      style: { fg: COLORS.muted, bg: COLORS.modalBg },
+      content: `{gray-fg}${FOOTER_COPY}{/}`,
+    });
+
+    this.registerEvents();
+  }
+
+  detach() {
+    if (!this.container) return;
+    this.container.destroy();
+    this.container = null;
+    this.body = null;
+    this.footer = null;
+  }
+
+  onShow() {
+    const { oldText = "", newText = "" } = this.options;
+    this.body.setContent(
+      formatDiff(diffLines(oldText, newText), this.options).join("\n")
+    );
+    this.body.setScroll(0);
+    this.screen.render();
+  }
+
+  onHide() {
+    if (this.rejectPromise) {
+      this.rejectPromise(new Error("Overlay closed"));
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  focus() {
+    if (this.body) {
+      this.body.focus();
+    }
+  }
+
+  registerEvents() {
+    const page = () => Math.max(1, this.body.height - 1);
+    this.body.key(["up", "k"], () => this.scroll(-1));
+    this.body.key(["down", "j"], () => this.scroll(1));
+    this.body.key(["pageup"], () => this.scroll(-page()));
+    this.body.key(["pagedown", "space"], () => this.scroll(page()));
+    this.body.key(["escape", "q", "enter"], () => this.resolve(null));
+  }
+
+  scroll(offset) {
+    this.body.scroll(offset);
+    this.screen.render();
+  }
+
+  resolve(value) {
+    if (this.resolvePromise) {
+      this.resolvePromise(value);
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  getResult() {
+    return new Promise((resolve, reject) => {
+      this.resolvePromise = resolve;
+      this.rejectPromise = reject;
+    });
+  }
+}
+
+// Unified diff lines with a few lines of context around each change
+function formatDiff(ops, options = {}) {
+  const oldLabel = blessed.escape(options.oldLabel || "a");
+  const newLabel = blessed.escape(options.newLabel || "b");
+  const lines = [`{red-fg}--- ${oldLabel}{/}`, `{green-fg}+++ ${newLabel}{/}`];
+
+  const changed = ops.map((op) => op.type !== "equal");
+  if (!changed.includes(true)) {
+    lines.push("{gray-fg}No differences{/}");
+    return lines;
+  }
+
+  const visible = ops.map((_, index) => {
+    const from = Math.max(0, index - CONTEXT_LINES);
+    const to = Math.min(ops.length, index + CONTEXT_LINES + 1);
+    return changed.slice(from, to).includes(true);
+  });
+
+  let oldLine = 1;
+  let newLine = 1;
+  let inHunk = false;
+  ops.forEach((op, index) => {
+    if (visible[index]) {
+      if (!inHunk) {
+        lines.push(`{cyan-fg}@@ -${oldLine} +${newLine} @@{/}`);
+        inHunk = true;
+      }
+      const text = blessed.escape(op.text);
+      if (op.type === "delete") {
+        lines.push(`{red-fg}-${text}{/}`);
+      } else if (op.type === "insert") {
+        lines.push(`{green-fg}+${text}{/}`);
+      } else {
+        lines.push(` ${text}`);
+      }
+    } else {
+      inHunk = false;
+    }
+    if (op.type !== "insert") oldLine++;
+    if (op.type !== "delete") newLine++;
+  });
+  return lines;
+}
+
+module.exports = { DiffOverlay };
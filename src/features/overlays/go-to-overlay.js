@@ -0,0 +1,238 @@
+const blessed = require("blessed");
+
+const COLORS = {
+  modalBg: "black",
+  modalBorder: "cyan",
+  inputBg: "gray",
+  inputFg: "white",
+  listFg: "white",
+  listBg: "black",
+  selectionBg: "cyan",
+  selectionFg: "black",
+  muted: "gray",
+};
+
+const FOOTER_COPY = "Enter go · Esc cancel";
+
+/**
+ * GoToOverlay asks for a line, line:column, relative offset or @symbol
+ * and previews each target while the user types. It sits at the bottom of
+ * the screen so the previewed text above it stays visible.
+ *
+ * Usage:
+ *   const overlay = new GoToOverlay(screen, {
+ *     getTargets: (query) => [{ row: 41, col: 0, label: "Line 42" }],
+ *     onPreview: (target) => {}, // null when nothing matches
+ *   });
+ *   const target = await overlayHost.show(overlay); // null when cancelled
+ */
+class GoToOverlay {
+  constructor(screen, options = {}) {
+    this.screen = screen;
+    this.options = options;
+    this.keepsEditorVisible = true; // The previewed target shows above
+
+    this.targets = [];
+    this.highlightedIndex = 0;
+    this.query = "";
+    this.container = null;
+    this.input = null;
+    this.list = null;
+    this.footer = null;
+
+    this.resolvePromise = null;
+    this.rejectPromise = null;
+  }
+
+  attach(parent) {
+    if (this.container) return;
+
+    this.container = blessed.box({
+      parent,
+      bottom: 1,
+      left: "center",
+      width: "60%",
+      height: 12,
+      padding: { top: 1, right: 2, bottom: 1, left: 2 },
+      border: { type: "line", fg: COLORS.modalBorder },
+      style: { fg: COLORS.listFg, bg: COLORS.modalBg },
+      label: " Go To ",
+    });
+
+    this.input = blessed.textbox({
+      parent: this.container,
+      top: 0,
+      left: 1,
+      right: 1,
+      height: 1,
+      inputOnFocus: true,
+      keys: true,
+      style: {
+        fg: COLORS.inputFg,
+        bg: COLORS.inputBg,
+        focus: { fg: COLORS.inputFg, bg: COLORS.inputBg },
+      },
+    });
+
+    this.list = blessed.list({
+      parent: this.container,
+      top: 2,
+      left: 1,
+      right: 1,
+      bottom: 2,
+      keys: false,
+      mouse: true,
+      tags: true,
+      style: {
+        fg: COLORS.listFg,
+        bg: COLORS.listBg,
+        selected: { fg: COLORS.selectionFg, bg: COLORS.selectionBg },
+      },
+    });
+
+    this.footer = blessed.box({
+      parent: this.container,
+      bottom: 0,
+      left: 1,
+      right: 1,
+      height: 1,
+      tags: true,
+      style: { fg: COLORS.muted, bg: COLORS.modalBg },
+      content: `{gray-fg}${FOOTER_COPY}{/}`,
+    });
+
+    this.registerEvents();
+  }
+
+  detach() {
+    if (!this.container) return;
+    this.container.destroy();
+    this.container = null;
+    this.input = null;
+    this.list = null;
+    this.footer = null;
+  }
+
+  onShow() {
+    this.render();
+  }
+
+  onHide() {
+    if (this.rejectPromise) {
+      this.rejectPromise(new Error("Overlay closed"));
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  focus() {
+    if (this.input) {
+      this.input.focus();
+    }
+  }
+
+  registerEvents() {
+    this.input.key(["escape"], () => this.resolve(null));
+    this.input.key(["enter"], () => {
+      this.confirmSelection();
+      return false;
+    });
+    this.input.key(["up"], () => {
+      this.highlightOffset(-1);
+      return false;
+    });
+    this.input.key(["down"], () => {
+      this.highlightOffset(1);
+      return false;
+    });
+
+    this.input.on("keypress", (ch, key) => {
+      if (["up", "down", "enter", "escape"].includes(key.name)) return;
+      // Delay to allow the textbox to update its internal value first
+      setTimeout(() => this.updateQuery(), 0);
+    });
+
+    this.list.on("select", (_, index) => {
+      this.highlightedIndex = index;
+      this.confirmSelection();
+    });
+  }
+
+  updateQuery() {
+    if (!this.input) return;
+    const query = this.input.getValue() || "";
+    if (query === this.query) return;
+    this.query = query;
+    this.targets = query.trim() ? this.options.getTargets(query) : [];
+    this.highlightedIndex = 0;
+    this.preview();
+    this.render();
+  }
+
+  highlightOffset(offset) {
+    if (this.targets.length === 0) return;
+    const next = this.highlightedIndex + offset;
+    this.highlightedIndex = Math.max(
+      0,
+      Math.min(next, this.targets.length - 1)
+    );
+    this.preview();
+    this.render();
+  }
+
+  preview() {
+    if (this.options.onPreview) {
+      this.options.onPreview(this.targets[this.highlightedIndex] || null);
+    }
+  }
+
+  confirmSelection() {
+    const target = this.targets[this.highlightedIndex];
+    if (target) {
+      this.resolve(target);
+    }
+  }
+
+  resolve(value) {
+    if (this.resolvePromise) {
+      this.resolvePromise(value);
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  render() {
+    if (!this.list) return;
+
+    let items = this.targets.map((target) => formatTarget(target));
+    if (items.length === 0) {
+      items = [
+        this.query.trim()
+          ? "{gray-fg}No matching line or symbol{/}"
+          : "{gray-fg}Type 42, 42:7, +10/-10 or @name{/}",
+      ];
+    }
+    this.list.setItems(items);
+    this.list.select(this.highlightedIndex);
+    this.screen.render();
+  }
+
+  /**
+   * Resolves with the chosen target, or null when the user cancels.
+   */
+  getResult() {
+    return new Promise((resolve, reject) => {
+      this.resolvePromise = resolve;
+      this.rejectPromise = reject;
+    });
+  }
+}
+
+function formatTarget(target) {
+  const detail = target.detail
+    ? ` {gray-fg}${blessed.escape(target.detail)}{/}`
+    : "";
+  return `{bold}${blessed.escape(target.label)}{/}${detail}`;
+}
+
+module.exports = { GoToOverlay };
@@ -0,0 +1,247 @@
+const blessed = require("blessed");
+
+const COLORS = {
+  modalBg: "black",
+  modalBorder: "cyan",
+  listFg: "white",
+  listBg: "black",
+  selectionBg: "cyan",
+  selectionFg: "black",
+  muted: "gray",
+};
+
+const FOOTER_COPY = "↑/↓ browse · Enter jump here · Esc close";
+
+/**
+ * HistoryOverlay lists every node of the undo tree, indenting alternative
+ * branches, and previews the buffer as it was at the highlighted node.
+ *
+ * Usage:
+ *   const overlay = new HistoryOverlay(screen, {
+ *     getEntries: () => buffer.history.getEntries(),
+ *     getPreview: (node) => buffer.getTextAtHistory(node.id),
+ *   });
+ *   const nodeId = await overlayHost.show(overlay); // null when cancelled
+ */
+class HistoryOverlay {
+  constructor(screen, options = {}) {
+    this.screen = screen;
+    this.options = options;
+
+    this.entries = [];
+    this.highlightedIndex = 0;
+    this.container = null;
+    this.list = null;
+    this.preview = null;
+    this.footer = null;
+
+    this.resolvePromise = null;
+    this.rejectPromise = null;
+  }
+
+  attach(parent) {
+    if (this.container) return;
+
+    this.container = blessed.box({
+      parent,
+      top: "center",
+      left: "center",
+      width: "90%",
+      height: "80%",
+      padding: { top: 0, right: 1, bottom: 0, left: 1 },
+      border: { type: "line", fg: COLORS.modalBorder },
+      style: { fg: COLORS.listFg, bg: COLORS.modalBg },
+      label: " Undo History ",
+    });
+
+    this.list = blessed.list({
+      parent: this.container,
+      top: 0,
+      left: 0,
+      width: "40%",
+      bottom: 1,
+      keys: false, // Navigation is handled here so the preview stays in sync
+      mouse: true,
+      tags: true,
+      style: {
+        fg: COLORS.listFg,
+        bg: COLORS.listBg,
+        selected: { fg: COLORS.selectionFg, bg: COLORS.selectionBg },
+      },
+    });
+
+    this.preview = blessed.box({
+      parent: this.container,
+      top: 0,
+      left: "40%+1",
+      right: 0,
+      bottom: 1,
+      tags: true,
+      border: { type: "line", fg: COLORS.muted },
+      style: { fg: COLORS.listFg, bg: COLORS.modalBg },
+      label: " Preview ",
+    });
+
+    this.footer = blessed.box({
+      parent: this.container,
+      bottom: 0,
+      left: 0,
+      right: 0,
+      height: 1,
+      tags: true,
+      style: { fg: COLORS.muted, bg: COLORS.modalBg },
+      content: `{gray-fg}${FOOTER_COPY}{/}`,
+    });
+
+    this.registerEvents();
+  }
+
+  detach() {
+    if (!this.container) return;
+    this.container.destroy();
+    this.container = null;
+    this.list = null;
+    this.preview = null;
+    this.footer = null;
+  }
+
+  onShow() {
+    this.entries = this.options.getEntries ? this.options.getEntries() : [];
+    const currentIndex = this.entries.findIndex((entry) => entry.isCurrent);
+    this.highlightedIndex = Math.max(0, currentIndex);
+    this.render();
+  }
+
+  onHide() {
+    if (this.rejectPromise) {
+      this.rejectPromise(new Error("Overlay closed"));
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  focus() {
+    if (this.list) {
+      this.list.focus();
+    }
+  }
+
+  registerEvents() {
+    this.list.key(["up", "k"], () => this.highlightOffset(-1));
+    this.list.key(["down", "j"], () => this.highlightOffset(1));
+    this.list.key(["pageup"], () => this.highlightOffset(-10));
+    this.list.key(["pagedown"], () => this.highlightOffset(10));
+    this.list.key(["enter"], () => this.confirmSelection());
+    this.list.key(["escape", "q"], () => this.resolve(null));
+
+    this.list.on("select", (_, index) => {
+      this.highlightedIndex = index;
+      this.confirmSelection();
+    });
+  }
+
+  highlightOffset(offset) {
+    if (this.entries.length === 0) return;
+    const next = this.highlightedIndex + offset;
+    this.highlightedIndex = Math.max(
+      0,
+      Math.min(next, this.entries.length - 1)
+    );
+    this.render();
+  }
+
+  confirmSelection() {
+    const entry = this.entries[this.highlightedIndex];
+    this.resolve(entry ? entry.node.id : null);
+  }
+
+  resolve(value) {
+    if (this.resolvePromise) {
+      this.resolvePromise(value);
+      this.resolvePromise = null;
+      this.rejectPromise = null;
+    }
+  }
+
+  render() {
+    if (!this.list) return;
+
+    const items = this.entries.map((entry) => formatEntry(entry));
+    this.list.setItems(items.length ? items : [" "]);
+    this.list.select(this.highlightedIndex);
+    this.renderPreview();
+    this.screen.render();
+  }
+
+  renderPreview() {
+    const entry = this.entries[this.highlightedIndex];
+    if (!entry || !this.options.getPreview) {
+      this.preview.setContent("");
+      return;
+    }
+
+    const text = this.options.getPreview(entry.node);
+    if (text === null || text === undefined) {
+      this.preview.setContent("{gray-fg}Preview unavailable{/}");
+      return;
+    }
+
+    const lines = text.split("\n");
+    const focusRow = getFocusRow(entry.node, lines.length);
+    const height = Math.max(1, this.preview.height - 2);
+    const top = Math.max(
+      0,
+      Math.min(focusRow - Math.floor(height / 2), lines.length - height)
+    );
+
+    const visible = lines.slice(top, top + height).map((line, index) => {
+      const row = top + index;
+      const lineNum = String(row + 1).padStart(4, " ");
+      const content = blessed.escape(line);
+      return row === focusRow
+        ? `{yellow-fg}${lineNum}{/} {bold}${content}{/}`
+        : `{gray-fg}${lineNum}{/} ${content}`;
+    });
+    this.preview.setContent(visible.join("\n"));
+  }
+
+  /**
+   * Resolves with the chosen node id, or null when the user cancels.
+   */
+  getResult() {
+    return new Promise((resolve, reject) => {
+      this.resolvePromise = resolve;
+      this.rejectPromise = reject;
+    });
+  }
+}
+
+function formatEntry(entry) {
+  const { node, branch, isCurrent, isSaved } = entry;
+  const indent = "│ ".repeat(branch);
+  const marker = isCurrent ? "{green-fg}●{/}" : "○";
+  const time = formatTime(node.timestamp);
+  const label =
+    node.parentId === null
+      ? "Original"
+      : `${node.kind} (${node.edits.length} edit${
+          node.edits.length === 1 ? "" : "s"
+        })`;
+  const saved = isSaved ? " {green-fg}[saved]{/}" : "";
+  return `${indent}${marker} {gray-fg}${time}{/} ${label}${saved}`;
+}
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return [date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+}
+
+function getFocusRow(node, lineCount) {
+  const state = node.after || node.before;
+  const row = state && state.cursor ? state.cursor.row : 0;
+  return Math.max(0, Math.min(row, lineCount - 1));
+}
+
+module.exports = { HistoryOverlay };
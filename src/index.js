@@ -5,12 +5,87 @@
  * Main entry point for the modular version
  */
 
+const path = require("path");
 const { TextEditor } = require("./core/editor");
+const { USAGE, parseArgs } = require("./core/cli-args");
+const { readStdin, openTerminal } = require("./core/terminal");
+const { sendRequest } = require("./core/editor-client");
+const { version } = require("../package.json");
 
 // ===== Entry Point =====
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.error) {
+    console.error(`silent-edit: ${options.error}`);
+    console.error("Try 'silent-edit --help' for more information.");
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (options.version) {
+    console.log(`silent-edit ${version}`);
+    process.exit(0);
+  }
+
+  if (options.client && (await openInRunningEditor(options))) return;
+
+  // Piped stdin is edited when asked for with - or when nothing else is
+  const pipedStdin = !process.stdin.isTTY && !options.rpcStdio;
+  const wantsStdin =
+    options.stdin || (pipedStdin && options.files.length === 0);
+  if (wantsStdin && !pipedStdin) {
+    console.error("silent-edit: - needs text piped to stdin");
+    process.exit(2);
+  }
+  const stdin = wantsStdin ? await readStdin() : null;
+
+  const terminal = openTerminal();
+  if (!terminal) {
+    console.error("silent-edit: no terminal to run in");
+    process.exit(2);
+  }
+
+  const editor = new TextEditor(terminal);
+  await editor.run(options, stdin);
+}
+
+// Hands the files to the editor that owns the socket. Returns false when
+// none is running, in which case this process becomes the editor.
+async function openInRunningEditor(options) {
+  const params = {
+    files: options.files.map((file) => ({
+      ...file,
+      path: path.resolve(file.path),
+    })),
+    wait: options.wait,
+    readonly: options.readonly,
+    encoding: options.encoding,
+  };
+
+  let result;
+  try {
+    result = await sendRequest("open", params, {
+      onConnect: () => {
+        if (options.wait) {
+          console.error("Waiting for silent-edit to close the files...");
+        }
+      },
+    });
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "ECONNREFUSED") return false;
+    console.error(`silent-edit: ${err.message}`);
+    process.exit(2);
+  }
+  process.exit(result && result.aborted ? 1 : 0);
+}
+
 if (require.main === module) {
-  const editor = new TextEditor();
-  editor.run();
+  main().catch((err) => {
+    console.error(`silent-edit: ${err.message}`);
+    process.exit(1);
+  });
 }
 
 module.exports = { TextEditor };
@@ -1,4 +1,5 @@
 const { debugLog } = require("./core/debug-logger");
+const { nextClusterEnd, previousClusterStart } = require("./core/text-width");
 
 class SelectionRange {
   constructor(anchorRow, anchorCol, headRow, headCol) {
@@ -210,6 +211,41 @@ class Selection {
     this.setRanges([range]);
   }
 
+  // Plain snapshot of cursor and ranges, stored with each undo step
+  captureState() {
+    return {
+      cursor: { row: this.cursor.row, col: this.cursor.col },
+      ranges: this.ranges.map((range) => ({
+        anchor: { ...range.anchor },
+        head: { ...range.head },
+      })),
+      primaryIndex: this.primaryIndex,
+    };
+  }
+
+  restoreState(state) {
+    if (!state) return;
+
+    const ranges = (state.ranges || []).map((range) =>
+      SelectionRange.fromPositions(
+        range.anchor.row,
+        range.anchor.col,
+        range.head.row,
+        range.head.col
+      )
+    );
+    this.setRanges(ranges, state.primaryIndex);
+
+    if (state.cursor) {
+      this.cursor.row = state.cursor.row;
+      this.cursor.col = state.cursor.col;
+    }
+    if (typeof this.cursor.clamp === "function") {
+      this.cursor.clamp();
+    }
+    this.cursor.updatePreferredCol();
+  }
+
   getText() {
     if (!this.active) return "";
 
@@ -263,45 +299,31 @@ class Selection {
       return false;
     }
 
-    this.buffer.saveToHistory();
-
-    for (let i = ranges.length - 1; i >= 0; i--) {
-      const bounds = ranges[i].getBounds();
-      this._deleteBounds(bounds);
-    }
+    this.buffer.transact("delete", () => {
+      for (let i = ranges.length - 1; i >= 0; i--) {
+        const bounds = ranges[i].getBounds();
+        this._deleteBounds(bounds);
+      }
 
-    this.buffer.modified = true;
+      this.buffer.modified = true;
 
-    const targetBounds = primaryBounds || ranges[0].getBounds();
-    this.clear();
+      const targetBounds = primaryBounds || ranges[0].getBounds();
+      this.clear();
 
-    if (targetBounds) {
-      this.cursor.row = targetBounds.startRow;
-      this.cursor.col = targetBounds.startCol;
-      if (typeof this.cursor.clamp === "function") {
-        this.cursor.clamp();
+      if (targetBounds) {
+        this.cursor.row = targetBounds.startRow;
+        this.cursor.col = targetBounds.startCol;
+        if (typeof this.cursor.clamp === "function") {
+          this.cursor.clamp();
+        }
       }
-    }
+    });
 
     return true;
   }
 
   _deleteBounds(bounds) {
-    const { startRow, startCol, endRow, endCol } = bounds;
-
-    if (startRow === endRow) {
-      const line = this.buffer.getLine(startRow);
-      this.buffer.lines[startRow] =
-        line.substring(0, startCol) + line.substring(endCol);
-    } else {
-      const firstLine = this.buffer.getLine(startRow);
-      const lastLine = this.buffer.getLine(endRow);
-
-      this.buffer.lines[startRow] =
-        firstLine.substring(0, startCol) + lastLine.substring(endCol);
-
-      this.buffer.lines.splice(startRow + 1, endRow - startRow);
-    }
+    this.buffer.deleteRange(bounds);
   }
 
   selectLine(row = this.cursor.row) {
@@ -440,58 +462,58 @@ class Selection {
       return false;
     }
 
-    this.buffer.saveToHistory();
+    this.buffer.transact("replace", () => {
+      for (let i = actions.length - 1; i >= 0; i--) {
+        const action = actions[i];
+        if (!action.perform) {
+          action.newPosition = {
+            row: action.bounds.startRow,
+            col: action.bounds.startCol,
+          };
+          continue;
+        }
 
-    for (let i = actions.length - 1; i >= 0; i--) {
-      const action = actions[i];
-      if (!action.perform) {
-        action.newPosition = {
-          row: action.bounds.startRow,
-          col: action.bounds.startCol,
-        };
-        continue;
-      }
+        if (!this._isEmptyBounds(action.bounds)) {
+          this._deleteBounds(action.bounds);
+        }
 
-      if (!this._isEmptyBounds(action.bounds)) {
-        this._deleteBounds(action.bounds);
+        action.newPosition = this._insertTextAt(
+          action.bounds.startRow,
+          action.bounds.startCol,
+          action.text
+        );
       }
 
-      action.newPosition = this._insertTextAt(
-        action.bounds.startRow,
-        action.bounds.startCol,
-        action.text
-      );
-    }
+      this.buffer.modified = true;
 
-    this.buffer.modified = true;
-
-    const newRanges = actions.map((action) =>
-      SelectionRange.fromPositions(
-        action.newPosition.row,
-        action.newPosition.col,
-        action.newPosition.row,
-        action.newPosition.col
-      )
-    );
+      const newRanges = actions.map((action) =>
+        SelectionRange.fromPositions(
+          action.newPosition.row,
+          action.newPosition.col,
+          action.newPosition.row,
+          action.newPosition.col
+        )
+      );
 
-    let primaryIndex = newRanges.length - 1;
-    if (primaryKey) {
-      const foundIndex = orderedKeys.findIndex((key) => key === primaryKey);
-      if (foundIndex !== -1) {
-        primaryIndex = foundIndex;
+      let primaryIndex = newRanges.length - 1;
+      if (primaryKey) {
+        const foundIndex = orderedKeys.findIndex((key) => key === primaryKey);
+        if (foundIndex !== -1) {
+          primaryIndex = foundIndex;
+        }
       }
-    }
 
-    this.setRanges(newRanges, primaryIndex);
+      this.setRanges(newRanges, primaryIndex);
 
-    const primary = this.primaryRange;
-    if (primary) {
-      this.cursor.row = primary.head.row;
-      this.cursor.col = primary.head.col;
-      if (typeof this.cursor.clamp === "function") {
-        this.cursor.clamp();
+      const primary = this.primaryRange;
+      if (primary) {
+        this.cursor.row = primary.head.row;
+        this.cursor.col = primary.head.col;
+        if (typeof this.cursor.clamp === "function") {
+          this.cursor.clamp();
+        }
       }
-    }
+    });
 
     return true;
   }
@@ -532,35 +554,7 @@ class Selection {
       return { row, col };
     }
 
-    while (this.buffer.lines.length <= row) {
-      this.buffer.lines.push("");
-    }
-
-    const originalLine = this.buffer.lines[row] || "";
-    const before = originalLine.slice(0, col);
-    const after = originalLine.slice(col);
-    const parts = String(text).split("\n");
-
-    if (parts.length === 1) {
-      this.buffer.lines[row] = before + parts[0] + after;
-      return { row, col: col + parts[0].length };
-    }
-
-    this.buffer.lines[row] = before + parts[0];
-    let insertIndex = row + 1;
-
-    for (let i = 1; i < parts.length; i++) {
-      this.buffer.lines.splice(insertIndex, 0, parts[i]);
-      insertIndex++;
-    }
-
-    const lastRow = row + parts.length - 1;
-    this.buffer.lines[lastRow] += after;
-
-    return {
-      row: lastRow,
-      col: parts[parts.length - 1].length,
-    };
+    return this.buffer.insertText(row, col, String(text));
   }
 
   deleteBackward() {
@@ -579,7 +573,10 @@ class Selection {
           text: "",
           bounds: {
             startRow,
-            startCol: startCol - 1,
+            startCol: previousClusterStart(
+              this.buffer.getLine(startRow),
+              startCol
+            ),
             endRow: startRow,
             endCol: startCol,
           },
@@ -622,7 +619,7 @@ class Selection {
             startRow,
             startCol,
             endRow: startRow,
-            endCol: startCol + 1,
+            endCol: nextClusterEnd(line, startCol),
           },
         };
       }
@@ -788,42 +785,18 @@ class Clipboard {
   paste(buffer, cursor) {
     if (!this.content) return false;
 
-    buffer.saveToHistory();
-
-    if (this.isLinewise) {
-      const lines = this.content.split("\n");
-      for (let i = 0; i < lines.length; i++) {
-        buffer.lines.splice(cursor.row + i + 1, 0, lines[i]);
-      }
-      cursor.row++;
-      cursor.col = 0;
-    } else {
-      const line = buffer.getLine(cursor.row);
-      const before = line.substring(0, cursor.col);
-      const after = line.substring(cursor.col);
-
-      if (this.content.includes("\n")) {
-        const pasteLines = this.content.split("\n");
-        buffer.lines[cursor.row] = before + pasteLines[0];
-
-        for (let i = 1; i < pasteLines.length - 1; i++) {
-          buffer.lines.splice(cursor.row + i, 0, pasteLines[i]);
-        }
-
-        const lastIndex = pasteLines.length - 1;
-        buffer.lines.splice(
-          cursor.row + lastIndex,
-          0,
-          pasteLines[lastIndex] + after
-        );
-
-        cursor.row += lastIndex;
-        cursor.col = pasteLines[lastIndex].length;
+    buffer.transact("paste", () => {
+      if (this.isLinewise) {
+        const lineEnd = buffer.getLine(cursor.row).length;
+        buffer.insertText(cursor.row, lineEnd, `\n${this.content}`);
+        cursor.row++;
+        cursor.col = 0;
       } else {
-        buffer.lines[cursor.row] = before + this.content + after;
-        cursor.col += this.content.length;
+        const end = buffer.insertText(cursor.row, cursor.col, this.content);
+        cursor.row = end.row;
+        cursor.col = end.col;
       }
-    }
+    });
 
     buffer.modified = true;
     return true;
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const {
+  writeFileAtomic,
+  writeFileAtomicSync,
+} = require("../src/core/atomic-write");
+
+// ===== Atomic Writes =====
+test("replaces the file and keeps its mode", async () => {
+  const dir = makeTempDir();
+  const file = path.join(dir, "script.sh");
+  fs.writeFileSync(file, "old");
+  fs.chmodSync(file, 0o750);
+
+  assert.equal(await writeFileAtomic(file, "new"), file);
+  assert.equal(fs.readFileSync(file, "utf8"), "new");
+  assert.equal(fs.statSync(file).mode & 0o777, 0o750);
+  assert.deepEqual(fs.readdirSync(dir), ["script.sh"]);
+});
+
+test("writes through symlinks and streams from a callback", async () => {
+  const dir = makeTempDir();
+  const file = path.join(dir, "real.txt");
+  const link = path.join(dir, "link.txt");
+  fs.writeFileSync(file, "old");
+  fs.symlinkSync(file, link);
+
+  await writeFileAtomic(link, (handle) => handle.write("streamed"));
+  assert.equal(fs.lstatSync(link).isSymbolicLink(), true);
+  assert.equal(fs.readFileSync(file, "utf8"), "streamed");
+});
+
+test("leaves the original alone when writing fails", async () => {
+  const dir = makeTempDir();
+  const file = path.join(dir, "keep.txt");
+  fs.writeFileSync(file, "original");
+
+  await assert.rejects(
+    writeFileAtomic(file, async () => {
+      throw new Error("disk full");
+    }),
+    /disk full/
+  );
+  assert.equal(fs.readFileSync(file, "utf8"), "original");
+  assert.deepEqual(fs.readdirSync(dir), ["keep.txt"]);
+});
+
+test("writes synchronously without leaving temp files", () => {
+  const dir = makeTempDir();
+  const file = path.join(dir, "state.json");
+  writeFileAtomicSync(file, "{}");
+  writeFileAtomicSync(file, "[]");
+  assert.equal(fs.readFileSync(file, "utf8"), "[]");
+  assert.deepEqual(fs.readdirSync(dir), ["state.json"]);
+  assert.throws(() => writeFileAtomicSync(path.join(dir, "no", "x"), ""));
+});
+
+// ===== Backups =====
+test("keeps simple and numbered backups", async () => {
+  const dir = makeTempDir();
+  const file = path.join(dir, "notes.txt");
+  fs.writeFileSync(file, "v1");
+
+  await writeFileAtomic(file, "v2", { backup: "none" });
+  assert.deepEqual(fs.readdirSync(dir), ["notes.txt"]);
+
+  await writeFileAtomic(file, "v3", { backup: "simple" });
+  await writeFileAtomic(file, "v4", { backup: "simple" });
+  assert.equal(fs.readFileSync(`${file}~`, "utf8"), "v3");
+
+  await writeFileAtomic(file, "v5", { backup: "numbered" });
+  await writeFileAtomic(file, "v6", { backup: "numbered" });
+  assert.equal(fs.readFileSync(`${file}.~1~`, "utf8"), "v4");
+  assert.equal(fs.readFileSync(`${file}.~2~`, "utf8"), "v5");
+  assert.equal(fs.readFileSync(file, "utf8"), "v6");
+});
+
+test("makes no backup of a new file", async () => {
+  const dir = makeTempDir();
+  await writeFileAtomic(path.join(dir, "new.txt"), "x", { backup: "simple" });
+  assert.deepEqual(fs.readdirSync(dir), ["new.txt"]);
+});
+
+// ===== Save As =====
+async function saveAs(terminal, editor, filepath) {
+  const done = editor.save();
+  await waitFor(() => editor.ui.commandLine.getContent() === "Save as: ");
+  terminal.type(filepath);
+  terminal.press("enter");
+  return done;
+}
+
+test("keeps an untitled buffer untitled when save-as fails", async (t) => {
+  const { terminal, editor } = startEditor("text", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+
+  const file = path.join(makeTempDir(), "missing", "out.txt");
+  assert.equal(await saveAs(terminal, editor, file), false);
+  assert.equal(editor.buffer.filename, null);
+  assert.equal(editor.buffer.modified, true);
+});
+
+test("asks before save-as replaces an existing file", async (t) => {
+  const { terminal, editor } = startEditor("text", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  const file = path.join(makeTempDir(), "taken.txt");
+  fs.writeFileSync(file, "keep me");
+
+  let done = saveAs(terminal, editor, file);
+  await waitFor(() => terminal.find("File already exists"));
+  terminal.press("n");
+  assert.equal(await done, false);
+  assert.equal(editor.buffer.filename, null);
+  assert.equal(fs.readFileSync(file, "utf8"), "keep me");
+
+  done = saveAs(terminal, editor, file);
+  await waitFor(() => terminal.find("File already exists"));
+  terminal.press("o");
+  assert.equal(await done, true);
+  assert.equal(editor.buffer.filename, file);
+  assert.equal(fs.readFileSync(file, "utf8"), "text");
+});
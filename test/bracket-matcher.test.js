@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Buffer } = require("../src/core/buffer");
+const { BracketMatcher } = require("../src/features/bracket-matcher");
+
+function createMatcher(lines, filename = "code.js") {
+  const buffer = new Buffer();
+  buffer.insertText(0, 0, lines.join("\n"));
+  buffer.filename = filename;
+  return new BracketMatcher(buffer);
+}
+
+function match(matcher, row, col) {
+  const result = matcher.findMatch(row, col);
+  return (
+    result && [
+      result.open.row,
+      result.open.col,
+      result.close.row,
+      result.close.col,
+    ]
+  );
+}
+
+// ===== Strings and Comments =====
+test("skips brackets in strings and comments", () => {
+  const matcher = createMatcher([
+    'call(")", \'\\\'(\', "\\\\", // )',
+    "  /* ) */ x)",
+  ]);
+  assert.deepEqual(match(matcher, 0, 4), [0, 4, 1, 11]);
+  assert.deepEqual(match(matcher, 1, 12), [0, 4, 1, 11]);
+  assert.equal(matcher.findMatch(0, 6), null); // In a string
+});
+
+test("carries block comments and template strings across lines", () => {
+  const matcher = createMatcher([
+    "f(/* start (",
+    "end ) */ `${a}",
+    "(` + b)",
+    'const s = "unclosed (',
+    "g()",
+  ]);
+  assert.deepEqual(match(matcher, 0, 1), [0, 1, 2, 6]);
+  assert.equal(matcher.getLineState(1), "*/");
+  assert.equal(matcher.getLineState(2), "`");
+  // Plain strings end at the line end
+  assert.equal(matcher.getLineState(4), null);
+  assert.deepEqual(match(matcher, 4, 2), [4, 1, 4, 2]);
+});
+
+test("uses # comments for scripting languages", () => {
+  const lines = ["x = [1, # ]", "  2 / (3)]"];
+  const python = createMatcher(lines, "build.py");
+  assert.deepEqual(match(python, 0, 4), [0, 4, 1, 9]);
+  // In C-style files # starts nothing and / divides
+  const script = createMatcher(lines, "build.js");
+  assert.deepEqual(match(script, 0, 4), [0, 4, 0, 10]);
+});
+
+test("matches every bracket in prose", () => {
+  const lines = ["Don't (see https://example.com/a) [it's", "fine]"];
+  for (const filename of ["notes.md", "notes.txt", "README", null]) {
+    const matcher = createMatcher(lines, filename);
+    assert.deepEqual(match(matcher, 0, 6), [0, 6, 0, 32], filename);
+    assert.deepEqual(match(matcher, 1, 4), [0, 34, 1, 4], filename);
+  }
+});
+
+// ===== Edits =====
+test("rescans lines below an edit", () => {
+  const matcher = createMatcher(["a(", "b", "c)"]);
+  assert.deepEqual(match(matcher, 0, 1), [0, 1, 2, 1]);
+  matcher.buffer.insertText(1, 0, "/* ");
+  assert.equal(matcher.findMatch(0, 1), null);
+  assert.equal(matcher.getLineState(2), "*/");
+  matcher.buffer.insertText(2, 0, "*/ ");
+  assert.deepEqual(match(matcher, 0, 1), [0, 1, 2, 4]);
+
+  matcher.buffer.filename = "a.py";
+  matcher.buffer.insertText(1, 0, "# (");
+  assert.equal(matcher.getLineState(2), null);
+});
+
+test("finds the innermost enclosing pair", () => {
+  const matcher = createMatcher(['f(a, [b, "]", c], {', "  d })"]);
+  const enclosing = (row, col) => {
+    const pair = matcher.findEnclosing(row, col);
+    return (
+      pair && [pair.open.row, pair.open.col, pair.close.row, pair.close.col]
+    );
+  };
+  assert.deepEqual(enclosing(0, 9), [0, 5, 0, 15]);
+  assert.deepEqual(enclosing(1, 3), [0, 18, 1, 4]);
+  assert.deepEqual(enclosing(0, 17), [0, 1, 1, 5]);
+  assert.equal(enclosing(0, 0), null);
+});
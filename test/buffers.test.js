@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+
+async function openFiles(editor, files) {
+  const dir = makeTempDir();
+  for (const [name, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), text);
+    await editor.openDocument(path.join(dir, name), name);
+  }
+}
+
+// ===== Buffers =====
+test("keeps a cursor per buffer and cycles through them", async (t) => {
+  const { terminal, editor } = startEditor("", { cols: 60 });
+  t.after(() => terminal.destroy());
+  await openFiles(editor, { "a.txt": "alpha\n", "b.txt": "beta\n" });
+
+  assert.equal(editor.documents.length, 2);
+  assert.match(terminal.getLine(0), /a\.txt.*b\.txt/);
+  terminal.press("end");
+  assert.equal(editor.cursor.col, 4);
+  terminal.press("M-n");
+  assert.equal(editor.buffer.getText(), "alpha\n");
+  assert.equal(editor.cursor.col, 0);
+  terminal.press("M-p");
+  assert.equal(editor.buffer.getText(), "beta\n");
+  assert.equal(editor.cursor.col, 4);
+});
+
+test("asks before closing a modified buffer", async (t) => {
+  const { terminal, editor } = startEditor("", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  await openFiles(editor, { "a.txt": "alpha\n", "b.txt": "beta\n" });
+  terminal.type("x");
+
+  let done = editor.closeDocument();
+  await waitFor(() => terminal.find("unsaved changes"));
+  terminal.press("c");
+  assert.equal(await done, false);
+  assert.equal(editor.documents.length, 2);
+
+  done = editor.closeDocument();
+  await waitFor(() => terminal.find("unsaved changes"));
+  terminal.press("n");
+  assert.equal(await done, true);
+  assert.deepEqual(
+    editor.documents.map((document) => document.name),
+    ["a.txt"]
+  );
+});
+
+// ===== Search =====
+test("selects search matches forwards and backwards", async (t) => {
+  const { terminal, editor } = startEditor("one Two\ntwo\nthree two");
+  t.after(() => terminal.destroy());
+  const selected = () => {
+    const { startRow, startCol, endCol } = editor.selection.getBounds();
+    return [startRow, startCol, endCol];
+  };
+
+  const done = editor.search();
+  await waitFor(() => editor.ui.commandLine.getContent() === "Search: ");
+  terminal.type("two");
+  terminal.press("enter");
+  await done;
+  assert.deepEqual(selected(), [0, 4, 7]);
+
+  terminal.press("f3");
+  assert.deepEqual(selected(), [1, 0, 3]);
+  terminal.press("f3", "f3");
+  assert.deepEqual(selected(), [0, 4, 7]);
+  terminal.press("S-f3");
+  assert.deepEqual(selected(), [2, 6, 9]);
+  assert.equal(editor.cursor.row, 2);
+});
+
+test("reports when nothing matches", (t) => {
+  const { terminal, editor } = startEditor("abc");
+  t.after(() => terminal.destroy());
+  editor.ui.searchTerm = "xyz";
+  terminal.press("f3");
+  assert.equal(editor.selection.active, false);
+  assert.ok(terminal.find('No matches for "xyz"'));
+});
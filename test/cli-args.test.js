@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+const { parseArgs } = require("../src/core/cli-args");
+
+const parse = (argv, existing = []) =>
+  parseArgs(argv, { exists: (file) => existing.includes(file) });
+
+// ===== Arguments =====
+test("splits line and column off file arguments", () => {
+  assert.deepEqual(parse(["a.js:12:5", "b.js:3", "+7", "c.js", "d.js"]).files, [
+    { path: "a.js", line: 12, col: 5 },
+    { path: "b.js", line: 3, col: null },
+    { path: "c.js", line: 7, col: null },
+    { path: "d.js", line: null, col: null },
+  ]);
+  assert.deepEqual(parse(["notes:2"], ["notes:2"]).files, [
+    { path: "notes:2", line: null, col: null },
+  ]);
+});
+
+test("reads flags, inline values and files after --", () => {
+  const result = parse([
+    "--readonly",
+    "--wait",
+    "--encoding=latin-1",
+    "--no-session",
+    "-",
+    "--",
+    "--help",
+    "+3",
+  ]);
+  assert.equal(result.error, null);
+  assert.equal(result.readonly, true);
+  assert.equal(result.wait, true);
+  assert.equal(result.encoding, "latin1");
+  assert.equal(result.session, false);
+  assert.equal(result.stdin, true);
+  assert.equal(result.help, false);
+  assert.deepEqual(
+    result.files.map((file) => file.path),
+    ["--help", "+3"]
+  );
+
+  const dir = makeTempDir();
+  assert.equal(parseArgs(["--workspace", dir]).workspace, dir);
+});
+
+test("reports bad arguments instead of throwing", () => {
+  const errors = [
+    [["--bogus"], "Unknown option: --bogus"],
+    [["--encoding"], "--encoding needs an encoding name"],
+    [["--encoding", "klingon"], "Unknown encoding: klingon"],
+    [["--workspace", "/no/such/dir"], "Not a directory: /no/such/dir"],
+    [["+5"], "+5 must be followed by a file"],
+    [["--client"], "--client needs files to open"],
+    [["--rpc-stdio", "-"], "--rpc-stdio can't be combined with - or --client"],
+  ];
+  for (const [argv, error] of errors) {
+    assert.equal(parse(argv).error, error);
+  }
+});
+
+// ===== Read-only Buffers =====
+test("reloads a read-only buffer from disk", async () => {
+  const file = path.join(makeTempDir(), "locked.txt");
+  fs.writeFileSync(file, "one\n");
+  const buffer = new Buffer();
+  await buffer.loadFile(file);
+  buffer.readOnly = true;
+
+  buffer.insert(0, "edit ");
+  assert.equal(buffer.getText(), "one\n");
+  fs.writeFileSync(file, "two\n");
+  assert.equal(await buffer.reloadFromDisk(), true);
+  assert.equal(buffer.getText(), "two\n");
+  assert.equal(buffer.modified, false);
+  assert.equal((await buffer.checkDisk()).status, "unchanged");
+
+  buffer.recover({ text: "recovered\n", format: {} });
+  assert.equal(buffer.getText(), "recovered\n");
+  buffer.delete({ start: 0, end: 3 });
+  assert.equal(buffer.getText(), "recovered\n");
+});
+
+test("keeps a file read-only when it is opened again", async (t) => {
+  const file = path.join(makeTempDir(), "locked.txt");
+  fs.writeFileSync(file, "one\n");
+  const { terminal, editor } = startEditor("");
+  t.after(() => terminal.destroy());
+  const open = (argv) => editor.openCommandLineFiles(parseArgs(argv));
+
+  const [document] = await open(["--readonly", file]);
+  assert.equal(document.buffer.readOnly, true);
+  assert.deepEqual(await open([file]), [document]);
+  assert.equal(document.buffer.readOnly, true);
+
+  const other = path.join(makeTempDir(), "other.txt");
+  const [created] = await open([other]);
+  assert.equal(created.buffer.readOnly, false);
+});
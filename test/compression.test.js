@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { startEditor, makeTempDir } = require("./helpers");
+const { Buffer: TextBuffer } = require("../src/core/buffer");
+const {
+  detectCompression,
+  detectUnsupportedCompression,
+} = require("../src/core/compression");
+
+// ===== Detection =====
+test("recognises gzip by magic bytes, or by extension when empty", () => {
+  const gzip = zlib.gzipSync("x");
+  assert.equal(detectCompression("notes.txt", gzip), "gzip");
+  assert.equal(detectCompression("notes.gz", Buffer.from("x")), null);
+  assert.equal(detectCompression("notes.gz", Buffer.alloc(0)), "gzip");
+  assert.equal(detectUnsupportedCompression(Buffer.from("BZh91AY")), "bzip2");
+  assert.equal(detectUnsupportedCompression(gzip), null);
+});
+
+// ===== Files =====
+test("edits gzip files in place", async () => {
+  const file = path.join(makeTempDir(), "log.txt.gz");
+  fs.writeFileSync(file, zlib.gzipSync("one\ntwo\n"));
+  const buffer = new TextBuffer();
+  assert.equal(await buffer.loadFile(file), true);
+  assert.equal(buffer.getText(), "one\ntwo\n");
+  assert.equal(buffer.format.compression, "gzip");
+
+  buffer.insertText(1, 0, "new ");
+  assert.equal(await buffer.saveFile(), true);
+  assert.equal(
+    zlib.gunzipSync(fs.readFileSync(file)).toString(),
+    "one\nnew two\n"
+  );
+});
+
+test("refuses bzip2 files", async (t) => {
+  const file = path.join(makeTempDir(), "data.bz2");
+  fs.writeFileSync(file, "BZh91AY&SY\u0000\u0001");
+  const buffer = new TextBuffer();
+  assert.equal(await buffer.loadFile(file), false);
+  assert.equal(buffer.loadError, "bzip2 files are not supported");
+
+  const { terminal, editor } = startEditor("", { cols: 100 });
+  t.after(() => terminal.destroy());
+  await editor.openDocument(file, "data.bz2");
+  assert.equal(editor.buffer.filename, null);
+  assert.ok(terminal.find("bzip2 files are not supported"));
+});
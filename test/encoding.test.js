@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const {
+  parseEncodingName,
+  detectEncoding,
+  isBinaryContent,
+  decode,
+  encode,
+  countUnencodable,
+  trimPartialUtf8,
+} = require("../src/core/encoding");
+
+// ===== Detection =====
+test("detects encodings from byte order marks and content", () => {
+  const bytes = (...values) => Buffer.from(values);
+  assert.equal(detectEncoding(bytes(0xef, 0xbb, 0xbf, 0x61)), "utf8");
+  assert.equal(detectEncoding(bytes(0xff, 0xfe, 0x61, 0)), "utf16le");
+  assert.equal(detectEncoding(bytes(0xfe, 0xff, 0, 0x61)), "utf16be");
+  assert.equal(detectEncoding(Buffer.from("hello", "utf16le")), "utf16le");
+  assert.equal(detectEncoding(Buffer.from("héllo")), "utf8");
+  assert.equal(detectEncoding(bytes(0x68, 0xe9, 0x6c)), "latin1");
+  assert.equal(isBinaryContent(Buffer.from("hello", "utf16le")), false);
+  assert.equal(isBinaryContent(Buffer.from("one\0two three")), true);
+});
+
+test("trims only a UTF-8 sequence cut off at the end", () => {
+  const bytes = Buffer.from("a€");
+  const trimmed = (length) => trimPartialUtf8(bytes.subarray(0, length));
+  assert.equal(trimmed(2).length, 1);
+  assert.equal(trimmed(3).length, 1);
+  assert.equal(trimmed(4).length, 4);
+  // Stray continuation bytes and invalid leads are left to detection
+  assert.equal(trimPartialUtf8(Buffer.from([0x61, 0x80])).length, 2);
+  assert.equal(trimPartialUtf8(Buffer.from([0x61, 0xc0])).length, 2);
+});
+
+test("parses encoding names and aliases", () => {
+  assert.equal(parseEncodingName("UTF-8"), "utf8");
+  assert.equal(parseEncodingName(" iso-8859-1 "), "latin1");
+  assert.equal(parseEncodingName("utf16"), "utf16le");
+  assert.equal(parseEncodingName("ebcdic"), null);
+});
+
+// ===== Round Trips =====
+test("carries invalid UTF-8 bytes through as surrogate escapes", () => {
+  const bytes = Buffer.from([0x61, 0xff, 0xc3, 0xa9, 0xc3, 0x62]);
+  const text = decode(bytes, "utf8");
+  assert.equal(text, "a\udcffé\udcc3b");
+  assert.deepEqual(encode(text, "utf8"), bytes);
+});
+
+test("round-trips UTF-16 in both byte orders", () => {
+  const text = "héllo 😀";
+  for (const encoding of ["utf16le", "utf16be"]) {
+    assert.equal(decode(encode(text, encoding), encoding), text);
+  }
+  assert.deepEqual(encode("a", "utf16be"), Buffer.from([0, 0x61]));
+});
+
+test("counts characters Latin-1 cannot hold", () => {
+  const text = decode(Buffer.from([0x61, 0xe9, 0xff]), "utf8");
+  assert.equal(countUnencodable(text, "latin1"), 0);
+  assert.equal(countUnencodable("a€b😀", "latin1"), 3);
+  assert.equal(countUnencodable("a€b", "utf8"), 0);
+  assert.deepEqual(encode("é", "latin1"), Buffer.from([0xe9]));
+});
+
+// ===== Reopen =====
+test("keeps edits when the save before reopening is cancelled", async (t) => {
+  const file = path.join(makeTempDir(), "notes.txt");
+  fs.writeFileSync(file, "caf\xe9\n", "latin1");
+  const { terminal, editor } = startEditor("", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  await editor.openDocument(file, "notes.txt");
+  editor.insertText("edited ");
+  // Leave the stale-write check to notice the change, not the watcher
+  editor.document.fileWatcher.unwatch();
+  fs.writeFileSync(file, "changed\n");
+
+  const done = editor.reopenWithEncoding();
+  await waitFor(() => editor.ui.commandLine.getContent().startsWith("Reopen"));
+  terminal.type("utf8");
+  terminal.press("enter");
+  await waitFor(() => terminal.find("unsaved changes"));
+  terminal.press("y");
+  await waitFor(() => terminal.find("since it was loaded"));
+  terminal.press("n");
+  await done;
+
+  assert.equal(editor.buffer.getText(), "edited café\n");
+  assert.equal(editor.buffer.modified, true);
+  assert.equal(fs.readFileSync(file, "utf8"), "changed\n");
+});
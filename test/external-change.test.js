@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+
+async function openFile(text) {
+  const file = path.join(makeTempDir(), "watched.txt");
+  fs.writeFileSync(file, text);
+  const buffer = new Buffer();
+  await buffer.loadFile(file);
+  return { file, buffer };
+}
+
+// ===== Disk Checks =====
+test("tells touched files from changed and removed ones", async () => {
+  const { file, buffer } = await openFile("one\n");
+  assert.equal((await buffer.checkDisk()).status, "unchanged");
+
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  assert.equal((await buffer.checkDisk()).status, "unchanged");
+
+  fs.writeFileSync(file, "two\n");
+  const disk = await buffer.checkDisk();
+  assert.equal(disk.status, "changed");
+  assert.equal(typeof disk.hash, "string");
+
+  fs.unlinkSync(file);
+  assert.equal((await buffer.checkDisk()).status, "missing");
+});
+
+test("reloads as an undoable step", async () => {
+  const { file, buffer } = await openFile("one\n");
+  buffer.insert(0, "mine ");
+  fs.writeFileSync(file, "theirs\n");
+
+  assert.equal(await buffer.reloadFromDisk(), true);
+  assert.equal(buffer.getText(), "theirs\n");
+  assert.equal(buffer.modified, false);
+  assert.equal((await buffer.checkDisk()).status, "unchanged");
+  buffer.undo();
+  assert.equal(buffer.getText(), "mine one\n");
+});
+
+test("keeps local changes over the disk version", async () => {
+  const { file, buffer } = await openFile("one\n");
+  buffer.insert(0, "mine ");
+  fs.writeFileSync(file, "theirs\n");
+
+  await buffer.keepChangesOverDisk((await buffer.checkDisk()).hash);
+  assert.equal((await buffer.checkDisk()).status, "unchanged");
+  assert.equal(buffer.modified, true);
+  buffer.undo();
+  assert.equal(buffer.modified, true);
+});
+
+// ===== Editor =====
+test("reloads clean buffers and asks about dirty ones", async (t) => {
+  const { file } = await openFile("one\n");
+  const { terminal, editor } = startEditor("", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  await editor.openDocument(file, "watched.txt");
+  editor.document.fileWatcher.unwatch();
+
+  fs.writeFileSync(file, "two\n");
+  await editor.handleExternalChange();
+  assert.equal(editor.buffer.getText(), "two\n");
+
+  editor.insertText("mine ");
+  fs.writeFileSync(file, "three\n");
+  const done = editor.handleExternalChange();
+  await waitFor(() => terminal.find("File changed on disk."));
+  terminal.press("k");
+  await done;
+  assert.equal(editor.buffer.getText(), "mine two\n");
+  assert.equal(editor.buffer.modified, true);
+});
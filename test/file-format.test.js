@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { makeTempDir } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+const {
+  parseContent,
+  resolveLineEndings,
+  serializeContent,
+} = require("../src/core/file-format");
+
+function roundTrip(raw, edit = (text) => text) {
+  const { text, format, lineEndings } = parseContent(raw);
+  const edited = edit(text);
+  return serializeContent(
+    edited,
+    format,
+    resolveLineEndings(edited, format, lineEndings)
+  );
+}
+
+test("detects the line ending style and BOM", () => {
+  assert.deepEqual(parseContent("\uFEFFa\r\nb\r\n").format, {
+    eol: "crlf",
+    bom: true,
+    mixedEol: false,
+  });
+  assert.equal(parseContent("a\rb\rc").text, "a\nb\nc");
+  assert.equal(parseContent("a\rb\rc").format.eol, "cr");
+});
+
+test("writes unchanged content back exactly", () => {
+  for (const raw of [
+    "a\r\nb\nc\r\n",
+    "\uFEFFone\ntwo",
+    "progress 1\rprogress 2\n",
+    "a\rb\r\nc\r",
+    "",
+  ]) {
+    assert.equal(roundTrip(raw), raw);
+  }
+});
+
+test("keeps a lone CR as text in LF and CRLF files", () => {
+  const { text, format } = parseContent("progress 1\rprogress 2\r\ndone\r\n");
+  assert.equal(text, "progress 1\rprogress 2\ndone\n");
+  assert.equal(format.mixedEol, false);
+});
+
+test("keeps the endings of lines around an edit", () => {
+  assert.equal(
+    roundTrip("a\r\nb\nc\r\n", (text) => text.replace("b", "B\nnew")),
+    "a\r\nB\nnew\r\nc\r\n"
+  );
+  // New lines get the most common style
+  assert.equal(
+    roundTrip("a\r\nb\r\nc\n", (text) => `top\n${text}`),
+    "top\r\na\r\nb\r\nc\n"
+  );
+});
+
+test("saves a mixed file without rewriting its line endings", async () => {
+  const file = path.join(makeTempDir(), "mixed.txt");
+  fs.writeFileSync(file, "one\r\ntwo\nthree\r\n");
+
+  const buffer = new Buffer();
+  await buffer.loadFile(file);
+  buffer.insertText(1, 3, "!");
+  await buffer.saveFile();
+  assert.equal(fs.readFileSync(file, "utf8"), "one\r\ntwo!\nthree\r\n");
+
+  buffer.insertText(0, 0, "zero\n");
+  await buffer.saveFile();
+  assert.equal(fs.readFileSync(file, "utf8"), "zero\r\none\r\ntwo!\nthree\r\n");
+
+  buffer.setLineEnding("lf");
+  await buffer.saveFile();
+  assert.equal(fs.readFileSync(file, "utf8"), "zero\none\ntwo!\nthree\n");
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startEditor, waitFor } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+const {
+  parseGoToTarget,
+  findSymbols,
+  matchSymbols,
+} = require("../src/features/go-to");
+
+// On line 5, column 3 of a 20-line buffer
+const POSITION = { row: 4, col: 2, lineCount: 20 };
+
+function target(input) {
+  const result = parseGoToTarget(input, POSITION);
+  return result && [result.row, result.col];
+}
+
+// ===== Targets =====
+test("parses lines, columns and relative moves", () => {
+  assert.deepEqual(target("12"), [11, 0]);
+  assert.deepEqual(target(" 12:7 "), [11, 6]);
+  assert.deepEqual(target(":7"), [4, 6]);
+  assert.deepEqual(target("+3"), [7, 2]);
+  assert.deepEqual(target("-2:1"), [2, 0]);
+  assert.equal(parseGoToTarget("3:4", POSITION).label, "Line 3, column 4");
+});
+
+test("clamps targets to the buffer", () => {
+  assert.deepEqual(target("0"), [0, 0]);
+  assert.deepEqual(target("99"), [19, 0]);
+  assert.deepEqual(target("-10"), [0, 2]);
+  assert.deepEqual(target("+100"), [19, 2]);
+  assert.deepEqual(target("1:0"), [0, 0]);
+});
+
+test("rejects anything else", () => {
+  for (const input of ["", ":", "+", "abc", "1:2:3", "1.5", "+-1", "1:x"]) {
+    assert.equal(parseGoToTarget(input, POSITION), null, input);
+  }
+});
+
+// ===== Symbols =====
+test("finds definitions and matches them fuzzily", () => {
+  const buffer = new Buffer();
+  buffer.insertText(
+    0,
+    0,
+    [
+      "class Parser {",
+      "  async parseLine(text) {",
+      "    if (text) {",
+      "  }",
+      "}",
+      "const parseAll = (lines) => lines.map(parse);",
+      "export function format() {}",
+    ].join("\n")
+  );
+  const symbols = findSymbols(buffer);
+  assert.deepEqual(
+    symbols.map(({ name, kind, row, col }) => [name, kind, row, col]),
+    [
+      ["Parser", "class", 0, 6],
+      ["parseLine", "method", 1, 8],
+      ["parseAll", "function", 5, 6],
+      ["format", "function", 6, 16],
+    ]
+  );
+  assert.deepEqual(
+    matchSymbols(symbols, "pall").map((symbol) => symbol.name),
+    ["parseAll"]
+  );
+  assert.equal(matchSymbols(symbols, " ").length, 4);
+});
+
+// ===== Overlay =====
+const TEXT = Array.from({ length: 200 }, (_, i) =>
+  i === 120 ? "function target() {" : `line ${i + 1}`
+).join("\n");
+
+function openGoTo(t) {
+  const { terminal, editor } = startEditor(TEXT, { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  terminal.press("down", "down", "right");
+  terminal.press("C-g");
+  return { terminal, editor };
+}
+
+test("previews the target while typing", async (t) => {
+  const { terminal, editor } = openGoTo(t);
+  await waitFor(() => terminal.find("Go To"));
+
+  terminal.type("150");
+  await waitFor(() => editor.cursor.row === 149);
+  assert.ok(editor.ui.viewport.top > 100);
+  // The text around the target shows above the overlay
+  assert.equal(terminal.getLine(8).trimEnd(), " 150 line 150");
+  terminal.type(":4");
+  await waitFor(() => editor.cursor.col === 3);
+
+  terminal.press("enter");
+  await waitFor(() => !editor.overlayHost.isActive());
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [149, 3]);
+});
+
+test("puts the cursor and view back on Esc", async (t) => {
+  const { terminal, editor } = openGoTo(t);
+  await waitFor(() => terminal.find("Go To"));
+
+  terminal.type("@targ");
+  await waitFor(() => editor.cursor.row === 120);
+  assert.ok(terminal.find("function · line 121"));
+  assert.notEqual(editor.ui.viewport.top, 0);
+
+  terminal.press("escape");
+  await waitFor(() => !editor.overlayHost.isActive());
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [2, 1]);
+  assert.equal(editor.ui.viewport.top, 0);
+  assert.equal(terminal.find("Go To"), null);
+  assert.equal(terminal.getLine(1).trimEnd(), "   1 line 1");
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ===== Test Fixture =====
+// Each test file runs in its own process, so requiring this first gives
+// the file a user data directory of its own, removed when it finishes
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "silent-edit-test-"));
+process.env.SILENT_EDIT_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { TextEditor } = require("../src/core/editor");
+const { VirtualTerminal } = require("../src/core/virtual-terminal");
+
+// Sessions started by the current test, torn down once it finishes. The
+// screen goes first so nothing draws from files the editor has closed.
+const sessions = [];
+test.afterEach(() =>
+  Promise.all(
+    sessions.splice(0).map(({ terminal, editor }) => {
+      terminal.destroy();
+      return editor.destroy();
+    })
+  )
+);
+
+// An editor on a virtual terminal showing `text` with the cursor at the
+// start. options.settings is written to settings.json first.
+function startEditor(text, options = {}) {
+  const { settings = {}, cols = 40, rows = 8 } = options;
+  fs.writeFileSync(
+    path.join(dataDir, "settings.json"),
+    JSON.stringify(settings)
+  );
+  const terminal = new VirtualTerminal({ cols, rows });
+  const editor = new TextEditor({ screen: terminal.screen });
+  sessions.push({ terminal, editor });
+  editor.insertText(text);
+  editor.cursor.moveToStart();
+  editor.ui.render();
+  return { terminal, editor };
+}
+
+// A scratch directory for files a test reads and writes
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(dataDir, "files-"));
+}
+
+// Lets file I/O and prompts run until `condition` holds. Always yields
+// once first, through to the immediates: blessed starts listening for
+// prompt input with setImmediate, which a timer alone can beat.
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  do {
+    if (Date.now() - start > timeout) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await new Promise((resolve) => setImmediate(resolve));
+  } while (!condition());
+}
+
+module.exports = { dataDir, startEditor, makeTempDir, waitFor };
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const { BinaryDocument } = require("../src/core/binary-document");
+const { parseBytePattern } = require("../src/features/hex-view");
+
+const PNG = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0x49,
+  0x48, 0x44, 0x52, 0x00, 0xff,
+]);
+
+// ===== Binary Document =====
+test("overwrites bytes with undo and a save point", () => {
+  const doc = new BinaryDocument(PNG);
+  assert.equal(doc.overwrite(1, 0x51), true);
+  assert.equal(doc.overwrite(1, 0x51), false);
+  assert.equal(doc.overwrite(PNG.length, 0), false);
+  doc.markSaved();
+  assert.equal(doc.undo(), 1);
+  assert.equal(doc.isModified(), true);
+  assert.equal(doc.getByte(1), 0x50);
+  assert.equal(doc.redo(), 1);
+  assert.equal(doc.isModified(), false);
+  assert.equal(doc.length, PNG.length);
+});
+
+test("finds byte patterns and wraps around", () => {
+  const doc = new BinaryDocument(PNG);
+  assert.equal(doc.find(parseBytePattern("0d 0a"), -1), 4);
+  assert.equal(doc.find(parseBytePattern("0D0A"), 4), 4);
+  assert.equal(doc.find(parseBytePattern('"IHDR"'), 0), 12);
+  assert.equal(doc.find(parseBytePattern("ab"), 0), -1);
+  assert.equal(parseBytePattern("abc"), null);
+  assert.equal(parseBytePattern('""'), null);
+});
+
+// ===== Hex Mode =====
+test("opens binary files in hex mode and saves exact bytes", async (t) => {
+  const file = path.join(makeTempDir(), "image.png");
+  fs.writeFileSync(file, PNG);
+  const { terminal, editor } = startEditor("", { cols: 80, rows: 8 });
+  t.after(() => terminal.destroy());
+  await editor.openDocument(file, "image.png");
+
+  assert.equal(editor.isHexMode(), true);
+  assert.equal(
+    terminal.getLine(1).trimEnd(),
+    "00000000  89 50 4e 47 0d 0a 1a 0a  00 00 00 0d 49 48 44 52  |.PNG........IHDR|"
+  );
+  terminal.press("right");
+  terminal.type("51");
+  terminal.press("tab");
+  terminal.type("X");
+  terminal.press("C-s");
+  await waitFor(() => !editor.buffer.modified);
+
+  const expected = Buffer.from(PNG);
+  expected[1] = 0x51;
+  expected[2] = 0x58;
+  assert.deepEqual(fs.readFileSync(file), expected);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { makeTempDir } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+const { History } = require("../src/core/history");
+const { HistoryStore } = require("../src/core/history-store");
+
+test("loads history only for the content it was saved with", async () => {
+  const dir = makeTempDir();
+  const store = new HistoryStore({ directory: path.join(dir, "undo") });
+  const file = path.join(dir, "notes.txt");
+  const history = new History();
+
+  assert.equal(await store.save(file, "hash-1", history), true);
+  assert.deepEqual(await store.load(file, "hash-1"), history.serialize());
+  // A different hash means the file changed; the entry is dropped
+  assert.equal(await store.load(file, "hash-2"), null);
+  assert.equal(fs.existsSync(store.entryPath(file)), false);
+});
+
+test("discards unreadable entries", async () => {
+  const dir = makeTempDir();
+  const store = new HistoryStore({ directory: dir });
+  const file = path.join(dir, "notes.txt");
+  fs.writeFileSync(store.entryPath(file), "{not json");
+
+  assert.equal(await store.load(file, "hash"), null);
+  assert.equal(fs.existsSync(store.entryPath(file)), false);
+});
+
+test("brings undo back when the file reopens unchanged", async () => {
+  const dir = makeTempDir();
+  const store = new HistoryStore({ directory: path.join(dir, "undo") });
+  const file = path.join(dir, "notes.txt");
+  fs.writeFileSync(file, "one");
+
+  const buffer = new Buffer({ historyStore: store });
+  await buffer.loadFile(file);
+  buffer.insertText(0, 3, " two");
+  assert.equal(await buffer.saveFile(), true);
+
+  const reopened = new Buffer({ historyStore: store });
+  await reopened.loadFile(file);
+  reopened.undo();
+  assert.equal(reopened.getText(), "one");
+
+  // Changed behind the editor's back: the history no longer applies
+  fs.writeFileSync(file, "three");
+  const changed = new Buffer({ historyStore: store });
+  await changed.loadFile(file);
+  assert.equal(changed.undo(), null);
+});
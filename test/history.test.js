@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startEditor } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+
+// ===== Transactions =====
+test("groups nested transactions into one undo step", () => {
+  const buffer = new Buffer();
+  buffer.transact("paste", () => {
+    buffer.insertText(0, 0, "one\n");
+    buffer.transact("edit", () => buffer.insertText(1, 0, "two"));
+  });
+  buffer.insertText(1, 3, "!");
+  assert.equal(buffer.getText(), "one\ntwo!");
+  buffer.undo();
+  assert.equal(buffer.getText(), "one\ntwo");
+  buffer.undo();
+  assert.equal(buffer.getText(), "");
+  assert.equal(buffer.undo(), null);
+  buffer.redo();
+  assert.equal(buffer.getText(), "one\ntwo");
+});
+
+test("coalesces typing and puts the cursor back", (t) => {
+  const { terminal, editor } = startEditor("");
+  t.after(() => terminal.destroy());
+
+  terminal.type("abc");
+  terminal.press("C-z");
+  assert.equal(editor.buffer.getText(), "");
+  assert.equal(editor.cursor.col, 0);
+  terminal.press("C-y");
+  assert.equal(editor.buffer.getText(), "abc");
+  assert.equal(editor.cursor.col, 3);
+});
+
+test("undoes a multi-cursor edit in one step", (t) => {
+  const { terminal, editor } = startEditor("foo bar foo\nfoo");
+  t.after(() => terminal.destroy());
+
+  terminal.press("C-d", "C-d", "C-d");
+  terminal.type("x");
+  assert.equal(editor.buffer.getText(), "x bar x\nx");
+  terminal.press("C-z");
+  assert.equal(editor.buffer.getText(), "foo bar foo\nfoo");
+  assert.equal(editor.selection.ranges.length, 3);
+});
+
+test("undoes a line swap in one step", (t) => {
+  const { terminal, editor } = startEditor("a\nb\nc");
+  t.after(() => terminal.destroy());
+
+  terminal.press("C-down");
+  assert.equal(editor.buffer.getText(), "b\na\nc");
+  assert.equal(editor.cursor.row, 1);
+  terminal.press("C-z");
+  assert.equal(editor.buffer.getText(), "a\nb\nc");
+  assert.equal(editor.cursor.row, 0);
+});
+
+test("keeps the history browser closed for read-only buffers", (t) => {
+  const { terminal, editor } = startEditor("abc");
+  t.after(() => terminal.destroy());
+
+  terminal.type("d");
+  editor.buffer.readOnly = true;
+  terminal.press("C-u");
+  assert.equal(editor.overlayHost.isActive(), false);
+  assert.ok(terminal.find("Buffer is read-only"));
+  assert.equal(editor.buffer.getText(), "dabc");
+});
+
+// ===== Undo Tree =====
+// Typing coalesces only while the cursor stays where the last edit left it
+function createBuffer() {
+  const buffer = new Buffer();
+  buffer.setStateProvider(() => ({ cursor: buffer.getText().length }));
+  return buffer;
+}
+
+function typeInto(buffer, text) {
+  buffer.transact("typing", () => {
+    buffer.insert(buffer.getText().length, text);
+  });
+}
+
+test("keeps the undone branch when editing after an undo", () => {
+  const buffer = createBuffer();
+  typeInto(buffer, "a");
+  buffer.history.seal();
+  typeInto(buffer, "b");
+  const first = buffer.history.currentId;
+  buffer.undo();
+  typeInto(buffer, "c");
+  assert.equal(buffer.getText(), "ac");
+
+  assert.equal(buffer.getTextAtHistory(first), "ab");
+  assert.equal(buffer.getText(), "ac");
+  buffer.jumpToHistory(first);
+  assert.equal(buffer.getText(), "ab");
+  assert.equal(buffer.history.getRoot().childIds.length, 1);
+  assert.equal(buffer.history.getEntries().length, 4);
+});
+
+test("coalesces only typing where the cursor was left", () => {
+  const buffer = createBuffer();
+  typeInto(buffer, "a");
+  typeInto(buffer, "b");
+  assert.equal(buffer.history.getEntries().length, 2);
+
+  buffer.transact("paste", () => buffer.insert(2, "c"));
+  buffer.history.markSaved();
+  typeInto(buffer, "d");
+  typeInto(buffer, "e");
+  const kinds = buffer.history.getEntries().map((entry) => entry.node.kind);
+  assert.deepEqual(kinds, ["root", "typing", "paste", "typing"]);
+
+  buffer.undo();
+  assert.equal(buffer.getText(), "abc");
+});
+
+test("restores a serialized tree at its saved node", () => {
+  const buffer = createBuffer();
+  typeInto(buffer, "a");
+  buffer.history.markSaved();
+  typeInto(buffer, "b");
+
+  const restored = createBuffer();
+  restored.content.insert(0, "a");
+  assert.equal(
+    restored.history.restore(
+      JSON.parse(JSON.stringify(buffer.history.serialize()))
+    ),
+    true
+  );
+  assert.equal(restored.history.isAtSavePoint(), true);
+  restored.redo();
+  assert.equal(restored.getText(), "ab");
+  restored.undo();
+  restored.undo();
+  assert.equal(restored.getText(), "");
+
+  assert.equal(restored.history.restore({ nodes: [{ id: 5 }] }), false);
+  assert.equal(restored.history.getEntries().length, 1);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const { JsonRpcConnection, invalidParams } = require("../src/core/json-rpc");
+
+// A connection fed from `lines`; resolves to the parsed replies once
+// `count` have been written
+async function exchange(methods, lines, count) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const replies = [];
+  let pending = "";
+  output.setEncoding("utf8");
+  output.on("data", (chunk) => {
+    pending += chunk;
+    const parts = pending.split("\n");
+    pending = parts.pop();
+    replies.push(...parts.map((line) => JSON.parse(line)));
+  });
+  new JsonRpcConnection(
+    input,
+    output,
+    new Map(Object.entries(methods))
+  ).start();
+  // Split mid-line to check the framing
+  const text = lines.join("\n") + "\n";
+  input.write(text.slice(0, 7));
+  input.write(text.slice(7));
+  await waitFor(() => replies.length >= count);
+  return replies;
+}
+
+// ===== Framing =====
+test("answers one JSON object per line", async () => {
+  const replies = await exchange(
+    { add: ({ a, b }) => a + b },
+    [
+      '{"jsonrpc":"2.0","id":1,"method":"add","params":{"a":1,"b":2}}',
+      "",
+      '{"jsonrpc":"2.0","method":"add","params":{"a":0,"b":0}}',
+      '{"jsonrpc":"2.0","id":"x","method":"add","params":{"a":2,"b":2}}',
+    ],
+    2
+  );
+  assert.deepEqual(replies, [
+    { jsonrpc: "2.0", id: 1, result: 3 },
+    { jsonrpc: "2.0", id: "x", result: 4 },
+  ]);
+});
+
+test("rejects malformed and batch requests", async () => {
+  const replies = await exchange(
+    {},
+    [
+      "{not json",
+      '{"id":2,"method":"add"}',
+      '[{"jsonrpc":"2.0","id":3,"method":"add"}]',
+      '{"jsonrpc":"2.0","id":4,"method":"add"}',
+    ],
+    4
+  );
+  assert.deepEqual(
+    replies.map(({ id, error }) => [id, error.code]),
+    [
+      [null, -32700],
+      [2, -32600],
+      [null, -32600],
+      [4, -32601],
+    ]
+  );
+});
+
+// ===== Errors =====
+test("sends only integer error codes", async () => {
+  const replies = await exchange(
+    {
+      params: () => {
+        throw invalidParams("a must be a number");
+      },
+      read: () => fs.promises.readFile(path.join(makeTempDir(), "missing")),
+      fail: () => {
+        throw new Error("Buffer is read-only");
+      },
+    },
+    ["params", "read", "fail"].map((method, id) =>
+      JSON.stringify({ jsonrpc: "2.0", id, method })
+    ),
+    3
+  );
+  replies.sort((a, b) => a.id - b.id);
+  assert.deepEqual(replies[0].error, {
+    code: -32602,
+    message: "a must be a number",
+  });
+  assert.equal(replies[1].error.code, -32000);
+  assert.deepEqual(replies[1].error.data, { code: "ENOENT" });
+  assert.deepEqual(replies[2].error, {
+    code: -32000,
+    message: "Buffer is read-only",
+  });
+});
+
+// ===== Automation =====
+test("refuses to save a read-only buffer under a new name", async (t) => {
+  const { terminal, editor } = startEditor("text");
+  t.after(() => terminal.destroy());
+  editor.buffer.readOnly = true;
+  const target = path.join(makeTempDir(), "out.txt");
+
+  await assert.rejects(
+    editor.automation.methods.get("save")({ path: target }),
+    /read-only/
+  );
+  assert.equal(editor.buffer.filename, null);
+  assert.equal(fs.existsSync(target), false);
+});
+
+test("asks before a save replaces another file", async (t) => {
+  const { terminal, editor } = startEditor("new text", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  const target = path.join(makeTempDir(), "taken.txt");
+  fs.writeFileSync(target, "keep me");
+  const save = editor.automation.methods.get("save");
+
+  const cancelled = save({ path: target });
+  await waitFor(() => terminal.find("File already exists."));
+  terminal.press("n");
+  assert.deepEqual(await cancelled, { saved: false });
+  assert.equal(fs.readFileSync(target, "utf8"), "keep me");
+  assert.equal(editor.buffer.filename, null);
+
+  const replaced = save({ path: target });
+  await waitFor(() => terminal.find("File already exists."));
+  terminal.press("o");
+  assert.deepEqual(await replaced, { saved: true });
+  assert.equal(fs.readFileSync(target, "utf8"), "new text");
+  assert.equal(editor.buffer.filename, target);
+});
+
+test("keeps the buffer's name when a save fails", async (t) => {
+  const { terminal, editor } = startEditor("text");
+  t.after(() => terminal.destroy());
+  const target = path.join(makeTempDir(), "missing-dir", "a.txt");
+
+  const result = await editor.automation.methods.get("save")({ path: target });
+  assert.deepEqual(result, { saved: false });
+  assert.equal(editor.buffer.filename, null);
+  assert.equal(editor.buffer.modified, true);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+
+async function openLarge(text) {
+  const file = path.join(makeTempDir(), "big.txt");
+  fs.writeFileSync(file, text);
+  const buffer = new Buffer({ largeFileThreshold: 1 });
+  await buffer.loadFile(file);
+  await buffer.indexing;
+  return { file, buffer };
+}
+
+// ===== Large Files =====
+test("reads lines on demand and saves edits around them", async () => {
+  const lines = Array.from({ length: 2000 }, (_, i) => `line ${i}`);
+  const { file, buffer } = await openLarge(lines.join("\n") + "\n");
+  assert.equal(buffer.largeFile, true);
+  assert.equal(buffer.getLineCount(), 2001);
+  assert.equal(buffer.getLine(1500), "line 1500");
+
+  buffer.insertText(1500, 0, "edited ");
+  buffer.deleteLine(10);
+  assert.equal(await buffer.saveFile(), true);
+  lines[1500] = "edited line 1500";
+  lines.splice(10, 1);
+  assert.equal(fs.readFileSync(file, "utf8"), lines.join("\n") + "\n");
+});
+
+test("detects UTF-8 when a character straddles the sample", async () => {
+  // The encoding is guessed from the first 64 KiB, which ends inside "é"
+  const text = "a".repeat(64 * 1024 - 8) + "\nhello é\n";
+  assert.equal(text.indexOf("é"), 64 * 1024 - 1);
+  const { file, buffer } = await openLarge(text);
+  assert.equal(buffer.format.encoding, "utf8");
+  assert.equal(buffer.getLine(1), "hello é");
+  buffer.insertText(1, 0, "> ");
+  assert.equal(await buffer.saveFile(), true);
+  assert.equal(fs.readFileSync(file, "utf8"), text.replace("hello", "> hello"));
+});
+
+test("is read-only until the line index is complete", async () => {
+  const file = path.join(makeTempDir(), "big.txt");
+  fs.writeFileSync(file, "x\n".repeat(600000));
+  const buffer = new Buffer({ largeFileThreshold: 1 });
+  await buffer.loadFile(file);
+  assert.equal(buffer.isReadOnly(), true);
+  buffer.insert(0, "y");
+  assert.equal(buffer.modified, false);
+  await buffer.indexing;
+  assert.equal(buffer.isReadOnly(), false);
+});
+
+test("keeps edits in front of CRLF line breaks", async () => {
+  const { file, buffer } = await openLarge("abc\r\ndef\r\n\r\nghi\r\n");
+  assert.deepEqual(
+    [0, 1, 2, 3, 4].map((row) => buffer.getLine(row)),
+    ["abc", "def", "", "ghi", ""]
+  );
+  assert.deepEqual(buffer.getLines(1, 99), ["def", "", "ghi", ""]);
+  assert.deepEqual(buffer.insertText(0, 99, "X"), { row: 0, col: 4 });
+  buffer.insertText(2, 0, "new\n");
+  buffer.deleteChar(2, 0);
+  assert.equal(
+    buffer.getTextRange({ startRow: 0, startCol: 0, endRow: 1, endCol: 3 }),
+    "abcX\ndef"
+  );
+  assert.equal(await buffer.saveFile(), true);
+  assert.equal(fs.readFileSync(file, "utf8"), "abcX\r\ndefnew\r\n\r\nghi\r\n");
+});
+
+test("types at the end of a CRLF line", async (t) => {
+  const file = path.join(makeTempDir(), "big.txt");
+  fs.writeFileSync(file, "abc\r\ndef\r\n\r\nghi\r\n");
+  const { terminal, editor } = startEditor("", {
+    settings: { largeFileMB: 0.000001 },
+  });
+  t.after(() => terminal.destroy());
+  await editor.openDocument(file, "big.txt");
+  await waitFor(() => !editor.buffer.isReadOnly());
+  assert.equal(editor.buffer.largeFile, true);
+
+  terminal.press("end");
+  assert.equal(editor.cursor.col, 3);
+  terminal.type("X");
+  terminal.press("enter");
+  terminal.type("Y");
+  terminal.press("C-s");
+  await waitFor(() => !editor.buffer.modified);
+  assert.equal(
+    fs.readFileSync(file, "utf8"),
+    "abcX\r\nY\r\ndef\r\n\r\nghi\r\n"
+  );
+});
+
+test("searches in batches of lines", async (t) => {
+  const lines = Array.from({ length: 50000 }, (_, i) => `line ${i}`);
+  lines[45000] = "a Needle here";
+  lines[10] = "needle";
+  const file = path.join(makeTempDir(), "big.txt");
+  fs.writeFileSync(file, lines.join("\n"));
+  const { terminal, editor } = startEditor("", {
+    settings: { largeFileMB: 0.000001 },
+  });
+  t.after(() => terminal.destroy());
+  await editor.openDocument(file, "big.txt");
+  editor.ui.searchTerm = "needle";
+
+  editor.cursor.row = 20;
+  terminal.press("f3");
+  await waitFor(() => editor.cursor.row !== 20);
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [45000, 8]);
+  terminal.press("f3");
+  await waitFor(() => editor.cursor.row !== 45000);
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [10, 6]);
+
+  editor.ui.searchTerm = "missing";
+  terminal.press("S-f3");
+  await waitFor(() => terminal.find('No matches for "missing"'));
+  assert.equal(editor.cursor.row, 10);
+});
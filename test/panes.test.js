@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startEditor } = require("./helpers");
+const { PaneLayout } = require("../src/core/pane-layout");
+
+const AREA = { left: 0, top: 0, width: 41, height: 20 };
+
+// ===== Layout =====
+test("splits panes side by side and stacked", () => {
+  const [a, b, c] = ["a", "b", "c"];
+  const layout = new PaneLayout(a);
+  layout.split(a, "vertical", b);
+  layout.split(b, "horizontal", c);
+  assert.deepEqual(layout.getPanes(), [a, b, c]);
+
+  const rects = layout.computeRects(AREA);
+  assert.deepEqual(rects.get(a), { left: 0, top: 0, width: 20, height: 20 });
+  assert.deepEqual(rects.get(b), { left: 21, top: 0, width: 20, height: 10 });
+  assert.deepEqual(rects.get(c), { left: 21, top: 10, width: 20, height: 10 });
+});
+
+test("resizes the nearest split and gives closed space to the sibling", () => {
+  const [a, b, c] = ["a", "b", "c"];
+  const layout = new PaneLayout(a);
+  layout.split(a, "vertical", b);
+  layout.split(b, "horizontal", c);
+
+  assert.equal(layout.resize(c, "vertical", 0.2), true);
+  assert.equal(layout.computeRects(AREA).get(a).width, 12);
+  for (let i = 0; i < 10; i++) layout.resize(a, "vertical", -0.2);
+  assert.equal(layout.root.ratio, 0.1);
+  assert.equal(layout.resize(a, "horizontal", 0.1), false);
+
+  layout.remove(b);
+  assert.deepEqual(layout.getPanes(), [a, c]);
+  assert.equal(layout.remove(a), true);
+  assert.equal(layout.remove(c), false);
+  assert.deepEqual(layout.computeRects(AREA).get(c), AREA);
+});
+
+// ===== Editor =====
+test("shows one buffer in two panes with their own cursors", (t) => {
+  const { terminal, editor } = startEditor("one\ntwo\nthree", { cols: 41 });
+  t.after(() => terminal.destroy());
+
+  terminal.press("M-v");
+  assert.equal(editor.layout.getPanes().length, 2);
+  terminal.press("down", "down", "end");
+  terminal.type("!");
+  assert.match(terminal.getLine(3), /three!.*three!/);
+
+  terminal.press("M-o");
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [0, 0]);
+  terminal.type(">");
+  assert.equal(editor.buffer.getText(), ">one\ntwo\nthree!");
+
+  terminal.press("M-w");
+  assert.equal(editor.layout.getPanes().length, 1);
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [2, 6]);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PieceTable } = require("../src/core/piece-table");
+
+function lines(table) {
+  const result = [];
+  for (let row = 0; row < table.getLineCount(); row++) {
+    result.push(table.getLine(row));
+  }
+  return result;
+}
+
+test("inserts and deletes by offset", () => {
+  const table = new PieceTable("hello world");
+  table.insert(5, ",");
+  table.insert(table.length, "!");
+  assert.equal(table.getText(), "hello, world!");
+  assert.equal(table.delete(0, 7), "hello, ");
+  assert.equal(table.getText(), "world!");
+  assert.equal(table.delete(99, 1), "");
+  assert.equal(table.length, 6);
+});
+
+test("keeps the line index across pieces", () => {
+  const table = new PieceTable("one\ntwo\nthree");
+  table.insert(5, "X\nY");
+  assert.deepEqual(lines(table), ["one", "tX", "Ywo", "three"]);
+  table.delete(3, 1);
+  assert.deepEqual(lines(table), ["onetX", "Ywo", "three"]);
+  assert.equal(table.getLineStartOffset(2), 10);
+  assert.deepEqual(table.positionAt(11), { row: 2, col: 1 });
+  assert.equal(table.offsetAt(1, 99), 9);
+});
+
+test("matches a plain string over many edits", () => {
+  const table = new PieceTable("a\nbc\n");
+  let text = "a\nbc\n";
+  let seed = 7;
+  const random = (n) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % n;
+  };
+  for (let i = 0; i < 300; i++) {
+    const offset = random(text.length + 1);
+    if (random(3) === 0) {
+      const length = random(4);
+      table.delete(offset, length);
+      text = text.slice(0, offset) + text.slice(offset + length);
+    } else {
+      const value = ["x", "\n", "yz", "\n\n"][random(4)];
+      table.insert(offset, value);
+      text = text.slice(0, offset) + value + text.slice(offset);
+    }
+  }
+  assert.equal(table.getText(), text);
+  assert.deepEqual(lines(table), text.split("\n"));
+});
+
+test("restores snapshots", () => {
+  const table = new PieceTable("abc");
+  const snapshot = table.snapshot();
+  table.insert(1, "\nX");
+  table.delete(0, 1);
+  table.restore(snapshot);
+  assert.equal(table.getText(), "abc");
+  assert.equal(table.getLineCount(), 1);
+});
+
+test("reports the lowest offset changed since a version", () => {
+  const table = new PieceTable("0123456789");
+  const version = table.version;
+  table.insert(8, "x");
+  table.delete(4, 2);
+  assert.equal(table.changedSince(version), 4);
+  assert.equal(table.changedSince(table.version), Infinity);
+  assert.equal(table.changedSince(version - 1000), 0);
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { makeTempDir } = require("./helpers");
+const { EditorServer, getSocketPath } = require("../src/core/editor-server");
+const { sendRequest } = require("../src/core/editor-client");
+
+function startServer(t, socketPath) {
+  const server = new EditorServer({
+    socketPath,
+    methods: new Map([["echo", async (params) => params]]),
+  });
+  t.after(() => server.stop());
+  return server;
+}
+
+// ===== Server =====
+test("serves requests on a private socket", async (t) => {
+  const socketPath = path.join(makeTempDir(), "run", "server.sock");
+  assert.equal(await startServer(t, socketPath).start(), true);
+  assert.equal(fs.statSync(path.dirname(socketPath)).mode & 0o777, 0o700);
+
+  const result = await sendRequest("echo", { a: 1 }, { socketPath });
+  assert.deepEqual(result, { a: 1 });
+  await assert.rejects(
+    sendRequest("nope", {}, { socketPath }),
+    /Unknown method nope/
+  );
+  assert.equal(await startServer(t, socketPath).start(), false);
+});
+
+// ===== Socket Directory =====
+// Points the default socket into a scratch runtime directory
+function useRuntimeDir(t) {
+  const saved = { ...process.env };
+  t.after(() => {
+    process.env = saved;
+  });
+  delete process.env.SILENT_EDIT_SOCKET;
+  process.env.XDG_RUNTIME_DIR = makeTempDir();
+  return path.join(process.env.XDG_RUNTIME_DIR, "silent-edit");
+}
+
+test("creates the per-user socket directory privately", async (t) => {
+  const dir = useRuntimeDir(t);
+  assert.equal(await startServer(t).start(), true);
+  assert.equal(fs.statSync(dir).mode & 0o777, 0o700);
+  assert.equal(fs.statSync(getSocketPath()).mode & 0o777, 0o600);
+  assert.equal(await sendRequest("echo", 1), 1);
+});
+
+test("refuses a per-user directory others could write to", async (t) => {
+  const dir = useRuntimeDir(t);
+  fs.mkdirSync(dir, { mode: 0o777 });
+  fs.chmodSync(dir, 0o777);
+  assert.equal(await startServer(t).start(), false);
+  assert.equal(fs.existsSync(getSocketPath()), false);
+  await assert.rejects(sendRequest("echo", 1), /mode 0700/);
+
+  fs.rmdirSync(dir);
+  const real = path.join(path.dirname(dir), "real");
+  fs.mkdirSync(real, { mode: 0o700 });
+  fs.symlinkSync(real, dir);
+  assert.equal(await startServer(t).start(), false);
+  await assert.rejects(sendRequest("echo", 1), /not a directory/);
+});
+
+test(
+  "refuses a per-user directory owned by someone else",
+  { skip: process.getuid() !== 0 && "needs root to give the directory away" },
+  async (t) => {
+    const dir = useRuntimeDir(t);
+    fs.mkdirSync(dir, { mode: 0o700 });
+    fs.chownSync(dir, 4242, 4242);
+    assert.equal(await startServer(t).start(), false);
+  }
+);
+
+test("serves a chosen socket in a shared directory", async (t) => {
+  useRuntimeDir(t);
+  const shared = makeTempDir();
+  fs.chmodSync(shared, 0o1777);
+  process.env.SILENT_EDIT_SOCKET = path.join(shared, "editor.sock");
+  assert.equal(await startServer(t).start(), true);
+  assert.equal(await sendRequest("echo", 2), 2);
+
+  const file = path.join(shared, "file.sock");
+  fs.writeFileSync(file, "");
+  await assert.rejects(
+    sendRequest("echo", 1, { socketPath: file }),
+    /Not a socket/
+  );
+  if (process.getuid() === 0) {
+    fs.lchownSync(getSocketPath(), 4242, 4242);
+    await assert.rejects(sendRequest("echo", 1), /owned by someone else/);
+  }
+});
+
+test("prefers $XDG_RUNTIME_DIR for the socket", (t) => {
+  useRuntimeDir(t);
+  process.env.XDG_RUNTIME_DIR = "/run/user/1000";
+  assert.equal(getSocketPath(), "/run/user/1000/silent-edit/server.sock");
+  delete process.env.XDG_RUNTIME_DIR;
+  assert.match(getSocketPath(), /silent-edit-\d+\/server\.sock$/);
+  process.env.SILENT_EDIT_SOCKET = "/tmp/custom.sock";
+  assert.equal(getSocketPath(), "/tmp/custom.sock");
+});
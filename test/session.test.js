@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir } = require("./helpers");
+const { SessionStore } = require("../src/core/session-store");
+
+// ===== Session Store =====
+test("keeps one session per workspace root", async () => {
+  const store = new SessionStore({ directory: makeTempDir() });
+  const session = { documents: [], active: -1 };
+  assert.equal(await store.save("/work/a", session), true);
+  assert.equal(
+    store.saveSync("/work/b", { ...session, searchTerm: "x" }),
+    true
+  );
+
+  assert.equal((await store.load("/work/a")).root, "/work/a");
+  assert.equal((await store.load("/work/b")).searchTerm, "x");
+  assert.equal(await store.load("/work/c"), null);
+  assert.equal(fs.readdirSync(store.directory).length, 2);
+  for (const root of ["/work/a", "/work/b"]) {
+    assert.equal(fs.statSync(store.entryPath(root)).mode & 0o777, 0o600);
+  }
+
+  fs.writeFileSync(store.entryPath("/work/a"), '{"version":1}');
+  assert.equal(await store.load("/work/a"), null);
+});
+
+// ===== Restore =====
+test("restores open files, cursors and the search term", async (t) => {
+  const root = makeTempDir();
+  const files = ["a.txt", "b.txt", "gone.txt"].map((name) =>
+    path.join(root, name)
+  );
+  files.forEach((file, i) => fs.writeFileSync(file, `file ${i}\nline 2\n`));
+
+  const first = startEditor("");
+  t.after(() => first.terminal.destroy());
+  first.editor.setWorkspaceRoot(root);
+  for (const file of files) {
+    await first.editor.openDocument(file, path.basename(file));
+  }
+  first.terminal.press("M-p", "down", "right", "right");
+  first.editor.ui.searchTerm = "line";
+  await first.editor.saveSession();
+  fs.unlinkSync(files[2]);
+
+  const second = startEditor("");
+  t.after(() => second.terminal.destroy());
+  second.editor.setWorkspaceRoot(root);
+  assert.equal(await second.editor.restoreSession(), true);
+  assert.deepEqual(
+    second.editor.documents.map((document) => document.name),
+    ["a.txt", "b.txt"]
+  );
+  assert.equal(second.editor.buffer.filename, files[1]);
+  assert.deepEqual(
+    [second.editor.cursor.row, second.editor.cursor.col],
+    [1, 2]
+  );
+  assert.equal(second.editor.ui.searchTerm, "line");
+});
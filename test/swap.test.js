@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const { Buffer } = require("../src/core/buffer");
+const { SwapStore } = require("../src/core/swap-store");
+
+// Far above any pid the kernel hands out
+const DEAD_PID = 99999999;
+
+function createBuffer(text) {
+  const buffer = new Buffer();
+  buffer.insert(0, text);
+  return buffer;
+}
+
+// ===== Swap Store =====
+test("saves, loads and removes entries", async () => {
+  const store = new SwapStore({ directory: makeTempDir() });
+  const file = path.join(makeTempDir(), "a.txt");
+
+  assert.equal(await store.save(file, createBuffer("async"), 0), true);
+  assert.equal((await store.load(file)).text, "async");
+  assert.equal(store.saveSync(file, createBuffer("sync"), 0), true);
+  const entry = await store.load(file);
+  assert.equal(entry.text, "sync");
+  assert.equal(entry.path, file);
+  assert.equal(entry.pid, process.pid);
+  assert.deepEqual(fs.readdirSync(store.directory), [
+    path.basename(store.entryPath(file)),
+  ]);
+
+  await store.remove(file);
+  assert.equal(await store.load(file), null);
+});
+
+test("keeps entries private to the user", async () => {
+  const store = new SwapStore({ directory: path.join(makeTempDir(), "swap") });
+  const file = path.join(makeTempDir(), "a.txt");
+  const mode = (filepath) => fs.statSync(filepath).mode & 0o777;
+
+  await store.save(file, createBuffer("secret"), 0);
+  assert.equal(mode(store.directory), 0o700);
+  assert.equal(mode(store.entryPath(file)), 0o600);
+  // Entries written before swap files were private
+  fs.chmodSync(store.entryPath(file), 0o644);
+  store.saveSync(file, createBuffer("secret"), 0);
+  assert.equal(mode(store.entryPath(file)), 0o600);
+  fs.chmodSync(store.entryPath(file), 0o644);
+  await store.save(file, createBuffer("secret"), 0);
+  assert.equal(mode(store.entryPath(file)), 0o600);
+});
+
+test("ignores entries from other versions", async () => {
+  const store = new SwapStore({ directory: makeTempDir() });
+  const file = path.join(makeTempDir(), "a.txt");
+  fs.writeFileSync(
+    store.entryPath(file),
+    JSON.stringify({ version: 99, text: "x" })
+  );
+  assert.equal(await store.load(file), null);
+  fs.writeFileSync(store.entryPath(file), "{ not json");
+  assert.equal(await store.load(file), null);
+});
+
+test("finds untitled entries of editors that are gone", async () => {
+  const store = new SwapStore({ directory: makeTempDir() });
+  await store.save(null, createBuffer("mine"), 1);
+  const orphan = {
+    ...store.createEntry(null, createBuffer("lost")),
+    pid: DEAD_PID,
+  };
+  const orphanPath = path.join(store.directory, `untitled-${DEAD_PID}-1.json`);
+  fs.writeFileSync(orphanPath, JSON.stringify(orphan));
+
+  const found = await store.findOrphanedUntitled();
+  assert.deepEqual(
+    found.map((entry) => [entry.text, entry.file]),
+    [["lost", orphanPath]]
+  );
+});
+
+// ===== Recovery =====
+test("offers to recover a swap file left by a crashed editor", async (t) => {
+  const file = path.join(makeTempDir(), "draft.txt");
+  fs.writeFileSync(file, "saved\n");
+  const store = new SwapStore();
+  const entry = store.createEntry(file, createBuffer("unsaved\n"));
+  fs.mkdirSync(store.directory, { recursive: true });
+  fs.writeFileSync(
+    store.entryPath(file),
+    JSON.stringify({ ...entry, pid: DEAD_PID })
+  );
+
+  const { terminal, editor } = startEditor("", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  const done = editor.openDocument(file, "draft.txt");
+  await waitFor(() => terminal.find("unsaved changes from an earlier"));
+  terminal.press("r");
+  await done;
+
+  assert.equal(editor.buffer.getText(), "unsaved\n");
+  assert.equal(editor.buffer.modified, true);
+  editor.buffer.undo();
+  assert.equal(editor.buffer.getText(), "saved\n");
+});
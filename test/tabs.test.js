@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startEditor } = require("./helpers");
+
+function statusPosition(terminal) {
+  return terminal
+    .getLine(terminal.rows - 2)
+    .split("|")[0]
+    .trim()
+    .split(" ")
+    .pop();
+}
+
+test("draws tabs up to the next tab stop", (t) => {
+  const { terminal } = startEditor("\tab\tc\n中\tx", {
+    settings: { tabWidth: 4 },
+  });
+  t.after(() => terminal.destroy());
+
+  assert.equal(terminal.getLine(1).trimEnd(), "   1     ab  c");
+  assert.equal(terminal.getLine(2).trimEnd(), "   2 中  x");
+});
+
+test("moves up and down by visual column across tabs", (t) => {
+  const { terminal, editor } = startEditor("\tx\nabcdefgh", {
+    settings: { tabWidth: 8 },
+  });
+  t.after(() => terminal.destroy());
+
+  terminal.press("right");
+  assert.deepEqual(terminal.getCursor(), { x: 13, y: 1, visible: true });
+  assert.equal(statusPosition(terminal), "1:2-9");
+  terminal.press("down");
+  assert.equal(editor.cursor.col, 8);
+  assert.equal(statusPosition(terminal), "2:9");
+  terminal.press("left", "up");
+  assert.equal(editor.cursor.col, 0); // Inside the tab
+});
+
+test("indents with spaces to the next tab stop", (t) => {
+  const { terminal, editor } = startEditor("ab", { settings: { tabWidth: 4 } });
+  t.after(() => terminal.destroy());
+
+  terminal.press("right", "tab");
+  assert.equal(editor.buffer.getLine(0), "a   b");
+  terminal.press("tab");
+  assert.equal(editor.buffer.getLine(0), "a       b");
+});
+
+test("indents with tabs when indentWithTabs is set", (t) => {
+  const { terminal, editor } = startEditor("ab", {
+    settings: { indentWithTabs: true },
+  });
+  t.after(() => terminal.destroy());
+
+  terminal.press("right", "tab");
+  assert.equal(editor.buffer.getLine(0), "a\tb");
+  assert.deepEqual(terminal.getCursor(), { x: 9, y: 1, visible: true });
+});
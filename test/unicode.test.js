@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startEditor } = require("./helpers");
+const {
+  getClusters,
+  displayWidth,
+  columnAtWidth,
+  nextClusterEnd,
+  previousClusterStart,
+} = require("../src/core/text-width");
+
+const FAMILY = "\u{1F468}\u200D\u{1F469}\u200D\u{1F467}";
+const FLAG = "\u{1F1FA}\u{1F1F8}";
+const THUMBS = "\u{1F44D}\u{1F3FD}"; // With a skin tone
+const E_ACUTE = "e\u0301";
+
+// ===== Clusters and Widths =====
+test("splits mixed-script lines into grapheme clusters", () => {
+  const line = `a${FAMILY}b${FLAG}中${E_ACUTE}${THUMBS}`;
+  assert.deepEqual(
+    getClusters(line).map((cluster) => [cluster.text, cluster.width]),
+    [
+      ["a", 1],
+      [FAMILY, 2],
+      ["b", 1],
+      [FLAG, 2],
+      ["中", 2],
+      [E_ACUTE, 1],
+      [THUMBS, 2],
+    ]
+  );
+  assert.equal(displayWidth(line), 11);
+});
+
+test("steps over whole clusters", () => {
+  const line = `x${FAMILY}y`;
+  assert.equal(nextClusterEnd(line, 1), 1 + FAMILY.length);
+  assert.equal(previousClusterStart(line, 1 + FAMILY.length), 1);
+  assert.equal(nextClusterEnd(`${E_ACUTE}z`, 0), 2);
+});
+
+test("maps display columns back to clusters", () => {
+  const line = "中文abc";
+  assert.equal(displayWidth(line, 2), 4);
+  assert.equal(columnAtWidth(line, 3), 1); // Inside 文
+  assert.equal(columnAtWidth(line, 4), 2);
+  assert.equal(columnAtWidth(line, 99), line.length);
+});
+
+test("shows control characters and lone marks visibly", () => {
+  assert.equal(displayWidth("\x01"), 2);
+  assert.equal(displayWidth("\u0301"), 1);
+});
+
+// ===== Editing =====
+test("moves the cursor by cluster and display column", (t) => {
+  const { terminal, editor } = startEditor(`${FAMILY}中x\nabcdef`);
+  t.after(() => terminal.destroy());
+
+  terminal.press("right");
+  assert.equal(editor.cursor.col, FAMILY.length);
+  terminal.press("right");
+  assert.equal(editor.cursor.col, FAMILY.length + 1);
+  // The gutter is five cells; the family and 中 are two cells each
+  assert.deepEqual(terminal.getCursor(), { x: 9, y: 1, visible: true });
+
+  terminal.press("down");
+  assert.equal(editor.cursor.col, 4);
+  terminal.press("up");
+  assert.equal(editor.cursor.col, FAMILY.length + 1);
+  terminal.press("left", "left");
+  assert.equal(editor.cursor.col, 0);
+});
+
+test("deletes whole clusters", (t) => {
+  const { terminal, editor } = startEditor(`a${THUMBS}${E_ACUTE}${FLAG}z`);
+  t.after(() => terminal.destroy());
+
+  terminal.press("right", "right", "backspace");
+  assert.equal(editor.buffer.getLine(0), `a${E_ACUTE}${FLAG}z`);
+  terminal.press("delete");
+  assert.equal(editor.buffer.getLine(0), `a${FLAG}z`);
+  terminal.press("delete");
+  assert.equal(editor.buffer.getLine(0), "az");
+});
+
+test("selects whole clusters", (t) => {
+  const { terminal, editor } = startEditor(`中${FAMILY}文`);
+  t.after(() => terminal.destroy());
+
+  terminal.press("right", "S-right", "S-right");
+  assert.equal(editor.selection.getText(), `${FAMILY}文`);
+});
+
+test("draws each cluster in its own cells", (t) => {
+  const { terminal } = startEditor(`${FAMILY}${FLAG}${E_ACUTE}中{bold}`);
+  t.after(() => terminal.destroy());
+
+  const cells = [];
+  for (let x = 5; x < 16; x++) cells.push(terminal.getCell(x, 1).ch);
+  assert.deepEqual(cells, [
+    FAMILY,
+    "",
+    FLAG,
+    "",
+    E_ACUTE,
+    "中",
+    "\x03",
+    "{",
+    "b",
+    "o",
+    "l",
+  ]);
+});
+
+test("scrolls horizontally in display columns", (t) => {
+  const { terminal, editor } = startEditor("中".repeat(40));
+  t.after(() => terminal.destroy());
+
+  terminal.press("end");
+  // 35 cells of text beside the gutter; the cursor cell is the last one
+  assert.equal(editor.ui.viewport.left, 46);
+  assert.deepEqual(terminal.getCursor(), { x: 39, y: 1, visible: true });
+  assert.equal(terminal.getLine(1).trimEnd(), `   1 ${"中".repeat(17)}`);
+});
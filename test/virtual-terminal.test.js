@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir } = require("./helpers");
+const { VirtualTerminal } = require("../src/core/virtual-terminal");
+const { parseArgs } = require("../src/core/cli-args");
+
+// ===== Key Replay =====
+test("replays keys through the command handler", (t) => {
+  const { terminal, editor } = startEditor("alpha\nbeta", { cols: 20 });
+  t.after(() => terminal.destroy());
+
+  terminal.press("down", "end", "S-left", "S-left", "S-left", "S-left");
+  terminal.type("gamma");
+  terminal.press("enter", "tab");
+  terminal.type("é");
+
+  assert.equal(editor.buffer.getText(), "alpha\ngamma\n    é");
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [2, 5]);
+  assert.deepEqual(
+    [1, 2, 3].map((y) => terminal.getLine(y).trimEnd()),
+    ["   1 alpha", "   2 gamma", "   3     é"]
+  );
+  assert.deepEqual(terminal.getCursor(), { x: 10, y: 3, visible: true });
+});
+
+// ===== Process Hooks =====
+test("leaves the process alone until run and after destroy", async (t) => {
+  const signals = () =>
+    ["SIGHUP", "SIGTERM"].map((signal) => process.listenerCount(signal));
+  // blessed adds handlers of its own while any screen is open
+  const other = new VirtualTerminal();
+  t.after(() => other.destroy());
+  const before = signals();
+  const { terminal, editor } = startEditor("", {
+    settings: { largeFileMB: 0.000001 },
+  });
+  t.after(() => terminal.destroy());
+  assert.deepEqual(signals(), before);
+  assert.equal(editor.swapTimer, null);
+
+  await editor.run(parseArgs(["--no-session", "--no-server"]));
+  assert.deepEqual(
+    signals(),
+    before.map((count) => count + 1)
+  );
+  assert.notEqual(editor.swapTimer, null);
+  const file = path.join(makeTempDir(), "big.txt");
+  fs.writeFileSync(file, "big\n");
+  await editor.openDocument(file, "big.txt");
+  const { buffer } = editor;
+  assert.notEqual(buffer.source, null);
+
+  terminal.destroy();
+  await editor.destroy();
+  assert.deepEqual(signals(), before);
+  assert.equal(editor.swapTimer, null);
+  assert.equal(buffer.source, null); // Its file descriptor is closed
+});
+
+test("shows startup errors instead of crashing", async (t) => {
+  const { terminal, editor } = startEditor("", { cols: 80 });
+  t.after(() => terminal.destroy());
+  t.mock.method(editor, "startServer", async () => {
+    throw new Error("address in use");
+  });
+
+  await editor.run(parseArgs(["--no-session"]));
+  assert.ok(terminal.find("Failed to start: address in use"));
+  assert.equal(editor.exitCode, 1);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startEditor, makeTempDir, waitFor } = require("./helpers");
+const { parseArgs } = require("../src/core/cli-args");
+
+// Starts like `silent-edit --wait <file>`; quitting is recorded instead of
+// ending the test process
+async function startWaiting(t) {
+  const file = path.join(makeTempDir(), "COMMIT_EDITMSG");
+  fs.writeFileSync(file, "message\n");
+  const { terminal, editor } = startEditor("", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  const exit = t.mock.method(process, "exit", () => {});
+  await editor.start(parseArgs(["--wait", file]), null);
+  return { file, terminal, editor, exit };
+}
+
+// ===== --wait =====
+test("exits with 0 once the file is saved and closed", async (t) => {
+  const { file, terminal, editor, exit } = await startWaiting(t);
+  terminal.type("new ");
+  terminal.press("C-s");
+  await waitFor(() => !editor.buffer.modified);
+  terminal.press("C-w");
+  await waitFor(() => exit.mock.callCount() > 0);
+
+  assert.deepEqual(exit.mock.calls[0].arguments, [0]);
+  assert.equal(fs.readFileSync(file, "utf8"), "new message\n");
+});
+
+test("exits with 1 when the changes are discarded", async (t) => {
+  const { file, terminal, exit } = await startWaiting(t);
+  terminal.type("new ");
+  terminal.press("C-w");
+  await waitFor(() => terminal.find("unsaved changes"));
+  terminal.press("n");
+  await waitFor(() => exit.mock.callCount() > 0);
+
+  assert.deepEqual(exit.mock.calls[0].arguments, [1]);
+  assert.equal(fs.readFileSync(file, "utf8"), "message\n");
+});
+
+test("tells a waiting client whether changes were kept", async (t) => {
+  const { terminal, editor } = startEditor("", { cols: 80, rows: 24 });
+  t.after(() => terminal.destroy());
+  const file = path.join(makeTempDir(), "todo.txt");
+
+  const opened = editor.openForClient({ files: [{ path: file }], wait: true });
+  await waitFor(() => editor.buffer.filename === file);
+  terminal.type("x");
+  terminal.press("C-w");
+  await waitFor(() => terminal.find("unsaved changes"));
+  terminal.press("n");
+  assert.deepEqual(await opened, { opened: ["todo.txt"], aborted: true });
+});
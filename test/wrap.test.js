@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const helpers = require("./helpers");
+const { wrapLine } = require("../src/core/soft-wrap");
+
+const TEXT = "  The quick brown fox jumps over the lazy dog\nshort";
+
+function startEditor(text, settings = {}) {
+  return helpers.startEditor(text, {
+    settings: { softWrap: true, ...settings },
+    cols: 25,
+  });
+}
+
+// ===== Layout =====
+test("wraps at words or anywhere", () => {
+  const line = "aaa bbb ccc";
+  assert.deepEqual(
+    wrapLine(line, 6).map(({ start, end }) => line.slice(start, end)),
+    ["aaa ", "bbb ", "ccc"]
+  );
+  assert.deepEqual(
+    wrapLine(line, 6, { atWords: false }).map(({ start, end }) =>
+      line.slice(start, end)
+    ),
+    ["aaa bb", "b ccc"]
+  );
+});
+
+test("gives a cursor after a full row a row of its own", () => {
+  assert.deepEqual(
+    wrapLine("abcdef", 6).map(({ start, end }) => [start, end]),
+    [
+      [0, 6],
+      [6, 6],
+    ]
+  );
+});
+
+// ===== Editing =====
+test("draws wrapped rows with a continuation indent", (t) => {
+  const { terminal } = startEditor(TEXT, { wrapIndent: 2 });
+  t.after(() => terminal.destroy());
+
+  assert.deepEqual(
+    [1, 2, 3, 4].map((y) => terminal.getLine(y).trimEnd()),
+    [
+      "   1   The quick brown",
+      "         fox jumps over",
+      "         the lazy dog",
+      "   2 short",
+    ]
+  );
+});
+
+test("moves up and down by screen row", (t) => {
+  const { terminal, editor } = startEditor(TEXT);
+  t.after(() => terminal.destroy());
+
+  terminal.press("right", "right", "right", "right", "right", "right");
+  terminal.press("down");
+  assert.equal(editor.cursor.col, 22);
+  assert.deepEqual(terminal.getCursor(), { x: 11, y: 2, visible: true });
+  terminal.press("down", "down");
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [1, 5]);
+  terminal.press("up");
+  assert.deepEqual([editor.cursor.row, editor.cursor.col], [0, 37]);
+});
+
+test("goes to the ends of the wrapped row with Home and End", (t) => {
+  const { terminal, editor } = startEditor(TEXT);
+  t.after(() => terminal.destroy());
+
+  terminal.press("down", "right", "end");
+  assert.equal(editor.cursor.col, 32); // The space after "over"
+  terminal.press("end");
+  assert.equal(editor.cursor.col, 45);
+  terminal.press("home");
+  assert.equal(editor.cursor.col, 33);
+  terminal.press("home");
+  assert.equal(editor.cursor.col, 0);
+});
+
+test("toggles soft wrap", (t) => {
+  const { terminal, editor } = startEditor(TEXT, { softWrap: false });
+  t.after(() => terminal.destroy());
+
+  assert.equal(terminal.getLine(2).trimEnd(), "   2 short");
+  terminal.press("M-z");
+  assert.equal(editor.ui.wrap.enabled, true);
+  assert.equal(terminal.getLine(2).trimEnd(), "       fox jumps over");
+});